@@ -0,0 +1,222 @@
+import {BitSet} from '../utils/BitSet';
+import {Class} from '../utils/Class';
+import {getComponentClass, getComponentId} from './ComponentId';
+import {Entity} from './Entity';
+import {Query} from './Query';
+import {getTagId, isTag, Tag} from './Tag';
+
+/**
+ * Gets a signature bit of the component.
+ * Components and tags share the same signature, so components occupy even bits and tags occupy odd bits.
+ *
+ * @internal
+ */
+export function getComponentBit(componentId: number): number {
+  return componentId * 2;
+}
+
+/**
+ * @internal
+ */
+export function getTagBit(tag: Tag): number {
+  return getTagId(tag) * 2 + 1;
+}
+
+/**
+ * @internal
+ */
+export function getEntitySignature(entity: Entity): BitSet {
+  const signature = new BitSet();
+  for (const id of Object.keys(entity.components)) {
+    signature.add(getComponentBit(Number(id)));
+  }
+  for (const tag of entity.tags) {
+    signature.add(getTagBit(tag));
+  }
+  return signature;
+}
+
+/**
+ * Transition of the entity from one archetype to another, with the list of queries which entity has to join or leave.
+ *
+ * @internal
+ */
+export interface ArchetypeTransition {
+  readonly target: Archetype;
+  readonly addedQueries: ReadonlyArray<Query>;
+  readonly removedQueries: ReadonlyArray<Query>;
+}
+
+/**
+ * Archetype is a group of entities that have exactly the same set of components and tags.
+ *
+ * @internal
+ */
+export class Archetype {
+  public readonly entities: Set<Entity> = new Set();
+  public readonly queries: Query[] = [];
+  public readonly transitions: Map<number, ArchetypeTransition> = new Map();
+
+  public constructor(
+    public readonly signature: BitSet,
+  ) {}
+}
+
+/**
+ * Archetype index keeps track of archetypes of entities attached to the engine, and of the signature queries, that
+ * match every archetype.
+ * Matching is done once per archetype, so membership changes of the entity cost only the number of affected queries.
+ *
+ * @internal
+ */
+export class ArchetypeIndex {
+  private readonly _archetypes: Map<string, Archetype> = new Map();
+  private readonly _entityArchetypes: Map<Entity, Archetype> = new Map();
+  private readonly _queries: Query[] = [];
+
+  public get queries(): ReadonlyArray<Query> {
+    return this._queries;
+  }
+
+  public getArchetypeOf(entity: Entity): Archetype | undefined {
+    return this._entityArchetypes.get(entity);
+  }
+
+  public addEntity(entity: Entity): Archetype {
+    const archetype = this.getArchetype(getEntitySignature(entity));
+    archetype.entities.add(entity);
+    this._entityArchetypes.set(entity, archetype);
+    return archetype;
+  }
+
+  public removeEntity(entity: Entity): Archetype | undefined {
+    const archetype = this._entityArchetypes.get(entity);
+    if (archetype !== undefined) {
+      archetype.entities.delete(entity);
+      this._entityArchetypes.delete(entity);
+    }
+    return archetype;
+  }
+
+  public clearEntities(): void {
+    for (const archetype of this._archetypes.values()) {
+      archetype.entities.clear();
+    }
+    this._entityArchetypes.clear();
+  }
+
+  /**
+   * Moves the entity to another archetype if the component or tag presence was changed.
+   * @return Transition, or undefined if archetype of the entity was not changed
+   */
+  public componentChanged(entity: Entity, componentOrTag: unknown, componentClass?: Class<unknown>): ArchetypeTransition | undefined {
+    const archetype = this._entityArchetypes.get(entity);
+    if (archetype === undefined) return undefined;
+
+    let bit: number;
+    let isPresent: boolean;
+    if (isTag(componentOrTag)) {
+      bit = getTagBit(componentOrTag);
+      isPresent = entity.hasTag(componentOrTag);
+    } else {
+      const id = getComponentId(componentClass ?? getComponentClass(componentOrTag as NonNullable<unknown>), true)!;
+      bit = getComponentBit(id);
+      isPresent = entity.components[id] !== undefined;
+    }
+    if (archetype.signature.has(bit) === isPresent) return undefined;
+
+    let transition = archetype.transitions.get(bit);
+    if (transition === undefined) {
+      const signature = archetype.signature.clone();
+      if (isPresent) {
+        signature.add(bit);
+      } else {
+        signature.delete(bit);
+      }
+      transition = createTransition(archetype, this.getArchetype(signature));
+      archetype.transitions.set(bit, transition);
+    }
+    this.move(entity, archetype, transition.target);
+    return transition;
+  }
+
+  /**
+   * Recalculates the archetype of the entity from scratch.
+   * @return Transition, or undefined if archetype of the entity was not changed
+   */
+  public relocate(entity: Entity): ArchetypeTransition | undefined {
+    const archetype = this._entityArchetypes.get(entity);
+    if (archetype === undefined) return undefined;
+    const target = this.getArchetype(getEntitySignature(entity));
+    if (target === archetype) return undefined;
+    this.move(entity, archetype, target);
+    return createTransition(archetype, target);
+  }
+
+  public addQuery(query: Query): Archetype[] {
+    const result: Archetype[] = [];
+    this._queries.push(query);
+    for (const archetype of this._archetypes.values()) {
+      if (matches(archetype, query)) {
+        archetype.queries.push(query);
+        result.push(archetype);
+      }
+      archetype.transitions.clear();
+    }
+    return result;
+  }
+
+  public removeQuery(query: Query): void {
+    const index = this._queries.indexOf(query);
+    if (index === -1) return;
+    this._queries.splice(index, 1);
+    for (const archetype of this._archetypes.values()) {
+      const queryIndex = archetype.queries.indexOf(query);
+      if (queryIndex !== -1) {
+        archetype.queries.splice(queryIndex, 1);
+      }
+      archetype.transitions.clear();
+    }
+  }
+
+  public removeAllQueries(): void {
+    this._queries.length = 0;
+    for (const archetype of this._archetypes.values()) {
+      archetype.queries.length = 0;
+      archetype.transitions.clear();
+    }
+  }
+
+  private getArchetype(signature: BitSet): Archetype {
+    const key = signature.key;
+    let archetype = this._archetypes.get(key);
+    if (archetype === undefined) {
+      archetype = new Archetype(signature);
+      for (const query of this._queries) {
+        if (matches(archetype, query)) {
+          archetype.queries.push(query);
+        }
+      }
+      this._archetypes.set(key, archetype);
+    }
+    return archetype;
+  }
+
+  private move(entity: Entity, from: Archetype, to: Archetype): void {
+    from.entities.delete(entity);
+    to.entities.add(entity);
+    this._entityArchetypes.set(entity, to);
+  }
+}
+
+function matches(archetype: Archetype, query: Query): boolean {
+  return archetype.signature.containsAll(query.signature!);
+}
+
+function createTransition(from: Archetype, to: Archetype): ArchetypeTransition {
+  return {
+    target: to,
+    addedQueries: to.queries.filter((query) => from.queries.indexOf(query) === -1),
+    removedQueries: from.queries.filter((query) => to.queries.indexOf(query) === -1),
+  };
+}
@@ -0,0 +1,58 @@
+import {Entity} from './Entity';
+import {Class} from '../utils/Class';
+
+const trackedComponents: WeakSet<object> = new WeakSet();
+const owners: WeakMap<object, [Entity, Class<unknown>]> = new WeakMap();
+
+/**
+ * Wraps the component into a proxy, that marks the component as changed every time its property is assigned with a
+ * new value. Use the returned proxy instead of the component itself.
+ * Only components that are added to an entity attached to the engine are tracked.
+ *
+ * @param {T} component
+ * @return {T} Proxy of the component
+ * @see {@link Entity.markChanged}, {@link QueryBuilder.changed}
+ * @example
+ * ```ts
+ * const position = trackChanges(new Position());
+ * entity.add(position);
+ * position.x = 10; // Marks Position component of the entity as changed
+ * ```
+ */
+export function trackChanges<T extends object>(component: T): T {
+  const proxy = new Proxy(component, {
+    set(target: any, property: PropertyKey, value: any, receiver: any): boolean {
+      const previous = target[property];
+      target[property] = value;
+      if (previous !== value) {
+        const owner = owners.get(receiver);
+        if (owner !== undefined && owner[0].contains(receiver, owner[1])) {
+          owner[0].markChanged(owner[1]);
+        }
+      }
+      return true;
+    },
+  });
+  trackedComponents.add(proxy);
+  return proxy;
+}
+
+/**
+ * Returns a value indicating whether the component was created via {@link trackChanges}
+ *
+ * @param {unknown} component
+ * @return {boolean}
+ */
+export function isTrackedComponent(component: unknown): boolean {
+  return typeof component === 'object' && component !== null && trackedComponents.has(component);
+}
+
+/**
+ * Binds tracked component to the entity, which will be marked as changed on the component mutation.
+ *
+ * @internal
+ */
+export function setComponentOwner(component: unknown, entity: Entity, componentClass?: Class<unknown>): void {
+  if (!isTrackedComponent(component)) return;
+  owners.set(component as object, [entity, componentClass ?? Object.getPrototypeOf(component).constructor]);
+}
@@ -0,0 +1,185 @@
+import {Entity} from './Entity';
+import {Engine} from './Engine';
+import {Class} from '../utils/Class';
+import {Tag} from './Tag';
+import {ILinkedComponent} from './LinkedComponent';
+
+/**
+ * Custom command, that will be executed during the buffer flush
+ */
+export type Command = (engine: Engine) => void;
+
+const enum CommandType {
+  AddEntity,
+  RemoveEntity,
+  Add,
+  Append,
+  Remove,
+  Pick,
+  Custom,
+}
+
+interface CommandRecord {
+  type: CommandType;
+  entity?: Entity;
+  value?: any;
+  data?: any;
+  resolveClass?: Class<any>;
+  command?: Command;
+}
+
+/**
+ * Command buffer queues structural changes of entities and the engine: adding and removing entities, components and
+ * tags. Queued commands are applied in the order they were queued, when the buffer is flushed.
+ *
+ * Engine has its own buffer {@link Engine.commands}, that is flushed after every system during {@link Engine.update},
+ * {@link Engine.updateFixed}, {@link Engine.updateLate} and {@link Engine.updateRender}. It allows to change the
+ * structure safely while iterating over query entities.
+ *
+ * @example
+ * ```ts
+ * class DeathSystem extends IterativeSystem {
+ *   public constructor() {
+ *     super(new QueryBuilder().contains(Health));
+ *   }
+ *
+ *   protected updateEntity(entity: Entity) {
+ *     if (entity.get(Health)!.value <= 0) {
+ *       this.commands.removeEntity(entity);
+ *     }
+ *   }
+ * }
+ * ```
+ */
+export class CommandBuffer {
+  private _commands: CommandRecord[] = [];
+  private _index: number = 0;
+
+  /**
+   * Gets the number of queued commands
+   */
+  public get length(): number {
+    return this._commands.length - this._index;
+  }
+
+  /**
+   * Gets a value indicating that there are no queued commands
+   */
+  public get isEmpty(): boolean {
+    return this._commands.length === this._index;
+  }
+
+  /**
+   * Queues adding of the entity to the engine
+   * @see {@link Engine.addEntity}
+   */
+  public addEntity(entity: Entity): CommandBuffer {
+    return this.push({type: CommandType.AddEntity, entity});
+  }
+
+  /**
+   * Queues removing of the entity from the engine
+   * @see {@link Engine.removeEntity}
+   */
+  public removeEntity(entity: Entity): CommandBuffer {
+    return this.push({type: CommandType.RemoveEntity, entity});
+  }
+
+  /**
+   * Queues adding of the component or tag to the entity
+   * @see {@link Entity.add}
+   */
+  public add<T extends K, K extends unknown>(entity: Entity, componentOrTag: Class<T> | NonNullable<T> | Tag, data?: Partial<T>, resolveClass?: Class<K>): CommandBuffer {
+    return this.push({type: CommandType.Add, entity, value: componentOrTag, data, resolveClass});
+  }
+
+  /**
+   * Queues appending of the linked component to the entity
+   * @see {@link Entity.append}
+   */
+  public append<T extends K, K extends ILinkedComponent>(entity: Entity, component: NonNullable<T>, resolveClass?: Class<K>): CommandBuffer {
+    return this.push({type: CommandType.Append, entity, value: component, resolveClass});
+  }
+
+  /**
+   * Queues removing of the component or tag from the entity
+   * @see {@link Entity.remove}
+   */
+  public remove<T>(entity: Entity, componentClassOrTag: Class<T> | Tag): CommandBuffer {
+    return this.push({type: CommandType.Remove, entity, value: componentClassOrTag});
+  }
+
+  /**
+   * Queues removing of the specific linked component instance from the entity
+   * @see {@link Entity.pick}
+   */
+  public pick<T>(entity: Entity, component: NonNullable<T>, resolveClass?: Class<T>): CommandBuffer {
+    return this.push({type: CommandType.Pick, entity, value: component, resolveClass});
+  }
+
+  /**
+   * Queues a custom command
+   */
+  public execute(command: Command): CommandBuffer {
+    return this.push({type: CommandType.Custom, command});
+  }
+
+  /**
+   * Applies all queued commands in the order they were queued. Commands queued during the flush are applied as well.
+   * Buffer is empty after the flush.
+   * If a command throws an error, it's dropped and the error is rethrown, but the following commands stay queued until
+   * the next flush.
+   *
+   * @param {Engine} engine
+   */
+  public flush(engine: Engine): void {
+    try {
+      while (this._index < this._commands.length) {
+        this.apply(engine, this._commands[this._index++]);
+      }
+    } finally {
+      this._commands.splice(0, this._index);
+      this._index = 0;
+    }
+  }
+
+  /**
+   * Removes all queued commands without applying them
+   */
+  public clear(): void {
+    this._commands = [];
+    this._index = 0;
+  }
+
+  private push(command: CommandRecord): CommandBuffer {
+    this._commands.push(command);
+    return this;
+  }
+
+  private apply(engine: Engine, command: CommandRecord): void {
+    const entity = command.entity!;
+    switch (command.type) {
+      case CommandType.AddEntity:
+        engine.addEntity(entity);
+        break;
+      case CommandType.RemoveEntity:
+        engine.removeEntity(entity);
+        break;
+      case CommandType.Add:
+        entity.add(command.value, command.data, command.resolveClass);
+        break;
+      case CommandType.Append:
+        entity.append(command.value, command.resolveClass);
+        break;
+      case CommandType.Remove:
+        entity.remove(command.value);
+        break;
+      case CommandType.Pick:
+        entity.pick(command.value, command.resolveClass);
+        break;
+      case CommandType.Custom:
+        command.command!(engine);
+        break;
+    }
+  }
+}
@@ -1,10 +1,29 @@
-import { Class } from '../utils/Class';
+import {Class} from '../utils/Class';
 
-const componentIds = new Map<string, number>();
+/**
+ * Name of the static field that can be used for defining a stable component key right in the class declaration.
+ * @see {@link registerComponent}
+ * @example
+ * ```ts
+ * class Position {
+ *   public static readonly componentKey = 'Position';
+ *   public x: number = 0;
+ *   public y: number = 0;
+ * }
+ * ```
+ */
+export const COMPONENT_KEY_FIELD = 'componentKey';
+
+const componentIds = new Map<Function, number>();
+const componentKeys = new Map<Function, string>();
+const componentClassesByKey = new Map<string, Class<unknown>>();
+const componentClassesById = new Map<number, Class<unknown>>();
 let componentClassId = 1;
 
 /**
  * Gets an id for a component class.
+ * Ids are bound to the class identity, so two different classes will never share the same id, even if their names
+ * are equal (for example, after minification).
  *
  * @param component Component class
  * @param createIfNotExists If defined - will create unique id for class component, if it's not defined before
@@ -12,17 +31,106 @@ let componentClassId = 1;
 export function getComponentId<T>(component: Class<T>, createIfNotExists = false): number | undefined {
   if (component == undefined) return undefined;
 
-  const className = component.prototype ? component.prototype.constructor.name : component.constructor.name;
-  if (componentIds.has(className)) {
-    return componentIds.get(className);
+  const componentClass = resolveClass(component);
+  const id = componentIds.get(componentClass);
+  if (id !== undefined) {
+    return id;
   } else if (createIfNotExists) {
-    componentIds.set(className, componentClassId++);
-    return componentIds.get(className);
+    return registerComponent(componentClass as Class<T>);
   }
 
   return undefined;
 }
 
+/**
+ * Registers a component class and returns its id.
+ * A stable key can be assigned to the class, it doesn't depend on the class name, and can be used for identifying
+ * components across different bundles or for serialization purposes.
+ *
+ * - If the key is not passed, but the class has own static field {@link COMPONENT_KEY_FIELD} - it will be used as a key.
+ * - If the class is already registered without a key - the key will be assigned to it.
+ *
+ * @param {Class<T>} component Component class
+ * @param {string} key Stable component key
+ * @throws An error if the key is already used by another class, or if the class is already registered with another key
+ * @return {number} Component id
+ * @example
+ * ```ts
+ * registerComponent(Position, 'Position');
+ * registerComponent(Velocity, 'Velocity');
+ * ```
+ */
+export function registerComponent<T>(component: Class<T>, key?: string): number {
+  const componentClass = resolveClass(component);
+  key = key ?? getStaticComponentKey(componentClass);
+  if (key !== undefined) {
+    assignComponentKey(componentClass, key);
+  }
+
+  let id = componentIds.get(componentClass);
+  if (id === undefined) {
+    id = componentClassId++;
+    componentIds.set(componentClass, id);
+    componentClassesById.set(id, componentClass as Class<unknown>);
+  }
+  return id;
+}
+
+/**
+ * Class decorator, that registers a component class with a stable key.
+ *
+ * @param {string} key Stable component key
+ * @see {@link registerComponent}
+ * @example
+ * ```ts
+ * @component('Position')
+ * class Position {
+ *   public x: number = 0;
+ *   public y: number = 0;
+ * }
+ * ```
+ */
+export function component(key: string) {
+  return <T extends Class<unknown>>(componentClass: T): T => {
+    registerComponent(componentClass, key);
+    return componentClass;
+  };
+}
+
+/**
+ * Gets a stable key of the component class, if it was defined.
+ *
+ * @param {Class<T>} component Component class
+ * @return {string | undefined}
+ */
+export function getComponentKey<T>(component: Class<T>): string | undefined {
+  const componentClass = resolveClass(component);
+  if (!componentKeys.has(componentClass) && !componentIds.has(componentClass)) {
+    const key = getStaticComponentKey(componentClass);
+    if (key !== undefined) {
+      registerComponent(componentClass as Class<T>, key);
+    }
+  }
+  return componentKeys.get(componentClass);
+}
+
+/**
+ * Gets a component class registered with the specific stable key.
+ *
+ * @param {string} key Stable component key
+ * @return {Class<T> | undefined}
+ */
+export function getComponentClassByKey<T>(key: string): Class<T> | undefined {
+  return componentClassesByKey.get(key) as Class<T> | undefined;
+}
+
+/**
+ * @internal
+ */
+export function getComponentClassById<T>(id: number): Class<T> | undefined {
+  return componentClassesById.get(id) as Class<T> | undefined;
+}
+
 /**
  * @internal
  */
@@ -36,3 +144,33 @@ export function getComponentClass<T extends K, K>(component: NonNullable<T>, res
   }
   return componentClass;
 }
+
+function resolveClass(component: Function): Function {
+  return component.prototype ? component.prototype.constructor : component.constructor;
+}
+
+function getStaticComponentKey(componentClass: Function): string | undefined {
+  if (!Object.prototype.hasOwnProperty.call(componentClass, COMPONENT_KEY_FIELD)) return undefined;
+  const key = (componentClass as any)[COMPONENT_KEY_FIELD];
+  if (typeof key !== 'string') {
+    throw new Error(`Static field "${COMPONENT_KEY_FIELD}" of component class should be a string`);
+  }
+  return key;
+}
+
+function assignComponentKey(componentClass: Function, key: string): void {
+  const existingKey = componentKeys.get(componentClass);
+  if (existingKey === key) return;
+  if (existingKey !== undefined) {
+    throw new Error(`Component class is already registered with key "${existingKey}", it can't be re-registered as "${key}"`);
+  }
+  const existingClass = componentClassesByKey.get(key);
+  if (existingClass !== undefined && existingClass !== componentClass) {
+    throw new Error(
+      `Component key "${key}" collision: it is already used by class "${existingClass.name}", ` +
+      `so it can't be used by class "${componentClass.name}"`,
+    );
+  }
+  componentKeys.set(componentClass, key);
+  componentClassesByKey.set(key, componentClass as Class<unknown>);
+}
@@ -0,0 +1,130 @@
+import {Class} from '../utils/Class';
+import {ILinkedComponent, isLinkedComponent} from './LinkedComponent';
+
+/**
+ * Component that can prepare itself for reuse.
+ * If component implements this interface, {@link ComponentPool} calls `reset` every time component is returned
+ * to the pool.
+ */
+export interface PoolableComponent {
+  reset(): void;
+}
+
+/**
+ * Component pool options
+ */
+export interface ComponentPoolOptions {
+  /**
+   * Number of components created in advance. Default value is `0`.
+   */
+  initialSize?: number;
+  /**
+   * Maximum number of components kept in the pool. Released components over the limit are left to the garbage
+   * collector. Default value is `Infinity`.
+   */
+  maxSize?: number;
+}
+
+/**
+ * Component pool keeps released instances of the single component class and gives them back instead of creating
+ * new ones.
+ *
+ * @example
+ * ```ts
+ * const pool = new ComponentPool(Position);
+ * const entity = new Entity().add(pool.acquire({x: 10, y: 20}));
+ * ...
+ * pool.release(entity.remove(Position)!);
+ * ```
+ * @see {@link EntityPool}
+ */
+export class ComponentPool<T> {
+  private readonly _componentClass: Class<T>;
+  private readonly _maxSize: number;
+  private readonly _items: T[] = [];
+  private readonly _pooled: Set<T> = new Set();
+
+  public constructor(componentClass: Class<T>, options: ComponentPoolOptions = {}) {
+    this._componentClass = componentClass;
+    this._maxSize = options.maxSize ?? Number.POSITIVE_INFINITY;
+    const initialSize = Math.min(options.initialSize ?? 0, this._maxSize);
+    for (let i = 0; i < initialSize; i++) {
+      this.push(new componentClass());
+    }
+  }
+
+  /**
+   * Gets a class of the pooled components
+   */
+  public get componentClass(): Class<T> {
+    return this._componentClass;
+  }
+
+  /**
+   * Gets the number of components available in the pool
+   */
+  public get size(): number {
+    return this._items.length;
+  }
+
+  /**
+   * Takes a component from the pool, or creates a new one if pool is empty.
+   *
+   * @param {Partial<T>} data Values that will be assigned to the component
+   * @return {T}
+   */
+  public acquire(data?: Partial<T>): T {
+    let component: T;
+    if (this._items.length > 0) {
+      component = this._items.pop()!;
+      this._pooled.delete(component);
+    } else {
+      component = new this._componentClass();
+    }
+    if (data !== undefined) {
+      Object.assign(component, data);
+    }
+    return component;
+  }
+
+  /**
+   * Returns the component to the pool. Component will be reset via {@link PoolableComponent.reset} if it's
+   * implemented. Linked components are detached from their chain.
+   * Releasing a component that is already in the pool does nothing.
+   *
+   * @throws Throws error if component is not an instance of the pool component class
+   * @param {T} component
+   */
+  public release(component: T): void {
+    if (!(component instanceof this._componentClass)) {
+      throw new Error(`Component "${component}" is not an instance of "${this._componentClass.name}"`);
+    }
+    if (this._pooled.has(component)) return;
+    if (isPoolable(component)) {
+      component.reset();
+    }
+    if (isLinkedComponent(component)) {
+      (component as ILinkedComponent).next = undefined;
+    }
+    if (this._items.length < this._maxSize) {
+      this.push(component);
+    }
+  }
+
+  /**
+   * Removes all components from the pool
+   */
+  public clear(): void {
+    this._items.length = 0;
+    this._pooled.clear();
+  }
+
+  private push(component: T): void {
+    this._items.push(component);
+    this._pooled.add(component);
+  }
+}
+
+function isPoolable(component: unknown): component is PoolableComponent {
+  return typeof (component as any).reset === 'function';
+}
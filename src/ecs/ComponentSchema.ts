@@ -0,0 +1,289 @@
+import {Entity} from './Entity';
+import {Class} from '../utils/Class';
+
+/**
+ * Type of the component field
+ * - `integer` - number without fractional part
+ * - `entity` - reference to the {@link Entity}
+ * - `any` - value of any type
+ */
+export type FieldType = 'number' | 'integer' | 'string' | 'boolean' | 'array' | 'object' | 'entity' | 'any';
+
+/**
+ * Schema of the component field
+ */
+export interface FieldSchema<V = unknown> {
+  type: FieldType;
+  /**
+   * Value, that is assigned to the field of the component created via {@link Entity.add} with the component class,
+   * if data doesn't contain the field. Arrays and objects are copied shallowly.
+   */
+  default?: V;
+  /**
+   * Minimum value of the `number` or `integer` field
+   */
+  min?: number;
+  /**
+   * Maximum value of the `number` or `integer` field
+   */
+  max?: number;
+  /**
+   * If true - field can be `undefined` or `null`
+   */
+  optional?: boolean;
+  /**
+   * Description of the field for editors and inspectors
+   */
+  description?: string;
+}
+
+/**
+ * Schema of the component: fields by their names
+ */
+export type ComponentSchema<T = any> = {
+  [K in keyof T]?: FieldSchema<T[K]>;
+};
+
+/**
+ * Reflection metadata of the component field
+ */
+export interface FieldInfo extends FieldSchema {
+  name: string;
+}
+
+const schemas: Map<Function, Readonly<Record<string, FieldSchema>>> = new Map();
+let validationEnabled = typeof process === 'undefined' || process.env.NODE_ENV !== 'production';
+
+/**
+ * Defines the schema of the component class. Schemas of the ancestor classes are inherited, fields with the same
+ * name are replaced.
+ * When validation is enabled (see {@link setSchemaValidation}), data and components are validated against the schema
+ * in {@link Entity.add}, {@link Entity.addComponent} and {@link WorldSerializer.deserializeEntity}.
+ *
+ * @param {Class<T>} componentClass
+ * @param {ComponentSchema<T>} schema
+ * @example
+ * ```ts
+ * defineComponentSchema(Velocity, {
+ *   x: {type: 'number', default: 0},
+ *   y: {type: 'number', default: 0},
+ *   max: {type: 'number', min: 0, description: 'Speed limit'},
+ * });
+ * ```
+ */
+export function defineComponentSchema<T>(componentClass: Class<T>, schema: ComponentSchema<T>): void {
+  schemas.set(componentClass, Object.freeze(Object.assign({}, schema)) as Record<string, FieldSchema>);
+}
+
+/**
+ * Class decorator, that defines the schema of the component class.
+ *
+ * @param {ComponentSchema} schema
+ * @see {@link defineComponentSchema}
+ * @example
+ * ```ts
+ * @componentSchema({
+ *   value: {type: 'integer', min: 0, default: 100},
+ * })
+ * class Health {
+ *   public value: number = 100;
+ * }
+ * ```
+ */
+export function componentSchema(schema: ComponentSchema) {
+  return <T extends Class<unknown>>(componentClass: T): T => {
+    defineComponentSchema(componentClass, schema);
+    return componentClass;
+  };
+}
+
+/**
+ * Gets the schema of the component class, including fields of the ancestor classes schemas
+ *
+ * @param {Class<T>} componentClass
+ * @return {ComponentSchema<T> | undefined} Schema, or `undefined` if neither class nor its ancestors have a schema
+ */
+export function getComponentSchema<T>(componentClass: Class<T>): Readonly<ComponentSchema<T>> | undefined {
+  return getSchema(componentClass) as ComponentSchema<T> | undefined;
+}
+
+/**
+ * Gets reflection metadata of the component fields, defined in the schema
+ *
+ * @param {Class<T>} componentClass
+ * @return {FieldInfo[]} Fields, or an empty array if the class doesn't have a schema
+ */
+export function getComponentFields<T>(componentClass: Class<T>): FieldInfo[] {
+  const schema = getSchema(componentClass);
+  if (schema === undefined) return [];
+  return Object.keys(schema).map((name) => Object.assign({name}, schema[name]));
+}
+
+/**
+ * Enables or disables validation of components against their schemas.
+ * By default validation is enabled, unless `process.env.NODE_ENV` is `production`.
+ *
+ * @param {boolean} enabled
+ */
+export function setSchemaValidation(enabled: boolean): void {
+  validationEnabled = enabled;
+}
+
+/**
+ * Returns a value indicating whether components are validated against their schemas
+ */
+export function isSchemaValidationEnabled(): boolean {
+  return validationEnabled;
+}
+
+/**
+ * Validates partial data of the component: every field must be defined in the schema, and values must match it.
+ *
+ * @param {Class<T>} componentClass
+ * @param {object} data
+ * @return {string[]} Error messages, that start with the field name. Empty if data is valid, or class has no schema.
+ */
+export function validateComponentData<T>(componentClass: Class<T>, data: object): string[] {
+  const schema = getSchema(componentClass);
+  if (schema === undefined) return [];
+  const errors: string[] = [];
+  for (const field of Object.keys(data)) {
+    const fieldSchema = Object.prototype.hasOwnProperty.call(schema, field) ? schema[field] : undefined;
+    if (fieldSchema === undefined) {
+      errors.push(`field "${field}" is not defined in the schema`);
+      continue;
+    }
+    const error = validateField(fieldSchema, (data as Record<string, unknown>)[field]);
+    if (error !== undefined) {
+      errors.push(`field "${field}" ${error}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validates values of all fields of the component, defined in the schema.
+ *
+ * @param {T} component
+ * @param {Class<T>} componentClass Class, which schema is used. If not defined, the component class is used.
+ * @return {string[]} Error messages, that start with the field name. Empty if component is valid, or class has no
+ *  schema.
+ */
+export function validateComponent<T>(component: T, componentClass?: Class<T>): string[] {
+  const schema = getSchema(componentClass ?? Object.getPrototypeOf(component).constructor);
+  if (schema === undefined) return [];
+  const errors: string[] = [];
+  for (const field of Object.keys(schema)) {
+    const error = validateField(schema[field], (component as any)[field]);
+    if (error !== undefined) {
+      errors.push(`field "${field}" ${error}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validates the value against the field schema
+ *
+ * @param {FieldSchema} schema
+ * @param {unknown} value
+ * @return {string | undefined} Error message, or `undefined` if value is valid
+ */
+export function validateField(schema: FieldSchema, value: unknown): string | undefined {
+  if (value === undefined || value === null) {
+    return schema.optional || schema.type === 'any' ? undefined : `is required, but got ${String(value)}`;
+  }
+  if (!isOfType(value, schema.type)) {
+    return `must be ${ARTICLES[schema.type]} ${schema.type}, but got ${describe(value)}`;
+  }
+  if (typeof value === 'number') {
+    if (schema.min !== undefined && value < schema.min) {
+      return `must be at least ${schema.min}, but got ${value}`;
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      return `must be at most ${schema.max}, but got ${value}`;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Assigns defaults of the schema fields, which are missing in the data
+ *
+ * @internal
+ */
+export function applySchemaDefaults(component: unknown, data: object): void {
+  const schema = getSchema(Object.getPrototypeOf(component).constructor);
+  if (schema === undefined) return;
+  for (const field of Object.keys(schema)) {
+    const value = schema[field].default;
+    if (value === undefined || Object.prototype.hasOwnProperty.call(data, field)) continue;
+    (component as any)[field] = Array.isArray(value)
+      ? value.slice()
+      : typeof value === 'object' && value !== null ? Object.assign({}, value) : value;
+  }
+}
+
+/**
+ * Throws an error with all validation errors of the component, if there are any
+ *
+ * @internal
+ */
+export function assertValid(componentClass: Function, errors: string[]): void {
+  if (errors.length > 0) {
+    throw new Error(`Invalid data of component "${componentClass.name}": ${errors.join('; ')}`);
+  }
+}
+
+const ARTICLES: Record<FieldType, string> = {
+  number: 'a',
+  integer: 'an',
+  string: 'a',
+  boolean: 'a',
+  array: 'an',
+  object: 'an',
+  entity: 'an',
+  any: 'an',
+};
+
+function getSchema(componentClass: Function): Readonly<Record<string, FieldSchema>> | undefined {
+  if (schemas.size === 0) return undefined;
+  let result: Record<string, FieldSchema> | undefined;
+  let current = componentClass;
+  while (current !== undefined && current !== Function.prototype && current !== Object) {
+    const schema = schemas.get(current);
+    if (schema !== undefined) {
+      result = Object.assign({}, schema, result);
+    }
+    current = Object.getPrototypeOf(current);
+  }
+  return result;
+}
+
+function isOfType(value: unknown, type: FieldType): boolean {
+  switch (type) {
+    case 'number':
+      return typeof value === 'number';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'string':
+      return typeof value === 'string';
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value) && !(value instanceof Entity);
+    case 'entity':
+      return value instanceof Entity;
+    case 'any':
+      return true;
+  }
+}
+
+function describe(value: unknown): string {
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Entity) return 'entity';
+  if (typeof value === 'number' && !Number.isInteger(value) && !isNaN(value)) return `number ${value}`;
+  return typeof value;
+}
@@ -4,6 +4,31 @@ import {Class} from '../utils/Class';
 import {Query} from './Query';
 import {Subscription} from './Subscription';
 import {Signal} from '../utils/Signal';
+import {applyEntityLinks, applyEntityState, captureEntityState, EngineSnapshot, EntityState} from './EngineSnapshot';
+import {ArchetypeIndex, ArchetypeTransition} from './Archetype';
+import {EntityIdAllocator} from './EntityIdAllocator';
+import {CommandBuffer} from './CommandBuffer';
+import {Profiler} from './Profiler';
+import {EventChannel, EventChannelOptions, EventDelivery} from './EventChannel';
+import {setComponentOwner} from './ChangeTracking';
+import {getComponentClassById} from './ComponentId';
+import {isLinkedComponent} from './LinkedComponent';
+import {ParallelSystem} from './ParallelSystem';
+
+/**
+ * Engine options
+ */
+export interface EngineOptions {
+  /**
+   * Entity id allocator, that will be used by {@link Engine.createEntity}.
+   * If not defined - entities will get identifiers from the global sequence.
+   */
+  ids?: EntityIdAllocator;
+  /**
+   * Profiler, that will measure systems and queries. See {@link Engine.profiler}.
+   */
+  profiler?: Profiler;
+}
 
 /**
  * Engine represents game state, and provides entities update loop on top of systems.
@@ -21,9 +46,16 @@ export class Engine {
   private _entityMap: Map<number, Entity> = new Map();
   private _entities: Entity[] = [];
   private _systems: System[] = [];
+  private _addedSystems: System[] = [];
+  private _disabledGroups: Set<string> = new Set();
+  private _profiler?: Profiler;
+  private _channels: Map<unknown, EventChannel<any>> = new Map();
   private _queries: Query[] = [];
   private _subscriptions: Subscription<any>[] = [];
   private _sharedConfig: Entity = new Entity();
+  private _archetypes: ArchetypeIndex = new ArchetypeIndex();
+  private readonly _ids?: EntityIdAllocator;
+  private readonly _commands: CommandBuffer = new CommandBuffer();
 
   /**
    * Gets a list of entities added to engine
@@ -46,7 +78,10 @@ export class Engine {
     return this._queries;
   }
 
-  public constructor() {
+  public constructor(options: EngineOptions = {}) {
+    this._ids = options.ids;
+    this._profiler = options.profiler;
+    this._archetypes.addEntity(this._sharedConfig);
     this.connectEntity(this._sharedConfig);
   }
 
@@ -66,18 +101,82 @@ export class Engine {
     return this._sharedConfig;
   }
 
+  /**
+   * Gets an entity id allocator of the engine, if it was defined
+   */
+  public get ids(): EntityIdAllocator | undefined {
+    return this._ids;
+  }
+
+  /**
+   * Gets a profiler of the engine, if it was defined
+   */
+  public get profiler(): Profiler | undefined {
+    return this._profiler;
+  }
+
+  /**
+   * Sets a profiler of the engine. When profiler is defined, it measures every system update in {@link update},
+   * {@link updateFixed}, {@link updateLate} and {@link updateRender} (categorized by the phase name), and query
+   * matching after adding and removing components (`query` category). Set `undefined` to stop measuring.
+   */
+  public set profiler(value: Profiler | undefined) {
+    this._profiler = value;
+  }
+
+  /**
+   * Gets a command buffer of the engine. Queued commands are applied after every system update, so the structure of
+   * entities stays the same while system is iterating over them.
+   *
+   * @return {CommandBuffer}
+   */
+  public get commands(): CommandBuffer {
+    return this._commands;
+  }
+
+  /**
+   * Creates a new entity with identifier allocated by the engine {@link ids} allocator.
+   * Entity is not added to the engine.
+   *
+   * @return {Entity}
+   */
+  public createEntity(): Entity {
+    return this._ids !== undefined ? this._ids.issue(new Entity()) : new Entity();
+  }
+
   /**
    * Adds an entity to engine.
    * If entity is already added to engine - it does nothing.
    *
+   * - If engine has the {@link ids} allocator, and the entity didn't get its identifier from it (e.g. entity was
+   *  created with `new Entity()`, {@link Prefab.instantiate} or {@link EntityLoader}), entity gets a new identifier
+   *  from the allocator.
+   *
    * @param entity Entity to add to engine
+   * @throws An error if another entity with the same id is already added, or if the entity id was released and reused
+   *  by the engine id allocator
    * @see onEntityAdded
    */
   public addEntity(entity: Entity): Engine {
-    if (this._entityMap.has(entity.id)) return this;
+    const existing = this._entityMap.get(entity.id);
+    if (existing === entity) return this;
+    if (this._ids !== undefined && !this._ids.owns(entity)) {
+      this._ids.issue(entity);
+    }
+    if (this._entityMap.has(entity.id)) {
+      throw new Error(`Entity with id ${entity.id} is already added to the engine`);
+    }
+    if (this._ids !== undefined && !this._ids.isAlive(entity.id) && !this._ids.acquire(entity.id)) {
+      throw new Error(`Entity id ${entity.id} is stale, it was reused by the engine`);
+    }
 
     this._entities.push(entity);
     this._entityMap.set(entity.id, entity);
+    entity.storeComponents();
+    this.bindTrackedComponents(entity);
+    for (const query of this._archetypes.addEntity(entity).queries) {
+      query.addMatched(entity);
+    }
     this.onEntityAdded.emit(entity);
     this.connectEntity(entity);
     return this;
@@ -92,17 +191,21 @@ export class Engine {
    * Remove entity from engine
    * If engine not contains entity - it does nothing.
    *
+   * - All descendants of the entity are removed as well, before the entity itself. Hierarchy of the removed entities
+   *  stays untouched.
+   * - If the parent of the entity stays in the engine, entity is detached from it.
+   * - Relations of other entities, that point to the removed entity, are removed. See {@link Entity.relate}.
+   *
    * @param entity Entity to remove from engine
    * @see onEntityRemoved
    */
   public removeEntity(entity: Entity): Engine {
-    if (!this._entityMap.has(entity.id)) return this;
-    const index = this._entities.indexOf(entity);
-    this._entities.splice(index, 1);
-    this._entityMap.delete(entity.id);
-    this.onEntityRemoved.emit(entity);
-    this.disconnectEntity(entity);
-
+    if (this._entityMap.get(entity.id) !== entity) return this;
+    const parent = entity.parent;
+    if (parent !== undefined && this._entityMap.get(parent.id) === parent) {
+      entity.setParent(undefined);
+    }
+    this.removeEntityTree(entity);
     return this;
   }
 
@@ -122,6 +225,7 @@ export class Engine {
     const index = this._systems.indexOf(system);
     if (index === -1) return this;
     this._systems.splice(index, 1);
+    this._addedSystems.splice(this._addedSystems.indexOf(system), 1);
     system.onRemovedFromEngine();
     system.setEngine(undefined);
     return this;
@@ -152,6 +256,7 @@ export class Engine {
   public removeAllSystems(): void {
     const systems = this._systems;
     this._systems = [];
+    this._addedSystems = [];
     for (const system of systems) {
       system.onRemovedFromEngine();
     }
@@ -164,6 +269,7 @@ export class Engine {
   public removeAllQueries(): void {
     const queries = this._queries;
     this._queries = [];
+    this._archetypes.removeAllQueries();
     for (const query of queries) {
       this.disconnectQuery(query);
       query.clear();
@@ -181,24 +287,124 @@ export class Engine {
   /**
    * Removes all entities, queries and systems.
    * All entities will be removed silently, {@link onEntityRemoved} event will not be fired.
-   * Queries will be cleared.
+   * Queries will be cleared, queued {@link commands} will be dropped.
    */
   public clear(): void {
+    this._commands.clear();
     this.removeAllEntitiesInternal(true);
     this.removeAllSystems();
     this.removeAllQueries();
   }
 
+  /**
+   * Captures the full state of the engine: entities, their components, linked components and tags, and the shared
+   * config. Components are copied, see {@link CloneableComponent} for customizing the copying.
+   *
+   * @return {EngineSnapshot}
+   * @see {@link restore}
+   */
+  public snapshot(): EngineSnapshot {
+    return new EngineSnapshot(
+      captureEntityState(this._sharedConfig),
+      this._entities.map(captureEntityState),
+      this._ids?.getState(),
+    );
+  }
+
+  /**
+   * Restores the state of the engine captured by {@link snapshot}.
+   *
+   * - Entities that are present in the engine are reused (matched by id), their content is replaced silently.
+   * - Entities, which identifiers were changed after the capture (e.g. they were renewed by {@link EntityPool}), get
+   *  the captured identifiers back. If such entity is in the engine, it's removed and added back.
+   * - Entities that are absent in the snapshot are removed from the engine, and {@link onEntityRemoved} is fired.
+   *  Their hierarchy and relations are cleared before, so removal doesn't cascade to snapshot entities.
+   * - Hierarchy and relations of the snapshot entities are replaced with the captured ones.
+   * - Entities that are absent in the engine are added back, and {@link onEntityAdded} is fired.
+   * - Queries are updated, and their signals are fired only for entities which membership was really changed.
+   * - Entity signals {@link Entity.onComponentAdded} and {@link Entity.onComponentRemoved} are not fired.
+   * - State of the engine {@link ids} allocator is restored, so the following identifiers repeat the captured sequence.
+   *
+   * @param {EngineSnapshot} snapshot
+   */
+  public restore(snapshot: EngineSnapshot): Engine {
+    const ids = new Set(snapshot.entities.map((state) => state.id));
+    const capturedIds = new Map(snapshot.entities.map((state) => [state.entity, state.id]));
+    for (const entity of this._entities) {
+      entity.unlink();
+    }
+    for (const state of snapshot.entities) {
+      state.entity.unlink();
+    }
+    for (const entity of Array.from(this._entities)) {
+      const capturedId = capturedIds.get(entity);
+      if (!ids.has(entity.id) || (capturedId !== undefined && capturedId !== entity.id)) {
+        this.removeEntityInternal(entity);
+      }
+    }
+
+    if (this._ids !== undefined && snapshot.ids !== undefined) {
+      this._ids.setState(snapshot.ids);
+    }
+
+    this.restoreEntityState(this._sharedConfig, snapshot.sharedConfig);
+    for (const state of snapshot.entities) {
+      const entity = this._entityMap.get(state.id);
+      if (entity !== undefined) {
+        this.restoreEntityState(entity, state);
+      } else {
+        state.entity.assignId(state.id);
+        applyEntityState(state.entity, state);
+        this.addEntity(state.entity);
+      }
+    }
+    for (const state of snapshot.entities) {
+      applyEntityLinks(state.entity, state);
+    }
+    for (const state of snapshot.entities) {
+      if (state.parent !== undefined && state.entity.parent === undefined) {
+        state.entity.setParent(state.parent);
+      }
+    }
+
+    this._entities = snapshot.entities.map((state) => this._entityMap.get(state.id)!);
+    return this;
+  }
+
   /**
    * Updates the engine. This cause updating all the systems in the engine in the order of priority they've been added.
+   * Inactive systems are skipped, see {@link System.isActive}.
+   * Commands queued to the {@link commands} buffer are applied after every system.
+   * Consecutive {@link ParallelSystem}s without conflicting access and ordering constraints between them are updated
+   * concurrently, and commands are applied after all of them are completed.
    *
    * @param dt Delta time in seconds
    */
   public update(dt: number, frameDelta: number): void {
-    for (const system of this._systems) {
+    this.deliverEvents('phase');
+    const systems = this._systems;
+    for (let i = 0; i < systems.length; i++) {
+      const system = systems[i];
+      if (!system.isActive) continue;
+      if (system instanceof ParallelSystem) {
+        i = this.updateParallel(systems, i, dt);
+        this._commands.flush(this);
+        this.deliverEvents('system');
+        continue;
+      }
+      const startTime = this._profiler?.now();
       system.signalBeforeUpdate.emit(dt);
       system.update(dt, frameDelta);
+      system.signalAfterUpdate.emit(dt);
+      system.signalAfterPhase.emit('update');
+      if (startTime !== undefined) {
+        this._profiler!.record(system.constructor.name, 'update', startTime);
+      }
+      this._commands.flush(this);
+      this.deliverEvents('system');
     }
+    this._commands.flush(this);
+    this.deliverEvents('phase');
   }
 
   /**
@@ -210,8 +416,18 @@ export class Engine {
    * @param query Entity match query
    */
   public addQuery(query: Query): Engine {
-    this.connectQuery(query);
-    query.matchEntities(this.entities);
+    if (query.signature !== undefined) {
+      for (const archetype of this._archetypes.addQuery(query)) {
+        for (const entity of archetype.entities) {
+          if (entity !== this._sharedConfig) {
+            query.addMatched(entity);
+          }
+        }
+      }
+    } else {
+      this.connectQuery(query);
+      query.matchEntities(this.entities);
+    }
     this._queries[this._queries.length] = query;
     return this;
   }
@@ -219,21 +435,28 @@ export class Engine {
   /**
    * Adds a system to engine, and set it's priority inside of engine update loop.
    *
+   * Systems are ordered by their {@link System.before} and {@link System.after} constraints first, and then by
+   * priority. Systems with the same priority are updated in the order they've been added.
+   *
    * @param system System to add to the engine
    * @param priority Value indicating the priority of updating system in update loop. Lower priority
    *  means sooner update.
+   * @throws An error if systems have a dependency cycle, the system is not added in this case
+   * @throws An error if the {@link ParallelSystem} can't access its components from the worker, or has conflicting
+   *  access with another parallel system without an ordering constraint between them
    */
   public addSystem(system: System, priority: number = 0): Engine {
+    if (system instanceof ParallelSystem) {
+      system.validateAccess();
+      this.checkAccessConflicts(system);
+    }
     system.setPriority(priority);
-    if (this._systems.length === 0) {
-      this._systems[0] = system;
-    } else {
-      const index = this._systems.findIndex(value => value.priority > priority);
-      if (index === -1) {
-        this._systems[this._systems.length] = system;
-      } else {
-        this._systems.splice(index, 0, system);
-      }
+    this._addedSystems.push(system);
+    try {
+      this.sortSystems();
+    } catch (error) {
+      this._addedSystems.pop();
+      throw error;
     }
     system.setEngine(this);
     system.onAddedToEngine();
@@ -241,6 +464,121 @@ export class Engine {
     return this;
   }
 
+  /**
+   * Gets an event channel for the event type. Channel is created, if it doesn't exist yet.
+   * Engine delivers written events of its channels after every system update (or after every update phase, depending
+   * on {@link EventChannelOptions.delivery}), and at the beginning of every update phase.
+   *
+   * @param {Class<T> | string} eventType Event class or name of the channel
+   * @param {EventChannelOptions} options Options, that are used only if the channel is created
+   * @return {EventChannel<T>}
+   * @see {@link EventChannel}
+   */
+  public getChannel<T>(eventType: Class<T> | string, options?: EventChannelOptions): EventChannel<T> {
+    let channel = this._channels.get(eventType);
+    if (channel === undefined) {
+      channel = new EventChannel<T>(options);
+      this._channels.set(eventType, channel);
+    }
+    return channel;
+  }
+
+  /**
+   * Enables the group of systems. Systems that become active will get {@link System.onEnabled} call.
+   *
+   * @param {string} group Group name
+   * @see {@link System.inGroup}
+   */
+  public enableGroup(group: string): Engine {
+    if (!this._disabledGroups.has(group)) return this;
+    return this.changeGroupState(group, () => this._disabledGroups.delete(group));
+  }
+
+  /**
+   * Disables the group of systems. Systems of the group stay in the engine and their queries are kept up to date,
+   * but they are not updated. Systems that stop being active will get {@link System.onDisabled} call.
+   * Group can be disabled before any system is added to it.
+   *
+   * @param {string} group Group name
+   * @see {@link System.inGroup}
+   */
+  public disableGroup(group: string): Engine {
+    if (this._disabledGroups.has(group)) return this;
+    return this.changeGroupState(group, () => this._disabledGroups.add(group));
+  }
+
+  /**
+   * Returns a value indicating whether the group of systems is enabled
+   *
+   * @param {string} group Group name
+   * @return {boolean}
+   */
+  public isGroupEnabled(group: string): boolean {
+    return !this._disabledGroups.has(group);
+  }
+
+  /**
+   * Gets a list of systems in the group
+   *
+   * @param {string} group Group name
+   * @return {System[]}
+   */
+  public getSystemsInGroup(group: string): System[] {
+    return this._systems.filter((system) => system.groups.indexOf(group) !== -1);
+  }
+
+  /**
+   * Orders systems according to their constraints and priorities.
+   * Systems list is replaced, so the update loop that is in progress is not affected.
+   *
+   * @internal
+   * @throws An error if systems have a dependency cycle
+   */
+  public sortSystems(): void {
+    const systems = this._addedSystems;
+    const successors: number[][] = systems.map(() => []);
+    const predecessors: number[][] = systems.map(() => []);
+    systems.forEach((system, i) => {
+      systems.forEach((other, j) => {
+        if (i === j) return;
+        if (system.runsBefore.some((it) => other.matches(it)) || other.runsAfter.some((it) => system.matches(it))) {
+          successors[i].push(j);
+          predecessors[j].push(i);
+        }
+      });
+    });
+
+    const inDegree = predecessors.map((it) => it.length);
+    const ready: number[] = [];
+    inDegree.forEach((degree, i) => {
+      if (degree === 0) ready.push(i);
+    });
+    const sorted: System[] = [];
+    while (ready.length > 0) {
+      let next = 0;
+      for (let i = 1; i < ready.length; i++) {
+        const priority = systems[ready[i]].priority;
+        const nextPriority = systems[ready[next]].priority;
+        if (priority < nextPriority || (priority === nextPriority && ready[i] < ready[next])) {
+          next = i;
+        }
+      }
+      const index = ready.splice(next, 1)[0];
+      sorted.push(systems[index]);
+      for (const successor of successors[index]) {
+        if (--inDegree[successor] === 0) {
+          ready.push(successor);
+        }
+      }
+    }
+
+    if (sorted.length < systems.length) {
+      const cycle = findCycle(predecessors, inDegree).map((index) => systems[index].constructor.name);
+      throw new Error(`Systems have a dependency cycle: ${cycle.join(' -> ')}`);
+    }
+    this._systems = sorted;
+  }
+
   /**
    * Removes a query and clear it.
    *
@@ -250,6 +588,7 @@ export class Engine {
     const index = this._queries.indexOf(query);
     if (index == -1) return undefined;
     this._queries.splice(index, 1);
+    this._archetypes.removeQuery(query);
     this.disconnectQuery(query);
     query.clear();
     return this;
@@ -321,16 +660,121 @@ export class Engine {
     }
   }
 
+  private removeEntityTree(entity: Entity): void {
+    for (const child of Array.from(entity.children)) {
+      if (this._entityMap.get(child.id) === child) {
+        this.removeEntityTree(child);
+      }
+    }
+    this.removeEntityInternal(entity);
+  }
+
+  private removeEntityInternal(entity: Entity): void {
+    const index = this._entities.indexOf(entity);
+    this._entities.splice(index, 1);
+    this._entityMap.delete(entity.id);
+    for (const query of this._archetypes.removeEntity(entity)!.queries) {
+      query.removeMatched(entity);
+    }
+    this.onEntityRemoved.emit(entity);
+    this.disconnectEntity(entity);
+    entity.releaseStoredComponents();
+    this._ids?.release(entity.id);
+    entity.removeIncomingRelations();
+  }
+
+  private updateParallel(systems: ReadonlyArray<System>, index: number, dt: number): number {
+    const batch: ParallelSystem[] = [];
+    let last = index;
+    for (let i = index; i < systems.length; i++) {
+      const system = systems[i];
+      if (!system.isActive) continue;
+      if (!(system instanceof ParallelSystem) || batch.some((other) => !canRunConcurrently(system, other))) break;
+      batch.push(system);
+      last = i;
+    }
+    const startTime = this._profiler?.now();
+    for (const system of batch) {
+      system.signalBeforeUpdate.emit(dt);
+      system.start(dt);
+    }
+    let error: unknown;
+    for (const system of batch) {
+      try {
+        system.complete();
+      } catch (e) {
+        // Other systems of the batch must be completed anyway, so their workers are ready for the next update
+        error = error ?? e;
+        continue;
+      }
+      system.signalAfterUpdate.emit(dt);
+      system.signalAfterPhase.emit('update');
+      if (startTime !== undefined) {
+        this._profiler!.record(system.constructor.name, 'update', startTime);
+      }
+    }
+    if (error !== undefined) {
+      throw error;
+    }
+    return last;
+  }
+
+  private checkAccessConflicts(system: ParallelSystem): void {
+    for (const other of this._addedSystems) {
+      if (!(other instanceof ParallelSystem) || isOrdered(system, other)) continue;
+      const componentClass = system.findAccessConflict(other);
+      if (componentClass !== undefined) {
+        throw new Error(
+          `${system} and ${other} have conflicting access to component "${componentClass.name}", ` +
+          'declare their order with before() or after()',
+        );
+      }
+    }
+  }
+
+  private deliverEvents(delivery: EventDelivery): void {
+    if (this._channels.size === 0) return;
+    this._channels.forEach((channel) => {
+      if (delivery === 'phase' || channel.delivery === 'system') {
+        channel.deliver();
+      }
+    });
+  }
+
+  private changeGroupState(group: string, change: () => void): Engine {
+    const systems = this.getSystemsInGroup(group);
+    const states = systems.map((system) => system.isActive);
+    change();
+    systems.forEach((system, index) => system.updateActivity(states[index]));
+    return this;
+  }
+
   private connectEntity(entity: Entity) {
     entity.onComponentAdded.connect(this.onComponentAdded, Number.POSITIVE_INFINITY);
     entity.onComponentRemoved.connect(this.onComponentRemoved, Number.POSITIVE_INFINITY);
     entity.onInvalidationRequested.connect(this.onInvalidationRequested, Number.NEGATIVE_INFINITY);
+    entity.onComponentChanged.connect(this.onComponentChanged, Number.POSITIVE_INFINITY);
   }
 
   private disconnectEntity(entity: Entity) {
     entity.onComponentAdded.disconnect(this.onComponentAdded);
     entity.onComponentRemoved.disconnect(this.onComponentRemoved);
     entity.onInvalidationRequested.disconnect(this.onInvalidationRequested);
+    entity.onComponentChanged.disconnect(this.onComponentChanged);
+  }
+
+  private bindTrackedComponents(entity: Entity): void {
+    for (const key of Object.keys(entity.components)) {
+      const id = Number(key);
+      const component = entity.components[id];
+      if (isLinkedComponent(component)) {
+        entity.getLinkedComponentList(id, false)!.iterate((instance) => {
+          setComponentOwner(instance, entity, getComponentClassById(id));
+        });
+      } else {
+        setComponentOwner(component, entity, getComponentClassById(id));
+      }
+    }
   }
 
   private connectQuery(query: Query) {
@@ -343,64 +787,206 @@ export class Engine {
     this.onEntityRemoved.disconnect(query.entityRemoved);
   }
 
+  private restoreEntityState(entity: Entity, state: EntityState): void {
+    this.disconnectEntity(entity);
+    applyEntityState(entity, state);
+    this.bindTrackedComponents(entity);
+    this.connectEntity(entity);
+    this.applyTransition(entity, this._archetypes.relocate(entity));
+    this.onInvalidationRequested(entity);
+  }
+
   private removeAllEntitiesInternal(silently: boolean): void {
     const entities = this._entities;
     this._entities = [];
     this._entityMap.clear();
     for (const entity of entities) {
+      const archetype = this._archetypes.removeEntity(entity)!;
       if (!silently) {
+        for (const query of archetype.queries) {
+          query.removeMatched(entity);
+        }
         this.onEntityRemoved.emit(entity);
       }
       this.disconnectEntity(entity);
+      entity.releaseStoredComponents();
+      this._ids?.release(entity.id);
+    }
+  }
+
+  private applyTransition<T>(
+    entity: Entity,
+    transition: ArchetypeTransition | undefined,
+    component?: NonNullable<T>,
+    componentClass?: Class<NonNullable<T>>,
+  ): void {
+    if (transition === undefined) return;
+    for (const query of transition.removedQueries) {
+      query.removeMatched(entity, component, componentClass);
+    }
+    for (const query of transition.addedQueries) {
+      query.addMatched(entity, component, componentClass);
     }
   }
 
   private onComponentAdded = <T>(entity: Entity, component: NonNullable<T>, componentClass?: Class<NonNullable<T>>) => {
-    this._queries.forEach(value => value.entityComponentAdded(entity, component, componentClass));
+    const startTime = this._profiler?.now();
+    setComponentOwner(component, entity, componentClass);
+    this.applyTransition(entity, this._archetypes.componentChanged(entity, component, componentClass), component, componentClass);
+    for (const query of this._queries) {
+      if (query.signature === undefined) {
+        query.entityComponentAdded(entity, component, componentClass);
+      } else if (query.needsRefresh) {
+        query.refreshEntity(entity);
+      }
+    }
+    this.validateDependents(entity);
+    if (startTime !== undefined) {
+      this._profiler!.record('onComponentAdded', 'query', startTime);
+    }
+  };
+
+  private onComponentChanged = <T>(entity: Entity, component: NonNullable<T>, componentClass?: Class<NonNullable<T>>) => {
+    for (const query of this._queries) {
+      if (query.isTracking) {
+        query.entityComponentChanged(entity, component, componentClass);
+      }
+      if (query.needsRefresh) {
+        query.refreshEntity(entity);
+      }
+    }
   };
 
   private onInvalidationRequested = (entity: Entity) => {
-    this._queries.forEach(value => value.validateEntity(entity));
+    for (const query of this._queries) {
+      if (query.signature === undefined) {
+        query.validateEntity(entity);
+      } else if (query.needsRefresh) {
+        query.refreshEntity(entity);
+      }
+    }
   };
 
   private onComponentRemoved = <T>(entity: Entity, component: NonNullable<T>, componentClass?: Class<NonNullable<T>>) => {
-    this._queries.forEach(value => value.entityComponentRemoved(entity, component, componentClass));
+    const startTime = this._profiler?.now();
+    this.applyTransition(entity, this._archetypes.componentChanged(entity, component, componentClass), component, componentClass);
+    for (const query of this._queries) {
+      if (query.signature === undefined) {
+        query.entityComponentRemoved(entity, component, componentClass);
+      } else if (query.needsRefresh) {
+        query.refreshEntity(entity);
+      }
+    }
+    this.validateDependents(entity);
+    if (startTime !== undefined) {
+      this._profiler!.record('onComponentRemoved', 'query', startTime);
+    }
+  };
+
+  private validateDependents(entity: Entity): void {
+    for (const child of entity.children) {
+      this.validateDependent(child);
+    }
+    entity.forEachRelationSource(this.validateDependent);
+  }
+
+  private validateDependent = (entity: Entity) => {
+    if (this._entityMap.get(entity.id) === entity) {
+      this.onInvalidationRequested(entity);
+    }
   };
 
   /**
    * Updates the engine. Called multiple times per frame. Useful for determinisitic systems such as physics that need to run the same regardless of framerate.
+   * Commands queued to the {@link commands} buffer are applied after every system.
    *
    * @param dt      Fixed Delta time in seconds
    */
   public updateFixed(dt: number): void {
+    this.deliverEvents('phase');
     for (const system of this._systems) {
+      if (!system.isActive) continue;
+      const startTime = this._profiler?.now();
       system.updateFixed(dt);
+      system.signalAfterPhase.emit('updateFixed');
+      if (startTime !== undefined) {
+        this._profiler!.record(system.constructor.name, 'updateFixed', startTime);
+      }
+      this._commands.flush(this);
+      this.deliverEvents('system');
     }
+    this._commands.flush(this);
+    this.deliverEvents('phase');
   }
 
   /**
    * Updates the engine. Called once per frame, after update. Useful for updating cameras before updateRender is called.
+   * Commands queued to the {@link commands} buffer are applied after every system.
    *
    * @param dt Delta time in seconds
    */
   public updateLate(dt: number): void {
+    this.deliverEvents('phase');
     for (const system of this._systems) {
+      if (!system.isActive) continue;
+      const startTime = this._profiler?.now();
       system.updateLate(dt);
+      system.signalAfterPhase.emit('updateLate');
+      if (startTime !== undefined) {
+        this._profiler!.record(system.constructor.name, 'updateLate', startTime);
+      }
+      this._commands.flush(this);
+      this.deliverEvents('system');
     }
+    this._commands.flush(this);
+    this.deliverEvents('phase');
   }
 
   /**
    * Updates the engine. Called once per frame, after updateLate and update. This is the last thing called in the frame, making it useful for any rendering.
+   * Commands queued to the {@link commands} buffer are applied after every system.
    *
    * @param dt Delta time in seconds
+   * @param alpha Interpolation factor between the previous and the current fixed step state, in range `[0, 1]`
+   * @see {@link GameLoop.alpha}
    */
-  public updateRender(dt: number): void {
+  public updateRender(dt: number, alpha: number = 1): void {
+    this.deliverEvents('phase');
     for (const system of this._systems) {
-      system.updateRender(dt);
+      if (!system.isActive) continue;
+      const startTime = this._profiler?.now();
+      system.updateRender(dt, alpha);
+      system.signalAfterPhase.emit('updateRender');
+      if (startTime !== undefined) {
+        this._profiler!.record(system.constructor.name, 'updateRender', startTime);
+      }
+      this._commands.flush(this);
+      this.deliverEvents('system');
     }
+    this._commands.flush(this);
+    this.deliverEvents('phase');
   }
 
   public hasSystem<T extends System>(systemClass: Class<T>): boolean {
     return this.getSystem(systemClass) != undefined;
   }
 }
+
+function isOrdered(system: System, other: System): boolean {
+  return system.runsBefore.some((it) => other.matches(it)) || system.runsAfter.some((it) => other.matches(it)) ||
+    other.runsBefore.some((it) => system.matches(it)) || other.runsAfter.some((it) => system.matches(it));
+}
+
+function canRunConcurrently(system: System, other: System): boolean {
+  return !isOrdered(system, other) && system.findAccessConflict(other) === undefined;
+}
+
+function findCycle(predecessors: number[][], inDegree: number[]): number[] {
+  const path: number[] = [];
+  let current = inDegree.findIndex((degree) => degree > 0);
+  while (path.indexOf(current) === -1) {
+    path.push(current);
+    current = predecessors[current].find((index) => inDegree[index] > 0)!;
+  }
+  return path.slice(path.indexOf(current)).concat(current).reverse();
+}
@@ -0,0 +1,142 @@
+import {Entity, RelationKind} from './Entity';
+import {Tag} from './Tag';
+import {ILinkedComponent, isLinkedComponent} from './LinkedComponent';
+import {EntityIdAllocatorState} from './EntityIdAllocator';
+
+/**
+ * Component that knows how to make a copy of itself.
+ * If component doesn't implement this interface, snapshot will make a shallow copy of its own fields.
+ *
+ * @see {@link Engine.snapshot}
+ */
+export interface CloneableComponent {
+  clone(): this;
+}
+
+/**
+ * @internal
+ */
+export interface EntityState {
+  readonly entity: Entity;
+  /**
+   * Identifier of the entity at the moment of capture
+   */
+  readonly id: number;
+  /**
+   * Pairs of component id and list of component copies. Standard components are presented as a single item list,
+   * linked components are presented in the order of appending.
+   */
+  readonly components: ReadonlyArray<[number, ReadonlyArray<unknown>]>;
+  readonly tags: ReadonlyArray<Tag>;
+  readonly parent?: Entity;
+  readonly children: ReadonlyArray<Entity>;
+  /**
+   * Pairs of relation kind and list of targets
+   */
+  readonly relations: ReadonlyArray<[RelationKind, ReadonlyArray<Entity>]>;
+}
+
+/**
+ * Snapshot of the full {@link Engine} state: entities, their components, linked components, tags, hierarchy and
+ * relations, shared config and the state of the entity id allocator. Snapshot holds copies of the components, so modifying entities
+ * after capturing doesn't affect it, and the same snapshot can be restored multiple times.
+ *
+ * @see {@link Engine.snapshot}, {@link Engine.restore}
+ */
+export class EngineSnapshot {
+  /**
+   * @internal
+   */
+  public constructor(
+    public readonly sharedConfig: EntityState,
+    public readonly entities: ReadonlyArray<EntityState>,
+    public readonly ids?: EntityIdAllocatorState,
+  ) {}
+
+  /**
+   * Gets the number of entities in the snapshot
+   */
+  public get size(): number {
+    return this.entities.length;
+  }
+}
+
+/**
+ * Creates a copy of the component. If component implements {@link CloneableComponent} then its `clone` method will be
+ * used, otherwise a shallow copy with the same prototype will be created.
+ * Linked components are always detached from their chain in the copy.
+ *
+ * @param {T} component
+ * @return {T}
+ */
+export function cloneComponent<T>(component: T): T {
+  let result: T;
+  if (isCloneable(component)) {
+    result = component.clone();
+  } else {
+    result = Object.assign(Object.create(Object.getPrototypeOf(component)), component);
+  }
+  if (isLinkedComponent(result)) {
+    (result as ILinkedComponent).next = undefined;
+  }
+  return result;
+}
+
+/**
+ * @internal
+ */
+export function captureEntityState(entity: Entity): EntityState {
+  const components: Array<[number, unknown[]]> = [];
+  for (const key of Object.keys(entity.components)) {
+    const id = Number(key);
+    const component = entity.components[id];
+    const copies: unknown[] = [];
+    if (isLinkedComponent(component)) {
+      entity.getLinkedComponentList(id, false)!.iterate((linkedComponent) => {
+        copies.push(cloneComponent(linkedComponent));
+      });
+    } else {
+      copies.push(cloneComponent(component));
+    }
+    components.push([id, copies]);
+  }
+  return {
+    entity,
+    id: entity.id,
+    components,
+    tags: entity.getTags(),
+    parent: entity.parent,
+    children: Array.from(entity.children),
+    relations: entity.getRelations(),
+  };
+}
+
+/**
+ * Silently replaces entity content with the captured state. Signals are not dispatched.
+ * Hierarchy and relations are restored separately by {@link applyEntityLinks}.
+ * @internal
+ */
+export function applyEntityState(entity: Entity, state: EntityState): void {
+  const components: Array<[number, unknown[]]> = state.components.map(([id, copies]) => [id, copies.map(cloneComponent)]);
+  entity.restoreState(components, state.tags);
+}
+
+/**
+ * Attaches captured children to the entity in their order and creates captured relations.
+ * Entity and its captured children and targets are expected to be unlinked before.
+ * @internal
+ */
+export function applyEntityLinks(entity: Entity, state: EntityState): void {
+  for (const child of state.children) {
+    child.setParent(entity);
+  }
+  for (const [kind, targets] of state.relations) {
+    for (const target of targets) {
+      entity.relate(kind, target);
+    }
+  }
+}
+
+function isCloneable(component: unknown): component is CloneableComponent {
+  return typeof (component as any).clone === 'function';
+}
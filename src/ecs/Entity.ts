@@ -4,6 +4,8 @@ import {Signal} from '../utils/Signal';
 import {isTag, Tag} from './Tag';
 import {ILinkedComponent, isLinkedComponent} from './LinkedComponent';
 import {LinkedComponentList} from './LinkedComponentList';
+import {releaseComponent, storeComponent} from './TypedStorage';
+import {applySchemaDefaults, assertValid, isSchemaValidationEnabled, validateComponent, validateComponentData} from './ComponentSchema';
 
 /**
  * Entity readonly interface
@@ -251,17 +253,39 @@ export class Entity implements ReadonlyEntity {
    * manually, if some of your queries depends on logic or component`s properties.
    */
   public readonly onInvalidationRequested: Signal<(entity: Entity) => void> = new Signal();
-
   /**
-   * Unique id identifier
+   * The signal dispatches if component data was marked as changed via {@link Entity.markChanged}, or automatically
+   * by the component created via {@link trackChanges}.
    */
-  public readonly id = entityId++;
+  public readonly onComponentChanged: Signal<ComponentUpdateHandler> = new Signal();
 
+  private _id: number;
   private _components: Record<number, unknown> = {};
   private _linkedComponents: Record<number, LinkedComponentList<ILinkedComponent>> = {};
   private _tags: Set<Tag> = new Set();
+  private _parent?: Entity;
+  private _children?: Entity[];
+  private _relations?: Map<RelationKind, Entity[]>;
+  private _sources?: Map<RelationKind, Entity[]>;
+  private _stored: boolean = false;
   public static NumberComponents = 0;
 
+  /**
+   * Initializes Entity instance
+   * @param {number} id Entity identifier. If not defined, identifier will be taken from the global sequence.
+   *  Use {@link Engine.createEntity} to create an entity with identifier allocated by the engine.
+   */
+  public constructor(id?: number) {
+    this._id = id ?? entityId++;
+  }
+
+  /**
+   * Unique id identifier
+   */
+  public get id(): number {
+    return this._id;
+  }
+
   /**
    * Returns components map, where key is component identifier, and value is a component itself
    * @see {@link getComponentId}, {@link Entity.getComponents}
@@ -278,6 +302,302 @@ export class Entity implements ReadonlyEntity {
     return this._tags;
   }
 
+  /**
+   * Gets a parent of the entity, or `undefined` if the entity is a root
+   */
+  public get parent(): Entity | undefined {
+    return this._parent;
+  }
+
+  /**
+   * Gets a list of the entity children
+   */
+  public get children(): ReadonlyArray<Entity> {
+    return this._children ?? NO_ENTITIES;
+  }
+
+  /**
+   * Gets a value indicating whether the entity has no parent
+   */
+  public get isRoot(): boolean {
+    return this._parent === undefined;
+  }
+
+  /**
+   * Gets the topmost ancestor of the entity, or the entity itself if it is a root
+   */
+  public get root(): Entity {
+    let result: Entity = this;
+    while (result._parent !== undefined) {
+      result = result._parent;
+    }
+    return result;
+  }
+
+  /**
+   * Attaches the entity to the new parent, detaching it from the previous one.
+   * Entity is appended to the end of the parent children list.
+   *
+   * - Parent and children are not added to the engine automatically. But removing the parent via
+   *  {@link Engine.removeEntity} removes all its descendants as well.
+   * - {@link onInvalidationRequested} is dispatched, so queries that depend on the hierarchy will be updated.
+   *
+   * @throws Throws error if the new parent is the entity itself or one of its descendants
+   * @param {Entity | undefined} parent New parent, or `undefined` to make the entity a root
+   * @returns {Entity} Reference to the entity itself. It helps to build chain of calls.
+   * @see {@link addChild}, {@link removeChild}
+   */
+  public setParent(parent: Entity | undefined): Entity {
+    if (parent === this._parent) return this;
+    if (parent !== undefined && (parent === this || parent.isDescendantOf(this))) {
+      throw new Error(`Entity ${parent.id} can't become a parent of entity ${this.id}, because it's its descendant`);
+    }
+    if (this._parent !== undefined) {
+      const siblings = this._parent._children!;
+      siblings.splice(siblings.indexOf(this), 1);
+    }
+    this._parent = parent;
+    if (parent !== undefined) {
+      if (parent._children === undefined) {
+        parent._children = [];
+      }
+      parent._children.push(this);
+    }
+    this.invalidate();
+    return this;
+  }
+
+  /**
+   * Attaches the child to the entity. It's a shorthand for `child.setParent(entity)`.
+   *
+   * @param {Entity} child
+   * @returns {Entity} Reference to the entity itself. It helps to build chain of calls.
+   * @see {@link setParent}
+   * @example
+   * ```ts
+   * const ship = new Entity()
+   *   .addChild(new Entity().add(new Turret()))
+   *   .addChild(new Entity().add(new Thruster()));
+   * ```
+   */
+  public addChild(child: Entity): Entity {
+    child.setParent(this);
+    return this;
+  }
+
+  /**
+   * Detaches the child from the entity. If the passed entity is not a child - no actions will be done.
+   *
+   * @param {Entity} child
+   * @returns {Entity} Reference to the entity itself. It helps to build chain of calls.
+   */
+  public removeChild(child: Entity): Entity {
+    if (child._parent === this) {
+      child.setParent(undefined);
+    }
+    return this;
+  }
+
+  /**
+   * Returns a value indicating whether the entity is a descendant of the passed one
+   *
+   * @param {Entity} ancestor
+   * @return {boolean}
+   */
+  public isDescendantOf(ancestor: Entity): boolean {
+    let current = this._parent;
+    while (current !== undefined) {
+      if (current === ancestor) return true;
+      current = current._parent;
+    }
+    return false;
+  }
+
+  /**
+   * Performs depth-first traversal over the entity and its descendants. Entity is visited before its children.
+   *
+   * @param {(entity: Entity) => boolean | void} action Action, that will be called for every visited entity. If it
+   *  returns `false` - children of the entity will be skipped.
+   * @example
+   * ```ts
+   * ship.traverse((entity) => {
+   *   entity.add(DESTROYED);
+   * });
+   * ```
+   */
+  public traverse(action: (entity: Entity) => boolean | void): void {
+    if (action(this) === false || this._children === undefined) return;
+    for (const child of Array.from(this._children)) {
+      child.traverse(action);
+    }
+  }
+
+  /**
+   * Creates a relation of the specific kind from the entity to the target.
+   * Entity can have multiple relations of the same kind with different targets.
+   * If the relation already exists - no actions will be done.
+   *
+   * - Relation is removed automatically when the target is removed from the engine.
+   * - {@link onInvalidationRequested} is dispatched, so queries that depend on relations will be updated.
+   *
+   * @param {RelationKind} kind Relation kind: component class or tag
+   * @param {Entity} target Target entity
+   * @returns {Entity} Reference to the entity itself. It helps to build chain of calls.
+   * @example
+   * ```ts
+   * class Targets {}
+   * const OWNED_BY = 'ownedBy';
+   *
+   * turret.relate(Targets, enemy).relate(OWNED_BY, player);
+   * const enemies = turret.getRelated(Targets);
+   * ```
+   */
+  public relate(kind: RelationKind, target: Entity): Entity {
+    if (this._relations === undefined) {
+      this._relations = new Map();
+    }
+    const targets = this._relations.get(kind);
+    if (targets === undefined) {
+      this._relations.set(kind, [target]);
+    } else if (targets.indexOf(target) === -1) {
+      targets.push(target);
+    } else {
+      return this;
+    }
+    if (target._sources === undefined) {
+      target._sources = new Map();
+    }
+    const sources = target._sources.get(kind);
+    if (sources === undefined) {
+      target._sources.set(kind, [this]);
+    } else {
+      sources.push(this);
+    }
+    this.invalidate();
+    return this;
+  }
+
+  /**
+   * Removes a relation of the specific kind from the entity. If the relation doesn't exist - no actions will be done.
+   *
+   * @param {RelationKind} kind Relation kind
+   * @param {Entity} target Target of the relation. If not defined - relations with all targets will be removed.
+   * @returns {Entity} Reference to the entity itself. It helps to build chain of calls.
+   */
+  public unrelate(kind: RelationKind, target?: Entity): Entity {
+    const targets = this._relations?.get(kind);
+    if (targets === undefined) return this;
+    const removed = target === undefined ? targets : targets.filter((it) => it === target);
+    if (removed.length === 0) return this;
+    for (const item of removed) {
+      const sources = item._sources!.get(kind)!;
+      sources.splice(sources.indexOf(this), 1);
+      if (sources.length === 0) {
+        item._sources!.delete(kind);
+      }
+    }
+    if (removed.length === targets.length) {
+      this._relations!.delete(kind);
+    } else {
+      targets.splice(targets.indexOf(target!), 1);
+    }
+    this.invalidate();
+    return this;
+  }
+
+  /**
+   * Removes all relations of the entity
+   */
+  public clearRelations(): void {
+    if (this._relations === undefined) return;
+    for (const kind of Array.from(this._relations.keys())) {
+      this.unrelate(kind);
+    }
+  }
+
+  /**
+   * Gets a list of targets of the specific relation kind
+   *
+   * @param {RelationKind} kind Relation kind
+   * @return {ReadonlyArray<Entity>}
+   */
+  public getRelated(kind: RelationKind): ReadonlyArray<Entity> {
+    return this._relations?.get(kind) ?? NO_ENTITIES;
+  }
+
+  /**
+   * Gets a list of entities, which have a relation of the specific kind to this entity
+   *
+   * @param {RelationKind} kind Relation kind
+   * @return {ReadonlyArray<Entity>}
+   */
+  public getRelationSources(kind: RelationKind): ReadonlyArray<Entity> {
+    return this._sources?.get(kind) ?? NO_ENTITIES;
+  }
+
+  /**
+   * Returns a value indicating whether the entity has a relation of the specific kind
+   *
+   * @param {RelationKind} kind Relation kind
+   * @param {Entity} target Target of the relation. If not defined - relation with any target will be accepted.
+   * @return {boolean}
+   */
+  public hasRelation(kind: RelationKind, target?: Entity): boolean {
+    const targets = this._relations?.get(kind);
+    if (targets === undefined) return false;
+    return target === undefined || targets.indexOf(target) !== -1;
+  }
+
+  /**
+   * Removes all relations, that point to this entity
+   *
+   * @internal
+   */
+  public removeIncomingRelations(): void {
+    if (this._sources === undefined) return;
+    for (const [kind, sources] of Array.from(this._sources)) {
+      for (const source of Array.from(sources)) {
+        source.unrelate(kind, this);
+      }
+    }
+  }
+
+  /**
+   * Iterates over entities, which have relations to this entity
+   *
+   * @internal
+   */
+  public forEachRelationSource(action: (source: Entity) => void): void {
+    if (this._sources === undefined) return;
+    this._sources.forEach((sources) => sources.forEach(action));
+  }
+
+  /**
+   * Gets pairs of relation kind and list of targets
+   *
+   * @internal
+   */
+  public getRelations(): Array<[RelationKind, Entity[]]> {
+    if (this._relations === undefined) return [];
+    return Array.from(this._relations).map(([kind, targets]) => [kind, Array.from(targets)] as [RelationKind, Entity[]]);
+  }
+
+  /**
+   * Detaches the entity from its parent and children, and removes its outgoing and incoming relations
+   *
+   * @internal
+   */
+  public unlink(): void {
+    this.setParent(undefined);
+    if (this._children !== undefined) {
+      for (const child of Array.from(this._children)) {
+        child.setParent(undefined);
+      }
+    }
+    this.clearRelations();
+    this.removeIncomingRelations();
+  }
+
   public toString(): string {
     return `Entity${this.id} [${Array.from(Object.values(this.components)).map((c: any) => c.constructor.name)}]`;
   }
@@ -297,8 +617,12 @@ export class Entity implements ReadonlyEntity {
    *  instance and {@link onComponentAdded} will be triggered for the passed component.
    * - Linked component always replaces all existing instances. Even if the passed instance already exists in the
    *  Entity - all existing linked components will be removed anyway, and replaced with the passed one.
+   * - If the component class has a schema (see {@link defineComponentSchema}), then the component created from the
+   *  class gets schema defaults for fields missing in data. Data and component are validated against the schema, if
+   *  validation is enabled.
    *
    * @throws Throws error if component is null or undefined, or if component is not an instance of the class as well
+   * @throws Throws error if data or component doesn't match the schema of the component class
    * @param {T | Tag} componentOrTag Component instance or Tag
    * @param {K} resolveClass Class that should be used as resolving class.
    *  Passed class always should be an ancestor of Component's class.
@@ -322,6 +646,13 @@ export class Entity implements ReadonlyEntity {
       this.addTag(componentOrTag);
     } else {
       const component = isClass(componentOrTag) ? new componentOrTag() : componentOrTag;
+      if (isClass(componentOrTag)) {
+        applySchemaDefaults(component, data);
+      }
+      if (isSchemaValidationEnabled()) {
+        const componentClass = Object.getPrototypeOf(component).constructor;
+        assertValid(componentClass, validateComponentData(componentClass, data));
+      }
       Object.assign(component, data);
       this.addComponent(component as NonNullable<T>, resolveClass);
     }
@@ -419,8 +750,13 @@ export class Entity implements ReadonlyEntity {
    * - During components replacement {@link onComponentRemoved} and {@link onComponentAdded} are will be triggered
    *  sequentially.
    * - If there is no component of the same type - then only {@link onComponentAdded} will be triggered.
+   * - If validation is enabled, component is validated against the schema of its class, see
+   *  {@link defineComponentSchema}.
+   * - If the component class has a typed storage (see {@link defineTypedStorage}), values of the component are copied
+   *  to the storage, and the view of the component is added instead.
    *
    * @throws Throws error if component is null or undefined, or if component is not an instance of the class as well
+   * @throws Throws error if component doesn't match the schema of its class
    * @param {T} component Component instance
    * @param {K} resolveClass Class that should be used as resolving class.
    *  Passed class always should be an ancestor of Component's class.
@@ -436,6 +772,19 @@ export class Entity implements ReadonlyEntity {
    * ```
    */
   public addComponent<T extends K, K extends unknown>(component: NonNullable<T>, resolveClass?: Class<K>): void {
+    if (isSchemaValidationEnabled()) {
+      assertValid(Object.getPrototypeOf(component).constructor, validateComponent(component));
+    }
+    this.addComponentUnchecked(component, resolveClass);
+  }
+
+  /**
+   * Adds the component without validation against the schema of its class. It's used for internal copies of components,
+   * which were validated when they were added.
+   *
+   * @internal
+   */
+  public addComponentUnchecked<T extends K, K extends unknown>(component: NonNullable<T>, resolveClass?: Class<K>): void {
     const componentClass = getComponentClass(component, resolveClass);
     const id = getComponentId(componentClass, true)!;
     const linkedComponent = isLinkedComponent(component);
@@ -446,10 +795,11 @@ export class Entity implements ReadonlyEntity {
       this.remove(componentClass);
     }
     if (linkedComponent) {
-      this.append(component as ILinkedComponent, resolveClass as Class<ILinkedComponent>);
+      this.appendComponentUnchecked(component as ILinkedComponent, resolveClass as Class<ILinkedComponent>);
     } else {
-      this._components[id] = component;
-      this.dispatchOnComponentAdded(component);
+      const stored = this._stored ? storeComponent(this, component) : component;
+      this._components[id] = stored;
+      this.dispatchOnComponentAdded(stored, componentClass);
     }
     Entity.NumberComponents++;
   }
@@ -485,6 +835,18 @@ export class Entity implements ReadonlyEntity {
    * ```
    */
   public appendComponent<T extends K, K extends ILinkedComponent>(component: NonNullable<T>, resolveClass?: Class<K>): Entity {
+    if (isSchemaValidationEnabled()) {
+      assertValid(Object.getPrototypeOf(component).constructor, validateComponent(component));
+    }
+    return this.appendComponentUnchecked(component, resolveClass);
+  }
+
+  /**
+   * Appends the linked component without validation against the schema of its class
+   *
+   * @internal
+   */
+  public appendComponentUnchecked<T extends K, K extends ILinkedComponent>(component: NonNullable<T>, resolveClass?: Class<K>): Entity {
     const componentClass = getComponentClass(component, resolveClass);
     const componentId = getComponentId(componentClass, true)!;
     const componentList = this.getLinkedComponentList(componentId)!;
@@ -492,7 +854,7 @@ export class Entity implements ReadonlyEntity {
     if (this._components[componentId] === undefined) {
       this._components[componentId] = componentList.head;
     }
-    this.dispatchOnComponentAdded(component);
+    this.dispatchOnComponentAdded(component, componentClass);
     return this;
   }
 
@@ -724,7 +1086,8 @@ export class Entity implements ReadonlyEntity {
       }
     } else {
       delete this._components[id];
-      this.dispatchOnComponentRemoved(value);
+      this.dispatchOnComponentRemoved(value, componentClassOrTag);
+      releaseComponent(this, value);
     }
 
     return value as T;
@@ -749,11 +1112,37 @@ export class Entity implements ReadonlyEntity {
    * Removes all components and tags from entity
    */
   public clear(): void {
+    this.releaseComponents();
     this._components = {};
     this._linkedComponents = {};
     this._tags.clear();
   }
 
+  /**
+   * Prepares released entity for reuse: silently removes all components and tags, disconnects all signal handlers
+   * and assigns a new identifier.
+   *
+   * @internal
+   * @param {number} id New identifier. If not defined, identifier will be taken from the global sequence.
+   */
+  public renew(id?: number): void {
+    this.clear();
+    this.onComponentAdded.disconnectAll();
+    this.onComponentRemoved.disconnectAll();
+    this.onInvalidationRequested.disconnectAll();
+    this.onComponentChanged.disconnectAll();
+    this._id = id ?? entityId++;
+  }
+
+  /**
+   * Replaces the identifier of the entity, that is not added to the engine yet
+   *
+   * @internal
+   */
+  public assignId(id: number): void {
+    this._id = id;
+  }
+
   /**
    * Copies content from entity to itself.
    * Linked components structure will be copied by the link, because we can't duplicate linked list order without
@@ -770,6 +1159,63 @@ export class Entity implements ReadonlyEntity {
     return this;
   }
 
+  /**
+   * Replaces components, which classes have typed storages, with views of the storages. Signals are not dispatched.
+   * Components, added after that, are stored as well.
+   *
+   * @internal
+   * @see {@link TypedStorage}
+   */
+  public storeComponents(): void {
+    this._stored = true;
+    for (const key of Object.keys(this._components)) {
+      const id = Number(key);
+      const component = this._components[id];
+      if (!isLinkedComponent(component)) {
+        this._components[id] = storeComponent(this, component);
+      }
+    }
+  }
+
+  /**
+   * Frees slots of typed storages, allocated for the entity components. Components keep their values.
+   *
+   * @internal
+   * @see {@link TypedStorage}
+   */
+  public releaseStoredComponents(): void {
+    this._stored = false;
+    this.releaseComponents();
+  }
+
+  /**
+   * Silently replaces all components and tags of the entity. Signals are not dispatched.
+   *
+   * @internal
+   * @param components Pairs of component id and component instances. Linked components will be chained in the order
+   *  of the list.
+   * @param tags List of tags
+   */
+  public restoreState(components: ReadonlyArray<[number, ReadonlyArray<unknown>]>, tags: ReadonlyArray<Tag>): void {
+    this.releaseComponents();
+    this._components = {};
+    this._linkedComponents = {};
+    for (const [id, instances] of components) {
+      if (instances.length === 0) continue;
+      if (isLinkedComponent(instances[0])) {
+        const list = new LinkedComponentList<ILinkedComponent>();
+        for (const instance of instances) {
+          list.add(instance as ILinkedComponent);
+        }
+        this._linkedComponents[id] = list;
+        this._components[id] = list.head;
+      } else {
+        this._components[id] = this._stored ? storeComponent(this, instances[0]) : instances[0];
+      }
+    }
+    this._tags = new Set(tags);
+  }
+
   /**
    * Iterates over instances of linked component appended to the Entity and performs the action over each.<br>
    * Works and for standard components (action will be called for a single instance in this case).
@@ -865,6 +1311,26 @@ export class Entity implements ReadonlyEntity {
     this.onInvalidationRequested.emit(this);
   }
 
+  /**
+   * Marks the component data as changed. Queries built with {@link QueryBuilder.changed} will contain the entity
+   * until their changes are reset.
+   * If entity doesn't have the component - no actions will be done.
+   *
+   * @param {Class<T>} componentClass Class of the changed component
+   * @see {@link trackChanges}
+   * @example
+   * ```ts
+   * entity.get(Position)!.x += 10;
+   * entity.markChanged(Position);
+   * ```
+   */
+  public markChanged<T>(componentClass: Class<T>): void {
+    const component = this.get(componentClass);
+    if (component !== undefined && this.onComponentChanged.hasHandlers) {
+      this.onComponentChanged.emit(this, component, componentClass);
+    }
+  }
+
   /**
    * @internal
    * @param {EntitySnapshot} result
@@ -931,20 +1397,29 @@ export class Entity implements ReadonlyEntity {
       this._components[componentId] = componentList.head;
     }
     if (result !== undefined) {
-      this.dispatchOnComponentRemoved(result);
+      this.dispatchOnComponentRemoved(result, componentClass);
     }
     return result;
   }
 
-  private dispatchOnComponentAdded<T>(component: NonNullable<T>): void {
+  private releaseComponents(): void {
+    for (const id of Object.keys(this._components)) {
+      const component = this._components[id as unknown as number];
+      if (!isLinkedComponent(component)) {
+        releaseComponent(this, component);
+      }
+    }
+  }
+
+  private dispatchOnComponentAdded<T>(component: NonNullable<T>, componentClass?: Class<unknown>): void {
     if (this.onComponentAdded.hasHandlers) {
-      this.onComponentAdded.emit(this, component);
+      this.onComponentAdded.emit(this, component, componentClass);
     }
   }
 
-  private dispatchOnComponentRemoved<T>(value: NonNullable<T>): void {
+  private dispatchOnComponentRemoved<T>(value: NonNullable<T>, componentClass?: Class<unknown>): void {
     if (this.onComponentRemoved.hasHandlers) {
-      this.onComponentRemoved.emit(this, value);
+      this.onComponentRemoved.emit(this, value, componentClass);
     }
   }
 }
@@ -986,6 +1461,12 @@ export class EntitySnapshot {
   }
 }
 
+/**
+ * Kind of the relation between entities: component class or tag
+ * @see {@link Entity.relate}
+ */
+export type RelationKind = Class<unknown> | Tag;
+
 /**
  * Component update handler type.
  * @see {@link Entity.onComponentAdded}
@@ -993,6 +1474,8 @@ export class EntitySnapshot {
  */
 export type ComponentUpdateHandler = (entity: Entity, componentOrTag: unknown, componentClass?: Class<unknown>) => void;
 
+const NO_ENTITIES: ReadonlyArray<Entity> = [];
+
 /**
  * Entity ids enumerator
  */
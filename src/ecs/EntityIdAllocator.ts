@@ -0,0 +1,237 @@
+import type {Entity} from './Entity';
+
+/**
+ * Number of entity indices, that can be encoded in the identifier when generations are enabled.
+ */
+export const ENTITY_INDEX_LIMIT = 0x400000;
+
+/**
+ * Entity id allocator options
+ */
+export interface EntityIdAllocatorOptions {
+  /**
+   * If true - identifiers of released entities will be reused, the last released one first. Default value is `false`.
+   */
+  recycle?: boolean;
+  /**
+   * If true - identifier will contain generation counter of the entity index, that is increased every time the index
+   * is reused. It allows to detect stale identifiers. Default value is `false`.
+   */
+  generations?: boolean;
+  /**
+   * Index of the first allocated entity. Default value is `1`.
+   */
+  firstIndex?: number;
+}
+
+/**
+ * @internal
+ */
+export interface EntityIdAllocatorState {
+  readonly next: number;
+  readonly free: ReadonlyArray<number>;
+  readonly generations: ReadonlyArray<number>;
+  readonly alive: ReadonlyArray<number>;
+}
+
+/**
+ * Entity id allocator produces entity identifiers for a single {@link Engine}.
+ * Sequence of identifiers depends only on the sequence of allocations and releases, so it's reproducible between runs.
+ *
+ * When generations are enabled, identifier consists of entity index and generation:
+ * `id = generation * ENTITY_INDEX_LIMIT + index`.
+ *
+ * @example
+ * ```ts
+ * const engine = new Engine({ids: new EntityIdAllocator({recycle: true, generations: true})});
+ * const entity = engine.createEntity();
+ * engine.addEntity(entity);
+ * ```
+ */
+export class EntityIdAllocator {
+  private readonly _recycle: boolean;
+  private readonly _useGenerations: boolean;
+  private readonly _firstIndex: number;
+  private _next: number;
+  private _free: number[] = [];
+  private _freePositions: Map<number, number> = new Map();
+  private _generations: number[] = [];
+  private _alive: Set<number> = new Set();
+  private _owners: WeakSet<Entity> = new WeakSet();
+
+  public constructor(options: EntityIdAllocatorOptions = {}) {
+    this._recycle = options.recycle ?? false;
+    this._useGenerations = options.generations ?? false;
+    this._firstIndex = options.firstIndex ?? 1;
+    this._next = this._firstIndex;
+  }
+
+  /**
+   * Gets the number of alive identifiers
+   */
+  public get size(): number {
+    return this._alive.size;
+  }
+
+  /**
+   * Allocates a new identifier.
+   * @return {number}
+   */
+  public allocate(): number {
+    let index: number;
+    if (this._recycle && this._free.length > 0) {
+      index = this._free.pop()!;
+      this._freePositions.delete(index);
+      if (this._useGenerations) {
+        this._generations[index] = (this._generations[index] ?? 0) + 1;
+      }
+    } else {
+      index = this._next++;
+      if (this._useGenerations && index >= ENTITY_INDEX_LIMIT) {
+        throw new Error(`Entity index limit ${ENTITY_INDEX_LIMIT} is reached`);
+      }
+    }
+    const id = this.compose(index);
+    this._alive.add(id);
+    return id;
+  }
+
+  /**
+   * Allocates a new identifier for the entity and remembers the entity as its owner
+   *
+   * @internal
+   */
+  public issue(entity: Entity): Entity {
+    entity.assignId(this.allocate());
+    this._owners.add(entity);
+    return entity;
+  }
+
+  /**
+   * Returns a value indicating whether the entity got its identifier from the allocator.
+   * Entities, created with `new Entity()`, take identifiers from the global sequence, which may be equal to identifiers
+   * of the allocator, so entity ownership is checked instead of the identifier value.
+   *
+   * @param {Entity} entity
+   */
+  public owns(entity: Entity): boolean {
+    return this._owners.has(entity);
+  }
+
+  /**
+   * Acquires the released identifier back, if it wasn't reused since it was released.
+   * Identifiers, that were not allocated by the allocator, are not acquired.
+   *
+   * @param {number} id
+   * @return {boolean} true if the identifier was acquired
+   */
+  public acquire(id: number): boolean {
+    if (this._alive.has(id) || !this.isAllocated(id)) return false;
+    const index = this.indexOf(id);
+    if (this.compose(index) !== id) return false;
+    this.removeFree(index);
+    this._alive.add(id);
+    return true;
+  }
+
+  /**
+   * Releases the identifier. If recycling is enabled, its index will be reused by the following allocations.
+   *
+   * @param {number} id
+   * @return {boolean} true if the identifier was alive
+   */
+  public release(id: number): boolean {
+    if (!this._alive.delete(id)) return false;
+    if (this._recycle) {
+      const index = this.indexOf(id);
+      this._freePositions.set(index, this._free.length);
+      this._free.push(index);
+    }
+    return true;
+  }
+
+  /**
+   * Returns a value indicating whether identifier is allocated and not released yet
+   *
+   * @param {number} id
+   */
+  public isAlive(id: number): boolean {
+    return this._alive.has(id);
+  }
+
+  /**
+   * Returns a value indicating whether identifier was allocated by the allocator. It may be released or reused since.
+   *
+   * @param {number} id
+   */
+  public isAllocated(id: number): boolean {
+    const index = this.indexOf(id);
+    return index >= this._firstIndex && index < this._next && this.generationOf(id) <= (this._generations[index] ?? 0);
+  }
+
+  /**
+   * Gets an index part of the identifier
+   * @param {number} id
+   */
+  public indexOf(id: number): number {
+    return this._useGenerations ? id % ENTITY_INDEX_LIMIT : id;
+  }
+
+  /**
+   * Gets a generation part of the identifier
+   * @param {number} id
+   */
+  public generationOf(id: number): number {
+    return this._useGenerations ? Math.floor(id / ENTITY_INDEX_LIMIT) : 0;
+  }
+
+  /**
+   * Resets allocator to the initial state, so the sequence of identifiers will be repeated.
+   */
+  public reset(): void {
+    this._next = this._firstIndex;
+    this._free = [];
+    this._freePositions.clear();
+    this._generations = [];
+    this._alive.clear();
+    this._owners = new WeakSet();
+  }
+
+  /**
+   * @internal
+   */
+  public getState(): EntityIdAllocatorState {
+    return {
+      next: this._next,
+      free: Array.from(this._free),
+      generations: Array.from(this._generations),
+      alive: Array.from(this._alive),
+    };
+  }
+
+  /**
+   * @internal
+   */
+  public setState(state: EntityIdAllocatorState): void {
+    this._next = state.next;
+    this._free = Array.from(state.free);
+    this._freePositions = new Map(this._free.map((index, position) => [index, position]));
+    this._generations = Array.from(state.generations);
+    this._alive = new Set(state.alive);
+  }
+
+  private removeFree(index: number): void {
+    const position = this._freePositions.get(index);
+    if (position === undefined) return;
+    this._freePositions.delete(index);
+    const last = this._free.pop()!;
+    if (last !== index) {
+      this._free[position] = last;
+      this._freePositions.set(last, position);
+    }
+  }
+
+  private compose(index: number): number {
+    return this._useGenerations ? (this._generations[index] ?? 0) * ENTITY_INDEX_LIMIT + index : index;
+  }
+}
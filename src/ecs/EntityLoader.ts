@@ -0,0 +1,283 @@
+import {Entity} from './Entity';
+import {Tag} from './Tag';
+import {getComponentClassByKey} from './ComponentId';
+import {FieldSchema, getComponentSchema, validateField} from './ComponentSchema';
+import {Class} from '../utils/Class';
+
+/**
+ * Reference to another entity of the same file, which is replaced with the {@link Entity} instance on load
+ */
+export interface EntityReferenceData {
+  $ref: string;
+}
+
+/**
+ * Entity authored in the file
+ */
+export interface EntityData {
+  /**
+   * Name of the entity, that other entities of the file use in references
+   */
+  id?: string;
+  /**
+   * Data of components by the stable component keys
+   * @see {@link registerComponent}
+   */
+  components?: Record<string, Record<string, unknown>>;
+  /**
+   * Keys of the tags
+   * @see {@link EntityLoader.registerTag}
+   */
+  tags?: string[];
+}
+
+/**
+ * Content of the entities file
+ */
+export interface EntityFileData {
+  entities: EntityData[];
+}
+
+/**
+ * Entities loaded from the file
+ */
+export interface LoadedEntities {
+  /**
+   * Entities in the order of declaration
+   */
+  entities: Entity[];
+  /**
+   * Entities, that have an `id` in the file
+   */
+  named: Map<string, Entity>;
+}
+
+/**
+ * Entity loader builds entities from JSON data authored by hand, e.g. by designers.
+ *
+ * - Components are found by the stable keys of the component registry (see {@link registerComponent}), and are
+ *  created by {@link Entity.add} with the field data.
+ * - Tags must be registered in the loader with their keys.
+ * - Fields are validated against the default component instance: every field must be initialized by the component
+ *  class, and the value must have the same type as the default value (`number`, `string`, `boolean`, array or object).
+ *  If the component class has a schema (see {@link defineComponentSchema}), fields are validated against it instead.
+ * - Value `{"$ref": "name"}` is replaced with the entity of the same file, that has the `id` equal to `name`.
+ * - All errors of the file are reported at once, with the file path and the path of the field.
+ *
+ * @example
+ * ```json
+ * {
+ *   "entities": [
+ *     {"id": "hero", "components": {"Position": {"x": 10, "y": 20}}, "tags": ["player"]},
+ *     {"components": {"Weapon": {"damage": 5, "owner": {"$ref": "hero"}}}}
+ *   ]
+ * }
+ * ```
+ * ```ts
+ * const loader = new EntityLoader().registerTag(PLAYER, 'player');
+ * const {entities} = loader.parse(fs.readFileSync(path, 'utf8'), path);
+ * entities.forEach((entity) => engine.addEntity(entity));
+ * ```
+ */
+export class EntityLoader {
+  private readonly _tags: Map<string, Tag> = new Map();
+
+  /**
+   * Registers the tag, that can be used in the file by the key
+   *
+   * @param {Tag} tag
+   * @param {string} key Key of the tag in the file. If not defined, the tag converted to string is used.
+   * @throws An error if the key is already used by another tag
+   */
+  public registerTag(tag: Tag, key: string = String(tag)): EntityLoader {
+    const existing = this._tags.get(key);
+    if (existing !== undefined && existing !== tag) {
+      throw new Error(`Tag key "${key}" is already used by tag "${existing}"`);
+    }
+    this._tags.set(key, tag);
+    return this;
+  }
+
+  /**
+   * Parses JSON text and loads entities from it
+   *
+   * @param {string} text JSON text
+   * @param {string} path Path of the file, that is used in error messages
+   * @throws An error if the text is not valid JSON, or the content is invalid
+   * @return {LoadedEntities}
+   */
+  public parse(text: string, path: string = '<anonymous>'): LoadedEntities {
+    let data: unknown;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Failed to load entities from "${path}": ${(error as Error).message}`);
+    }
+    return this.load(data, path);
+  }
+
+  /**
+   * Loads entities from parsed JSON data. Entities are not added to the engine.
+   *
+   * @param {unknown} data Content of the file, see {@link EntityFileData}
+   * @param {string} path Path of the file, that is used in error messages
+   * @throws An error with the list of all found problems, if the content is invalid
+   * @return {LoadedEntities}
+   */
+  public load(data: unknown, path: string = '<anonymous>'): LoadedEntities {
+    const errors: string[] = [];
+    const result: LoadedEntities = {entities: [], named: new Map()};
+    const items = isRecord(data) ? data.entities : undefined;
+    if (!Array.isArray(items)) {
+      errors.push(`entities: expected array, but got ${describe(items)}`);
+    } else {
+      items.forEach((item, index) => {
+        const entity = new Entity();
+        result.entities.push(entity);
+        const id = isRecord(item) ? item.id : undefined;
+        if (id === undefined) return;
+        if (typeof id !== 'string') {
+          errors.push(`entities[${index}].id: expected string, but got ${describe(id)}`);
+        } else if (result.named.has(id)) {
+          errors.push(`entities[${index}].id: duplicate id "${id}"`);
+        } else {
+          result.named.set(id, entity);
+        }
+      });
+      items.forEach((item, index) => {
+        this.loadEntity(item, result.entities[index], `entities[${index}]`, result.named, errors);
+      });
+    }
+    if (errors.length > 0) {
+      throw new Error(`Failed to load entities from "${path}":\n${errors.map((error) => `  ${error}`).join('\n')}`);
+    }
+    return result;
+  }
+
+  private loadEntity(data: unknown, entity: Entity, path: string, named: Map<string, Entity>, errors: string[]): void {
+    if (!isRecord(data)) {
+      errors.push(`${path}: expected object, but got ${describe(data)}`);
+      return;
+    }
+    for (const field of Object.keys(data)) {
+      if (field !== 'id' && field !== 'components' && field !== 'tags') {
+        errors.push(`${path}.${field}: unknown field`);
+      }
+    }
+
+    const components = data.components;
+    if (components !== undefined && !isRecord(components)) {
+      errors.push(`${path}.components: expected object, but got ${describe(components)}`);
+    } else if (components !== undefined) {
+      for (const type of Object.keys(components)) {
+        const componentClass = getComponentClassByKey(type);
+        const componentPath = `${path}.components.${type}`;
+        if (componentClass === undefined) {
+          errors.push(`${componentPath}: unknown component type "${type}"`);
+          continue;
+        }
+        const componentData = this.loadComponentData(componentClass, components[type], componentPath, named, errors);
+        if (componentData !== undefined) {
+          entity.add(componentClass, componentData);
+        }
+      }
+    }
+
+    const tags = data.tags;
+    if (tags !== undefined && !Array.isArray(tags)) {
+      errors.push(`${path}.tags: expected array, but got ${describe(tags)}`);
+    } else if (tags !== undefined) {
+      tags.forEach((key: unknown, index: number) => {
+        const tag = typeof key === 'string' ? this._tags.get(key) : undefined;
+        if (tag === undefined) {
+          errors.push(`${path}.tags[${index}]: unknown tag ${JSON.stringify(key)}`);
+        } else {
+          entity.add(tag);
+        }
+      });
+    }
+  }
+
+  private loadComponentData(
+    componentClass: Class<unknown>,
+    data: unknown,
+    path: string,
+    named: Map<string, Entity>,
+    errors: string[],
+  ): Record<string, unknown> | undefined {
+    if (!isRecord(data)) {
+      errors.push(`${path}: expected object, but got ${describe(data)}`);
+      return undefined;
+    }
+    const schema = getComponentSchema(componentClass) as Record<string, FieldSchema> | undefined;
+    const defaults = schema === undefined ? new componentClass() as Record<string, unknown> : {};
+    const result: Record<string, unknown> = {};
+    const errorCount = errors.length;
+    for (const field of Object.keys(data)) {
+      const fieldPath = `${path}.${field}`;
+      if (schema !== undefined ? !Object.prototype.hasOwnProperty.call(schema, field) : !(field in defaults)) {
+        errors.push(`${fieldPath}: unknown field of component "${componentClass.name}"`);
+        continue;
+      }
+      const referenceErrorCount = errors.length;
+      const value = resolveReferences(data[field], fieldPath, named, errors);
+      if (errors.length > referenceErrorCount) continue;
+      if (schema !== undefined) {
+        const error = validateField(schema[field], value);
+        if (error !== undefined) {
+          errors.push(`${fieldPath}: ${error}`);
+        } else {
+          result[field] = value;
+        }
+        continue;
+      }
+      const expected = getValueType(defaults[field]);
+      const actual = value instanceof Entity ? 'entity' : getValueType(value);
+      if (expected !== undefined && expected !== actual) {
+        errors.push(`${fieldPath}: expected ${expected}, but got ${actual === 'entity' ? 'reference' : describe(value)}`);
+        continue;
+      }
+      result[field] = value;
+    }
+    return errors.length === errorCount ? result : undefined;
+  }
+}
+
+function resolveReferences(value: unknown, path: string, named: Map<string, Entity>, errors: string[]): unknown {
+  if (Array.isArray(value)) {
+    return value.map((item, index) => resolveReferences(item, `${path}[${index}]`, named, errors));
+  }
+  if (!isRecord(value)) {
+    return value;
+  }
+  if (value.$ref !== undefined) {
+    const entity = typeof value.$ref === 'string' ? named.get(value.$ref) : undefined;
+    if (entity === undefined) {
+      errors.push(`${path}: unknown reference ${JSON.stringify(value.$ref)}`);
+    }
+    return entity;
+  }
+  const result: Record<string, unknown> = {};
+  for (const field of Object.keys(value)) {
+    result[field] = resolveReferences(value[field], `${path}.${field}`, named, errors);
+  }
+  return result;
+}
+
+function getValueType(value: unknown): string | undefined {
+  if (Array.isArray(value)) return 'array';
+  const type = typeof value;
+  if (type === 'number' || type === 'string' || type === 'boolean') return type;
+  if (type === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype) return 'object';
+  return undefined;
+}
+
+function isRecord(value: unknown): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function describe(value: unknown): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
@@ -0,0 +1,157 @@
+import {Entity} from './Entity';
+import {Engine} from './Engine';
+import {ComponentPool} from './ComponentPool';
+import {ILinkedComponent, isLinkedComponent} from './LinkedComponent';
+import {Class} from '../utils/Class';
+
+/**
+ * Entity pool options
+ */
+export interface EntityPoolOptions {
+  /**
+   * Maximum number of entities kept in the pool. Released entities over the limit are left to the garbage collector.
+   * Default value is `Infinity`.
+   */
+  maxSize?: number;
+  /**
+   * Component pools, which will take components of released entities
+   */
+  componentPools?: ReadonlyArray<ComponentPool<any>>;
+}
+
+/**
+ * Entity pool keeps released entities of the engine and gives them back instead of creating new ones.
+ *
+ * - Every acquired entity gets a new identifier from the engine {@link Engine.ids} allocator (or from the global
+ *  sequence), so identifiers of released entities never point to recycled ones.
+ * - Acquired entity is empty and has no signal handlers connected, it's not added to the engine.
+ * - Released entity is removed from the engine first, so queries dispatch {@link Query.onEntityRemoved} with the
+ *  actual entity content. After that components are returned to the matching component pools, and the entity is
+ *  detached from its parent, children and relations.
+ *
+ * @example
+ * ```ts
+ * const positions = new ComponentPool(Position);
+ * const bullets = new EntityPool(engine, {componentPools: [positions]});
+ * const bullet = bullets.acquire().add(positions.acquire({x: 10, y: 20}));
+ * engine.addEntity(bullet);
+ * ...
+ * bullets.release(bullet);
+ * ```
+ */
+export class EntityPool {
+  private readonly _engine: Engine;
+  private readonly _maxSize: number;
+  private readonly _componentPools: Map<Function, ComponentPool<any>> = new Map();
+  private readonly _items: Entity[] = [];
+  private readonly _pooled: Set<Entity> = new Set();
+
+  public constructor(engine: Engine, options: EntityPoolOptions = {}) {
+    this._engine = engine;
+    this._maxSize = options.maxSize ?? Number.POSITIVE_INFINITY;
+    for (const pool of options.componentPools ?? []) {
+      this.addComponentPool(pool);
+    }
+  }
+
+  /**
+   * Gets the number of entities available in the pool
+   */
+  public get size(): number {
+    return this._items.length;
+  }
+
+  /**
+   * Adds a component pool, which will take components of its class from released entities
+   *
+   * @throws Throws error if pool for the same component class is already added
+   * @param {ComponentPool<T>} pool
+   */
+  public addComponentPool<T>(pool: ComponentPool<T>): EntityPool {
+    if (this._componentPools.has(pool.componentClass)) {
+      throw new Error(`Component pool for "${pool.componentClass.name}" is already added`);
+    }
+    this._componentPools.set(pool.componentClass, pool);
+    return this;
+  }
+
+  /**
+   * Gets a component pool for the component class
+   *
+   * @param {Class<T>} componentClass
+   * @return {ComponentPool<T> | undefined}
+   */
+  public getComponentPool<T>(componentClass: Class<T>): ComponentPool<T> | undefined {
+    return this._componentPools.get(componentClass);
+  }
+
+  /**
+   * Takes an entity from the pool, or creates a new one if pool is empty.
+   * Entity is not added to the engine.
+   *
+   * @return {Entity}
+   */
+  public acquire(): Entity {
+    const entity = this._items.pop();
+    if (entity === undefined) {
+      return this._engine.createEntity();
+    }
+    this._pooled.delete(entity);
+    entity.renew();
+    this._engine.ids?.issue(entity);
+    return entity;
+  }
+
+  /**
+   * Returns the entity to the pool. If the entity is added to the engine, it will be removed from it.
+   * Releasing an entity that is already in the pool does nothing.
+   *
+   * @param {Entity} entity
+   */
+  public release(entity: Entity): void {
+    if (this._pooled.has(entity)) return;
+    if (this._engine.getEntityById(entity.id) === entity) {
+      this._engine.removeEntity(entity);
+    }
+    if (this._componentPools.size > 0) {
+      for (const component of entity.getComponents()) {
+        if (isLinkedComponent(component)) {
+          let linkedComponent: ILinkedComponent | undefined = component;
+          while (linkedComponent !== undefined) {
+            const next: ILinkedComponent | undefined = linkedComponent.next;
+            this.releaseComponent(linkedComponent);
+            linkedComponent = next;
+          }
+        } else {
+          this.releaseComponent(component);
+        }
+      }
+    }
+    entity.clear();
+    entity.setParent(undefined);
+    for (const child of Array.from(entity.children)) {
+      child.setParent(undefined);
+    }
+    entity.clearRelations();
+    entity.removeIncomingRelations();
+    if (this._items.length < this._maxSize) {
+      this._items.push(entity);
+      this._pooled.add(entity);
+    }
+  }
+
+  /**
+   * Removes all entities from the pool
+   */
+  public clear(): void {
+    this._items.length = 0;
+    this._pooled.clear();
+  }
+
+  private releaseComponent(component: unknown): void {
+    const pool = this._componentPools.get(Object.getPrototypeOf(component).constructor);
+    if (pool !== undefined) {
+      pool.release(component);
+    }
+  }
+}
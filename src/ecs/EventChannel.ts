@@ -0,0 +1,243 @@
+/**
+ * Moment when written events become visible for readers
+ * - `system` - after the system that wrote events is updated
+ * - `phase` - after the engine update phase ({@link Engine.update}, {@link Engine.updateFixed}, etc.) is finished
+ */
+export type EventDelivery = 'system' | 'phase';
+
+/**
+ * Event channel options
+ */
+export interface EventChannelOptions {
+  /**
+   * Moment when written events become visible for readers. Default value is `system`.
+   */
+  delivery?: EventDelivery;
+}
+
+/**
+ * Event channel is a queue of events, where systems write events, and readers consume them later at the defined
+ * moment, instead of handling them synchronously in the middle of the writing system.
+ *
+ * - Written events are delivered to readers by the engine, see {@link EventDelivery}. Events written outside of the
+ *  engine update are delivered at the beginning of the next update phase.
+ * - Every reader tracks its own cursor, so it reads every event once.
+ * - Events are dropped after all readers have read them. Events that are delivered when channel has no readers are
+ *  dropped immediately.
+ *
+ * @example
+ * ```ts
+ * class DamageSystem extends System {
+ *   public update() {
+ *     this.engine.getChannel(Damaged).write(new Damaged(target, 10));
+ *   }
+ * }
+ *
+ * class HealthBarSystem extends System {
+ *   private damaged!: EventReader<Damaged>;
+ *
+ *   public onAddedToEngine() {
+ *     this.damaged = this.engine.getChannel(Damaged).createReader();
+ *   }
+ *
+ *   public update() {
+ *     for (const event of this.damaged.read()) {
+ *       ...
+ *     }
+ *   }
+ * }
+ * ```
+ */
+export class EventChannel<T> {
+  private readonly _delivery: EventDelivery;
+  private readonly _readers: EventReader<T>[] = [];
+  private _pending: T[] = [];
+  private _events: T[] = [];
+  private _offset: number = 0;
+
+  public constructor(options: EventChannelOptions = {}) {
+    this._delivery = options.delivery ?? 'system';
+  }
+
+  /**
+   * Gets the moment when written events become visible for readers
+   */
+  public get delivery(): EventDelivery {
+    return this._delivery;
+  }
+
+  /**
+   * Gets the number of delivered events, that are not read by all readers yet
+   */
+  public get size(): number {
+    return this._events.length;
+  }
+
+  /**
+   * Gets the number of written events, that are not delivered yet
+   */
+  public get pendingSize(): number {
+    return this._pending.length;
+  }
+
+  /**
+   * Writes the event to the channel. Event will be visible for readers after the delivery.
+   *
+   * @param {T} event
+   */
+  public write(event: T): void {
+    this._pending.push(event);
+  }
+
+  /**
+   * Creates a reader, that will read events delivered after its creation
+   *
+   * @return {EventReader<T>}
+   */
+  public createReader(): EventReader<T> {
+    const reader = new EventReader(this, this._offset + this._events.length);
+    this._readers.push(reader);
+    return reader;
+  }
+
+  /**
+   * Makes written events visible for readers.
+   * Engine calls it automatically, so it needs to be called manually only for channels out of the engine.
+   */
+  public deliver(): void {
+    if (this._pending.length === 0) return;
+    if (this._readers.length === 0) {
+      this._offset += this._pending.length;
+      this._pending = [];
+      return;
+    }
+    if (this._events.length === 0) {
+      this._events = this._pending;
+      this._pending = [];
+    } else {
+      this._events.push(...this._pending);
+      this._pending.length = 0;
+    }
+  }
+
+  /**
+   * Removes all delivered and pending events
+   */
+  public clear(): void {
+    this._offset += this._events.length;
+    this._events = [];
+    this._pending = [];
+  }
+
+  /**
+   * @internal
+   */
+  public readFrom(cursor: number): T[] {
+    return this._events.slice(Math.max(cursor - this._offset, 0));
+  }
+
+  /**
+   * @internal
+   */
+  public get end(): number {
+    return this._offset + this._events.length;
+  }
+
+  /**
+   * @internal
+   */
+  public removeReader(reader: EventReader<T>): void {
+    const index = this._readers.indexOf(reader);
+    if (index !== -1) {
+      this._readers.splice(index, 1);
+      this.trim();
+    }
+  }
+
+  /**
+   * Drops events, that were read by all readers
+   * @internal
+   */
+  public trim(): void {
+    let cursor = this.end;
+    for (const reader of this._readers) {
+      cursor = Math.min(cursor, reader.cursor);
+    }
+    const count = cursor - this._offset;
+    if (count > 0) {
+      this._events.splice(0, count);
+      this._offset = cursor;
+    }
+  }
+}
+
+/**
+ * Reader of the {@link EventChannel}, that tracks its own position in the channel
+ */
+export class EventReader<T> {
+  private _channel?: EventChannel<T>;
+  private _cursor: number;
+
+  /**
+   * @internal
+   */
+  public constructor(channel: EventChannel<T>, cursor: number) {
+    this._channel = channel;
+    this._cursor = cursor;
+  }
+
+  /**
+   * Gets an absolute position of the next event to read
+   * @internal
+   */
+  public get cursor(): number {
+    return this._cursor;
+  }
+
+  /**
+   * Gets a value indicating whether there are unread events
+   */
+  public get hasEvents(): boolean {
+    return this._channel !== undefined && this._cursor < this._channel.end;
+  }
+
+  /**
+   * Gets a value indicating whether the reader is closed
+   */
+  public get isClosed(): boolean {
+    return this._channel === undefined;
+  }
+
+  /**
+   * Returns all unread events and moves the cursor to the end of the channel
+   *
+   * @return {T[]}
+   */
+  public read(): T[] {
+    const channel = this._channel;
+    if (channel === undefined) return [];
+    const events = channel.readFrom(this._cursor);
+    this._cursor = channel.end;
+    channel.trim();
+    return events;
+  }
+
+  /**
+   * Skips all unread events
+   */
+  public skip(): void {
+    if (this._channel === undefined) return;
+    this._cursor = this._channel.end;
+    this._channel.trim();
+  }
+
+  /**
+   * Detaches the reader from the channel, so the channel doesn't keep events for it anymore
+   */
+  public close(): void {
+    if (this._channel === undefined) return;
+    const channel = this._channel;
+    this._channel = undefined;
+    channel.removeReader(this);
+  }
+}
@@ -0,0 +1,323 @@
+import {Engine} from './Engine';
+import {Signal} from '../utils/Signal';
+
+/**
+ * Tolerance of the accumulated time comparison, that compensates floating point errors
+ */
+const STEP_EPSILON = 1e-9;
+
+/**
+ * Source of the time for {@link GameLoop}
+ */
+export interface Clock {
+  /**
+   * Gets the current time in milliseconds
+   */
+  now(): number;
+}
+
+/**
+ * Clock, that is driven manually. Useful for tests and for running the simulation faster than real time.
+ *
+ * @example
+ * ```ts
+ * const clock = new ManualClock();
+ * const loop = new GameLoop(engine, {clock});
+ * loop.tick();
+ * clock.advance(16);
+ * loop.tick();
+ * ```
+ */
+export class ManualClock implements Clock {
+  private _time: number;
+
+  public constructor(time: number = 0) {
+    this._time = time;
+  }
+
+  public now(): number {
+    return this._time;
+  }
+
+  /**
+   * Moves the time forward
+   * @param {number} milliseconds
+   */
+  public advance(milliseconds: number): ManualClock {
+    this._time += milliseconds;
+    return this;
+  }
+}
+
+/**
+ * Clock, that uses `performance.now` if it's available, and `Date.now` otherwise
+ */
+export const systemClock: Clock = {
+  now: () => {
+    const performance = getGlobalScope().performance;
+    return performance !== undefined ? performance.now() : Date.now();
+  },
+};
+
+/**
+ * Scheduler that requests the next tick of the running {@link GameLoop}
+ */
+export interface TickScheduler {
+  request(callback: () => void): unknown;
+  cancel(handle: unknown): void;
+}
+
+/**
+ * Scheduler, that uses `requestAnimationFrame` if it's available, and `setTimeout` otherwise
+ */
+export const systemScheduler: TickScheduler = {
+  request: (callback: () => void) => {
+    const scope = getGlobalScope();
+    return scope.requestAnimationFrame !== undefined ? scope.requestAnimationFrame(callback) : scope.setTimeout(callback, 1000 / 60);
+  },
+  cancel: (handle: unknown) => {
+    const scope = getGlobalScope();
+    if (scope.cancelAnimationFrame !== undefined) {
+      scope.cancelAnimationFrame(handle);
+    } else {
+      scope.clearTimeout(handle);
+    }
+  },
+};
+
+/**
+ * Game loop options
+ */
+export interface GameLoopOptions {
+  /**
+   * Fixed step in seconds, that is passed to {@link Engine.updateFixed}. Default value is `1 / 60`.
+   */
+  fixedStep?: number;
+  /**
+   * Maximum number of {@link Engine.updateFixed} calls per frame. Accumulated time of the steps over the limit is
+   * dropped. Default value is `5`.
+   */
+  maxSubSteps?: number;
+  /**
+   * Maximum frame time in seconds. Longer frames (after debugger pause, or switching browser tab) are clamped to this
+   * value, so the loop doesn't fall into the "spiral of death". Default value is `0.25`.
+   */
+  maxFrameTime?: number;
+  /**
+   * Multiplier of the elapsed time. Default value is `1`.
+   */
+  timeScale?: number;
+  /**
+   * Source of the time. Default value is {@link systemClock}.
+   */
+  clock?: Clock;
+  /**
+   * Scheduler of the ticks for the running loop. Default value is {@link systemScheduler}.
+   */
+  scheduler?: TickScheduler;
+}
+
+/**
+ * Game loop drives the engine update cycle with the fixed time step.
+ *
+ * Every frame it calls:
+ * 1. {@link Engine.updateFixed} as many times as accumulated time allows (but not more than `maxSubSteps`)
+ * 2. {@link Engine.update} with the scaled frame time, and frame delta - frame time measured in fixed steps
+ * 3. {@link Engine.updateLate} with the scaled frame time
+ * 4. {@link Engine.updateRender} with the scaled frame time and interpolation alpha - the part of the fixed step
+ *  accumulated, but not simulated yet
+ *
+ * @example
+ * ```ts
+ * const loop = new GameLoop(engine, {fixedStep: 1 / 50});
+ * loop.start();
+ * ...
+ * loop.pause();
+ * loop.step();
+ * loop.resume();
+ * ```
+ */
+export class GameLoop {
+  /**
+   * Signal dispatches after every processed frame with the scaled frame time in seconds
+   */
+  public readonly onFrame: Signal<(dt: number) => void> = new Signal();
+
+  private readonly _engine: Engine;
+  private readonly _fixedStep: number;
+  private readonly _maxSubSteps: number;
+  private readonly _maxFrameTime: number;
+  private readonly _clock: Clock;
+  private readonly _scheduler: TickScheduler;
+  private _timeScale: number;
+  private _accumulator: number = 0;
+  private _alpha: number = 0;
+  private _lastTime?: number;
+  private _paused: boolean = false;
+  private _handle?: unknown;
+  private _running: boolean = false;
+
+  public constructor(engine: Engine, options: GameLoopOptions = {}) {
+    this._engine = engine;
+    this._fixedStep = options.fixedStep ?? 1 / 60;
+    this._maxSubSteps = options.maxSubSteps ?? 5;
+    this._maxFrameTime = options.maxFrameTime ?? 0.25;
+    this._timeScale = options.timeScale ?? 1;
+    this._clock = options.clock ?? systemClock;
+    this._scheduler = options.scheduler ?? systemScheduler;
+    if (this._fixedStep <= 0) {
+      throw new Error(`Fixed step must be positive, but ${this._fixedStep} was passed`);
+    }
+  }
+
+  /**
+   * Gets an engine driven by the loop
+   */
+  public get engine(): Engine {
+    return this._engine;
+  }
+
+  /**
+   * Gets a fixed step in seconds
+   */
+  public get fixedStep(): number {
+    return this._fixedStep;
+  }
+
+  /**
+   * Gets a multiplier of the elapsed time
+   */
+  public get timeScale(): number {
+    return this._timeScale;
+  }
+
+  /**
+   * Sets a multiplier of the elapsed time
+   * @throws An error if the value is negative
+   */
+  public set timeScale(value: number) {
+    if (value < 0) throw new Error(`Time scale can't be negative, but ${value} was passed`);
+    this._timeScale = value;
+  }
+
+  /**
+   * Gets an interpolation alpha of the last frame: accumulated, but not simulated part of the fixed step in range
+   * `[0, 1)`
+   */
+  public get alpha(): number {
+    return this._alpha;
+  }
+
+  /**
+   * Gets a value indicating whether the loop is paused
+   */
+  public get isPaused(): boolean {
+    return this._paused;
+  }
+
+  /**
+   * Gets a value indicating whether the loop is started
+   */
+  public get isRunning(): boolean {
+    return this._running;
+  }
+
+  /**
+   * Starts requesting ticks from the scheduler
+   */
+  public start(): GameLoop {
+    if (this._running) return this;
+    this._running = true;
+    this._lastTime = undefined;
+    this._handle = this._scheduler.request(this.onTick);
+    return this;
+  }
+
+  /**
+   * Stops requesting ticks from the scheduler
+   */
+  public stop(): GameLoop {
+    if (!this._running) return this;
+    this._running = false;
+    this._scheduler.cancel(this._handle);
+    this._handle = undefined;
+    return this;
+  }
+
+  /**
+   * Pauses the loop. Ticks don't update the engine, and elapsed time is not accumulated while loop is paused.
+   */
+  public pause(): GameLoop {
+    this._paused = true;
+    return this;
+  }
+
+  /**
+   * Resumes the paused loop
+   */
+  public resume(): GameLoop {
+    if (!this._paused) return this;
+    this._paused = false;
+    this._lastTime = undefined;
+    return this;
+  }
+
+  /**
+   * Processes a single frame with the duration of one fixed step (time scale is not applied).
+   * Useful for stepping through the paused simulation.
+   */
+  public step(): GameLoop {
+    this.advance(this._fixedStep);
+    return this;
+  }
+
+  /**
+   * Measures the time elapsed since the previous tick, and processes the frame.
+   * The first tick after creation, start or resume only remembers the time.
+   */
+  public tick(): void {
+    const now = this._clock.now();
+    const lastTime = this._lastTime;
+    this._lastTime = now;
+    if (this._paused || lastTime === undefined) return;
+    const frameTime = Math.min(Math.max(now - lastTime, 0) / 1000, this._maxFrameTime);
+    this.advance(frameTime * this._timeScale);
+  }
+
+  /**
+   * Processes a frame with the specific duration, ignoring the clock and pause state.
+   *
+   * @param {number} dt Frame time in seconds
+   */
+  public advance(dt: number): void {
+    const fixedStep = this._fixedStep;
+    this._accumulator += dt;
+    let subSteps = 0;
+    while (this._accumulator + STEP_EPSILON >= fixedStep && subSteps < this._maxSubSteps) {
+      this._engine.updateFixed(fixedStep);
+      this._accumulator = Math.max(this._accumulator - fixedStep, 0);
+      subSteps++;
+    }
+    if (this._accumulator + STEP_EPSILON >= fixedStep) {
+      this._accumulator %= fixedStep;
+    }
+    this._alpha = this._accumulator / fixedStep;
+
+    this._engine.update(dt, dt / fixedStep);
+    this._engine.updateLate(dt);
+    this._engine.updateRender(dt, this._alpha);
+    this.onFrame.emit(dt);
+  }
+
+  private onTick = () => {
+    if (!this._running) return;
+    this.tick();
+    if (this._running) {
+      this._handle = this._scheduler.request(this.onTick);
+    }
+  };
+}
+
+function getGlobalScope(): any {
+  return typeof globalThis !== 'undefined' ? globalThis : {};
+}
@@ -1,4 +1,4 @@
-import {Query, QueryBuilder, QueryPredicate} from './Query';
+import {Query, QueryBuilder, QueryPattern, QueryPredicate} from './Query';
 import {Entity} from './Entity';
 import {ReactionSystem} from './ReactionSystem';
 
@@ -35,11 +35,28 @@ import {ReactionSystem} from './ReactionSystem';
  *   }
  * }
  * ```
+ *
+ * Type parameter `C` is a tuple of the query component types, which allows to iterate over typed components:
+ * ```ts
+ * class MovementSystem extends IterativeSystem<[Position, Velocity]> {
+ *   constructor() {
+ *     super(new QueryBuilder().contains(Position, Velocity));
+ *   }
+ *
+ *   update(dt: number) {
+ *     this.query.each((entity, position, velocity) => {
+ *       position.x += velocity.x * dt;
+ *     });
+ *   }
+ *
+ *   updateEntity() {}
+ * }
+ * ```
  */
-export abstract class IterativeSystem extends ReactionSystem {
+export abstract class IterativeSystem<C extends unknown[] = unknown[]> extends ReactionSystem<C> {
   private _removed: boolean = false;
 
-  protected constructor(query: Query | QueryBuilder | QueryPredicate) {
+  protected constructor(query: Query<C> | QueryBuilder<C> | QueryPattern<C> | QueryPredicate) {
     super(query);
   }
 
@@ -52,6 +69,13 @@ export abstract class IterativeSystem extends ReactionSystem {
     super.onRemovedFromEngine();
   }
 
+  /**
+   * Iterates over entities of the query.
+   * Changing the query membership during iteration may lead to skipping entities, so use {@link commands} for
+   * removing entities, components and tags from inside {@link updateEntity}.
+   *
+   * @param dt Delta time in seconds
+   */
   protected updateEntities(dt: number) {
     for (let entity of this.query.entities) {
       if (this._removed) return;
@@ -0,0 +1,366 @@
+import type {MessagePort, Worker} from 'worker_threads';
+import {System} from './System';
+import {isQueryBuilder, Query, QueryBuilder} from './Query';
+import {Tag} from './Tag';
+import {getComponentClassByKey, getComponentKey} from './ComponentId';
+import {FieldArray, getTypedStorage, TypedStorage} from './TypedStorage';
+import {Class} from '../utils/Class';
+
+/**
+ * Parallel system options
+ */
+export interface ParallelSystemOptions {
+  /**
+   * Maximum time in milliseconds to wait for the worker to complete the update. Default value is `10000`.
+   */
+  timeout?: number;
+}
+
+/**
+ * Structural changes, that the worker queues. They are applied to the engine after the update of the system.
+ * Entities are referenced by ids, and components by their stable keys.
+ */
+export interface ParallelCommands {
+  add(entity: number, componentKey: string, data?: Record<string, unknown>): void;
+  remove(entity: number, componentKey: string): void;
+  addTag(entity: number, tag: Tag): void;
+  removeTag(entity: number, tag: Tag): void;
+  removeEntity(entity: number): void;
+}
+
+/**
+ * Context of the update, that the worker module receives
+ */
+export interface ParallelContext {
+  /**
+   * Delta time in seconds
+   */
+  readonly dt: number;
+  /**
+   * Number of entities in the query
+   */
+  readonly length: number;
+  /**
+   * Ids of entities of the query. Only first {@link length} elements are used.
+   * Ids with generations exceed the 32-bit integer range, so they are kept in `Float64Array`.
+   */
+  readonly entities: Float64Array;
+  /**
+   * Gets slots of the component of query entities in the typed storage, `-1` if the entity doesn't have the component.
+   * Only first {@link length} elements are used.
+   *
+   * @param componentKey Stable key of the component, declared by {@link System.reads} or {@link System.writes}
+   */
+  slots(componentKey: string): Int32Array;
+  /**
+   * Gets the shared typed array with values of the component field
+   *
+   * @param componentKey Stable key of the component, declared by {@link System.reads} or {@link System.writes}
+   * @param field Name of the field
+   */
+  array(componentKey: string, field: string): FieldArray;
+  readonly commands: ParallelCommands;
+}
+
+type ParallelCommand = [keyof ParallelCommands, number, (string | Tag)?, Record<string, unknown>?];
+
+interface ParallelResult {
+  commands: ParallelCommand[];
+  error?: string;
+}
+
+interface AccessedComponent {
+  key: string;
+  componentClass: Class<unknown>;
+  storage: TypedStorage<unknown>;
+  slots: Int32Array;
+}
+
+const WORKER_SOURCE = `
+const {parentPort, workerData} = require('worker_threads');
+const {port, signal, script} = workerData;
+let update;
+let loadError;
+try {
+  const exported = require(script);
+  update = typeof exported === 'function' ? exported : exported.update;
+} catch (error) {
+  loadError = error;
+}
+parentPort.on('message', (job) => {
+  const commands = [];
+  let error;
+  try {
+    if (loadError !== undefined) throw loadError;
+    if (typeof update !== 'function') throw new Error('Module "' + script + '" must export an update function');
+    const getComponent = (key) => {
+      const component = job.components[key];
+      if (component === undefined) throw new Error('Component "' + key + '" is not declared by the system');
+      return component;
+    };
+    update({
+      dt: job.dt,
+      length: job.length,
+      entities: job.entities,
+      slots: (key) => getComponent(key).slots,
+      array: (key, field) => {
+        const array = getComponent(key).arrays[field];
+        if (array === undefined) throw new Error('Field "' + field + '" of component "' + key + '" is not kept in the typed storage');
+        return array;
+      },
+      commands: {
+        add: (entity, key, data) => commands.push(['add', entity, key, data]),
+        remove: (entity, key) => commands.push(['remove', entity, key]),
+        addTag: (entity, tag) => commands.push(['addTag', entity, tag]),
+        removeTag: (entity, tag) => commands.push(['removeTag', entity, tag]),
+        removeEntity: (entity) => commands.push(['removeEntity', entity]),
+      },
+    });
+  } catch (e) {
+    error = e instanceof Error ? e.message : String(e);
+  }
+  port.postMessage({commands, error});
+  Atomics.store(signal, 0, 1);
+  Atomics.notify(signal, 0);
+});
+`;
+
+/**
+ * Parallel system updates entities of its query on a worker thread (Node.js `worker_threads`).
+ *
+ * - Worker runs the module, that exports the `update(context: ParallelContext)` function. The module doesn't have
+ *  access to the engine: it reads and writes component fields in shared typed storages (see
+ *  {@link defineTypedStorage}), and queues structural changes to {@link ParallelContext.commands}.
+ * - Components must be declared by {@link reads} and {@link writes}, have a stable key (see
+ *  {@link registerComponent}) and a shared typed storage.
+ * - Engine updates consecutive parallel systems concurrently, unless they have conflicting access or an ordering
+ *  constraint between them. Conflicting parallel systems without an ordering constraint are reported when the system
+ *  is added to the engine.
+ * - Engine waits until all concurrent systems are completed. Their structural changes are applied via
+ *  {@link commands} after that, in the order of systems.
+ * - Only {@link update} phase runs on the worker.
+ *
+ * @example
+ * ```ts
+ * // movement.js
+ * exports.update = ({dt, length, slots, array}) => {
+ *   const positions = slots('Position');
+ *   const velocities = slots('Velocity');
+ *   const x = array('Position', 'x');
+ *   const vx = array('Velocity', 'x');
+ *   for (let i = 0; i < length; i++) {
+ *     x[positions[i]] += vx[velocities[i]] * dt;
+ *   }
+ * };
+ * ```
+ * ```ts
+ * defineTypedStorage(Position, {x: 'float32', y: 'float32'}, 1024, true);
+ * defineTypedStorage(Velocity, {x: 'float32', y: 'float32'}, 1024, true);
+ * engine.addSystem(
+ *   new ParallelSystem(require.resolve('./movement'), new QueryBuilder().contains(Position, Velocity))
+ *     .reads(Velocity)
+ *     .writes(Position),
+ * );
+ * ```
+ */
+export class ParallelSystem extends System {
+  protected readonly query: Query;
+  private readonly _script: string;
+  private readonly _timeout: number;
+  private _components: AccessedComponent[] = [];
+  private _entities: Float64Array = new Float64Array(0);
+  private _worker?: Worker;
+  private _port?: MessagePort;
+  private _signal?: Int32Array;
+  private _running: boolean = false;
+
+  /**
+   * @param {string} script Absolute path of the module, that is loaded by the worker
+   * @param {Query | QueryBuilder} query Query of entities, that are passed to the worker
+   * @param {ParallelSystemOptions} options
+   */
+  public constructor(script: string, query: Query | QueryBuilder, options: ParallelSystemOptions = {}) {
+    super();
+    this._script = script;
+    this._timeout = options.timeout ?? 10000;
+    this.query = isQueryBuilder(query) ? query.build() : query;
+  }
+
+  /**
+   * Gets the path of the module, that is loaded by the worker
+   */
+  public get script(): string {
+    return this._script;
+  }
+
+  /**
+   * Gets a value indicating whether the update is started on the worker, but is not completed yet
+   */
+  public get isRunning(): boolean {
+    return this._running;
+  }
+
+  public onAddedToEngine() {
+    this.engine.addQuery(this.query);
+    this._components = this.readComponents.concat(this.writeComponents)
+      .filter((componentClass, index, list) => list.indexOf(componentClass) === index)
+      .map((componentClass) => ({
+        key: getComponentKey(componentClass)!,
+        componentClass,
+        storage: getTypedStorage(componentClass)!,
+        slots: new Int32Array(0),
+      }));
+    this._entities = new Float64Array(0);
+    this.startWorker();
+  }
+
+  public onRemovedFromEngine() {
+    this.engine.removeQuery(this.query);
+    this.stopWorker();
+  }
+
+  /**
+   * Runs the update on the worker and waits until it's completed
+   *
+   * @param dt Delta time in seconds
+   */
+  public update(dt: number) {
+    this.start(dt);
+    this.complete();
+  }
+
+  /**
+   * Checks, that declared components can be accessed from the worker
+   *
+   * @internal
+   * @throws An error if a component doesn't have a stable key or a shared typed storage
+   */
+  public validateAccess(): void {
+    for (const componentClass of this.readComponents.concat(this.writeComponents)) {
+      if (getComponentKey(componentClass) === undefined) {
+        throw new Error(`Component "${componentClass.name}" accessed by ${this} must be registered with a key`);
+      }
+      const storage = getTypedStorage(componentClass);
+      if (storage === undefined || !storage.isShared) {
+        throw new Error(`Component "${componentClass.name}" accessed by ${this} must have a shared typed storage`);
+      }
+    }
+  }
+
+  /**
+   * Passes entities of the query to the worker and starts the update
+   *
+   * @internal
+   */
+  public start(dt: number): void {
+    const entities = this.query.entities;
+    const length = entities.length;
+    if (this._entities.length < length) {
+      const capacity = Math.max(length, this._entities.length * 2);
+      this._entities = createSharedArray(Float64Array, capacity);
+      this._components.forEach((component) => component.slots = createSharedArray(Int32Array, capacity));
+    }
+    for (let i = 0; i < length; i++) {
+      const entity = entities[i];
+      this._entities[i] = entity.id;
+      for (const component of this._components) {
+        component.slots[i] = component.storage.slotOf(entity.get(component.componentClass));
+      }
+    }
+    const components: Record<string, {slots: Int32Array; arrays: Record<string, FieldArray>}> = {};
+    for (const {key, storage, slots} of this._components) {
+      const arrays: Record<string, FieldArray> = {};
+      storage.fields.forEach((field) => arrays[field as string] = storage.array(field));
+      components[key] = {slots, arrays};
+    }
+    Atomics.store(this._signal!, 0, 0);
+    this._worker!.postMessage({dt, length, entities: this._entities, components});
+    this._running = true;
+  }
+
+  /**
+   * Waits until the worker completes the update, and queues its structural changes to {@link commands}
+   *
+   * @internal
+   * @throws An error if the worker failed or didn't complete the update in time
+   */
+  public complete(): void {
+    if (!this._running) return;
+    this._running = false;
+    if (Atomics.wait(this._signal!, 0, 0, this._timeout) === 'timed-out') {
+      this.stopWorker();
+      this.startWorker();
+      throw new Error(`${this} didn't complete the update in ${this._timeout} ms`);
+    }
+    const {receiveMessageOnPort} = require('worker_threads') as typeof import('worker_threads');
+    const result = receiveMessageOnPort(this._port!)!.message as ParallelResult;
+    if (result.error !== undefined) {
+      throw new Error(`${this} failed: ${result.error}`);
+    }
+    this.applyCommands(result.commands);
+  }
+
+  public toString(): string {
+    return `${this.constructor.name}("${this._script}")`;
+  }
+
+  private applyCommands(commands: ParallelCommand[]): void {
+    for (const [type, id, value, data] of commands) {
+      const entity = this.engine.getEntityById(id);
+      if (entity === undefined) continue;
+      switch (type) {
+        case 'add':
+          this.commands.add(entity, this.getComponentClass(value as string), data);
+          break;
+        case 'remove':
+          this.commands.remove(entity, this.getComponentClass(value as string));
+          break;
+        case 'addTag':
+          this.commands.add(entity, value as Tag);
+          break;
+        case 'removeTag':
+          this.commands.remove(entity, value as Tag);
+          break;
+        case 'removeEntity':
+          this.commands.removeEntity(entity);
+          break;
+      }
+    }
+  }
+
+  private getComponentClass(key: string): Class<unknown> {
+    const componentClass = getComponentClassByKey(key);
+    if (componentClass === undefined) {
+      throw new Error(`Component key "${key}" used by ${this} is not registered`);
+    }
+    return componentClass;
+  }
+
+  private startWorker(): void {
+    const {MessageChannel, Worker} = require('worker_threads') as typeof import('worker_threads');
+    const {port1, port2} = new MessageChannel();
+    this._signal = createSharedArray(Int32Array, 1);
+    this._port = port1;
+    this._worker = new Worker(WORKER_SOURCE, {
+      eval: true,
+      workerData: {port: port2, signal: this._signal, script: this._script},
+      transferList: [port2],
+    });
+    this._worker.unref();
+  }
+
+  private stopWorker(): void {
+    this._running = false;
+    this._port?.close();
+    this._worker?.terminate();
+    this._port = undefined;
+    this._worker = undefined;
+  }
+}
+
+function createSharedArray<T extends Int32Array | Float64Array>(
+  arrayType: {new(buffer: SharedArrayBuffer): T; BYTES_PER_ELEMENT: number},
+  length: number,
+): T {
+  return new arrayType(new SharedArrayBuffer(length * arrayType.BYTES_PER_ELEMENT));
+}
@@ -0,0 +1,233 @@
+import {Entity} from './Entity';
+import {isTag, Tag} from './Tag';
+import {Class} from '../utils/Class';
+
+/**
+ * Component data, that replaces the prefab defaults for a single instance
+ * @see {@link override}
+ */
+export interface PrefabOverride<T = unknown> {
+  readonly componentClass: Class<T>;
+  readonly data: Partial<T>;
+}
+
+/**
+ * Creates an override of the component data for {@link Prefab.instantiate}. If the prefab doesn't have the component,
+ * it's added to the instance.
+ *
+ * @param {Class<T>} componentClass
+ * @param {Partial<T>} data
+ * @return {PrefabOverride<T>}
+ */
+export function override<T>(componentClass: Class<T>, data: Partial<T>): PrefabOverride<T> {
+  return {componentClass, data};
+}
+
+interface PrefabComponent {
+  componentClass: Class<unknown>;
+  data: object;
+  resolveClass?: Class<unknown>;
+}
+
+/**
+ * Prefab is a blueprint of the entity: a set of components with default data and tags, that every instance gets.
+ *
+ * - Components are created by {@link Entity.add} with the class and data, so data is assigned to the new component
+ *  instance over the values set by its constructor. Data is copied shallowly, so nested objects and arrays should be
+ *  created in the component constructor, otherwise they are shared between instances.
+ * - Variant created by {@link extend} inherits components and tags of the base prefab, and can add, replace or remove
+ *  them. Data of the component, added to both base and variant, is merged. Changes of the base prefab are visible in
+ *  its variants.
+ * - Instance is fully populated before it's returned, so after adding it to the engine queries see it in one step.
+ *
+ * @example
+ * ```ts
+ * const goblin = new Prefab('goblin')
+ *   .add(Position)
+ *   .add(Health, {value: 10})
+ *   .add(ENEMY);
+ * const goblinArcher = goblin.extend('goblin-archer')
+ *   .add(Health, {value: 6})
+ *   .add(Bow, {range: 5});
+ *
+ * engine.addEntity(goblinArcher.instantiate(override(Position, {x: 10, y: 20})));
+ * ```
+ */
+export class Prefab {
+  private readonly _name: string;
+  private readonly _base?: Prefab;
+  private readonly _components: Map<Class<unknown>, PrefabComponent> = new Map();
+  private readonly _tags: Set<Tag> = new Set();
+  private readonly _removed: Set<Class<unknown> | Tag> = new Set();
+
+  /**
+   * @param {string} name Name of the prefab
+   * @param {Prefab} base Base prefab, use {@link extend} instead of passing it directly
+   */
+  public constructor(name: string, base?: Prefab) {
+    this._name = name;
+    this._base = base;
+  }
+
+  /**
+   * Gets the name of the prefab
+   */
+  public get name(): string {
+    return this._name;
+  }
+
+  /**
+   * Gets the base prefab of the variant
+   */
+  public get base(): Prefab | undefined {
+    return this._base;
+  }
+
+  /**
+   * Adds the component with default data or the tag to the prefab. If the component of the same class is already
+   * added to the prefab or its base, data is merged.
+   *
+   * @param {Class<T> | Tag} componentClassOrTag Component class or tag
+   * @param {Partial<T>} data Default data of the component
+   * @param {Class<K>} resolveClass Class that should be used as resolving class, see {@link Entity.add}
+   * @return {Prefab} Reference to the prefab itself
+   */
+  public add<T extends K, K extends unknown>(componentClassOrTag: Class<T> | Tag, data: Partial<T> = {}, resolveClass?: Class<K>): Prefab {
+    this._removed.delete(componentClassOrTag);
+    if (isTag(componentClassOrTag)) {
+      this._tags.add(componentClassOrTag);
+      return this;
+    }
+    const key = resolveClass ?? componentClassOrTag;
+    const own = this._components.get(key);
+    this._components.set(key, {
+      componentClass: componentClassOrTag,
+      data: Object.assign({}, own?.componentClass === componentClassOrTag ? own.data : {}, data),
+      resolveClass,
+    });
+    return this;
+  }
+
+  /**
+   * Removes the component or tag from the prefab, including the one inherited from the base prefab
+   *
+   * @param {Class<unknown> | Tag} componentClassOrTag Component class (or its resolving class), or tag
+   * @return {Prefab} Reference to the prefab itself
+   */
+  public remove(componentClassOrTag: Class<unknown> | Tag): Prefab {
+    if (isTag(componentClassOrTag)) {
+      this._tags.delete(componentClassOrTag);
+    } else {
+      this._components.delete(componentClassOrTag);
+    }
+    if (this._base !== undefined && this._base.has(componentClassOrTag)) {
+      this._removed.add(componentClassOrTag);
+    }
+    return this;
+  }
+
+  /**
+   * Returns a value indicating whether the prefab or its base has the component or tag
+   *
+   * @param {Class<unknown> | Tag} componentClassOrTag Component class (or its resolving class), or tag
+   * @return {boolean}
+   */
+  public has(componentClassOrTag: Class<unknown> | Tag): boolean {
+    if (isTag(componentClassOrTag)) {
+      return this.getTags().has(componentClassOrTag);
+    }
+    return this.getComponents().has(componentClassOrTag);
+  }
+
+  /**
+   * Gets default data of the component, merged with the data of base prefabs
+   *
+   * @param {Class<T>} componentClass Component class (or its resolving class)
+   * @return {Partial<T> | undefined} Data of the component, or `undefined` if prefab doesn't have it
+   */
+  public getData<T>(componentClass: Class<T>): Partial<T> | undefined {
+    const component = this.getComponents().get(componentClass);
+    return component !== undefined ? Object.assign({}, component.data) as Partial<T> : undefined;
+  }
+
+  /**
+   * Creates a variant of the prefab, that inherits its components and tags
+   *
+   * @param {string} name Name of the variant
+   * @return {Prefab}
+   */
+  public extend(name: string): Prefab {
+    return new Prefab(name, this);
+  }
+
+  /**
+   * Returns a value indicating whether the prefab is the passed one, or its variant
+   *
+   * @param {Prefab} prefab
+   * @return {boolean}
+   */
+  public isVariantOf(prefab: Prefab): boolean {
+    let current: Prefab | undefined = this;
+    while (current !== undefined) {
+      if (current === prefab) return true;
+      current = current._base;
+    }
+    return false;
+  }
+
+  /**
+   * Creates a new entity with components and tags of the prefab
+   *
+   * @param overrides Component data, that replaces the prefab defaults for this instance
+   * @return {Entity}
+   * @see {@link override}
+   */
+  public instantiate(...overrides: PrefabOverride<any>[]): Entity {
+    return this.applyTo(new Entity(), ...overrides);
+  }
+
+  /**
+   * Adds components and tags of the prefab to the existing entity, e.g. created by {@link Engine.createEntity} or
+   * acquired from the {@link EntityPool}. Components of the same classes are replaced.
+   *
+   * @param {Entity} entity
+   * @param overrides Component data, that replaces the prefab defaults for this instance
+   * @return {Entity} Passed entity
+   */
+  public applyTo(entity: Entity, ...overrides: PrefabOverride<any>[]): Entity {
+    const components = this.getComponents();
+    const overridden = new Map<Class<unknown>, object>();
+    for (const {componentClass, data} of overrides) {
+      overridden.set(componentClass, Object.assign(overridden.get(componentClass) ?? {}, data));
+    }
+    components.forEach((component, key) => {
+      const data = overridden.get(key);
+      entity.add(component.componentClass, data !== undefined ? Object.assign({}, component.data, data) : component.data, component.resolveClass);
+      overridden.delete(key);
+    });
+    overridden.forEach((data, componentClass) => entity.add(componentClass, data));
+    this.getTags().forEach((tag) => entity.add(tag));
+    return entity;
+  }
+
+  private getComponents(): Map<Class<unknown>, PrefabComponent> {
+    const result = this._base !== undefined ? this._base.getComponents() : new Map<Class<unknown>, PrefabComponent>();
+    this._removed.forEach((item) => !isTag(item) && result.delete(item));
+    this._components.forEach((component, key) => {
+      const base = result.get(key);
+      if (base !== undefined && base.componentClass === component.componentClass) {
+        result.set(key, {componentClass: component.componentClass, data: Object.assign({}, base.data, component.data), resolveClass: component.resolveClass});
+      } else {
+        result.set(key, component);
+      }
+    });
+    return result;
+  }
+
+  private getTags(): Set<Tag> {
+    const result = this._base !== undefined ? this._base.getTags() : new Set<Tag>();
+    this._removed.forEach((item) => isTag(item) && result.delete(item));
+    this._tags.forEach((tag) => result.add(tag));
+    return result;
+  }
+}
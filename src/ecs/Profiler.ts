@@ -0,0 +1,233 @@
+import {systemClock} from './GameLoop';
+
+/**
+ * Profiler options
+ */
+export interface ProfilerOptions {
+  /**
+   * Source of the time in milliseconds. Default value is {@link systemClock.now}.
+   */
+  now?: () => number;
+  /**
+   * Number of the last samples, that are used for calculating min, max and average timings. Default value is `120`.
+   */
+  windowSize?: number;
+  /**
+   * Maximum number of trace events kept for export. The oldest events are dropped when the limit is reached.
+   * Zero disables tracing. Default value is `100000`.
+   */
+  maxTraceEvents?: number;
+}
+
+/**
+ * Rolling statistics of the measured section
+ */
+export interface ProfileStats {
+  /**
+   * Name of the measured section, for systems it's a system class name
+   */
+  readonly name: string;
+  /**
+   * Category of the measured section: engine update phase for systems, or `query`
+   */
+  readonly category: string;
+  /**
+   * Total number of calls since the profiler was reset
+   */
+  readonly calls: number;
+  /**
+   * Minimum duration in milliseconds among the last samples
+   */
+  readonly min: number;
+  /**
+   * Maximum duration in milliseconds among the last samples
+   */
+  readonly max: number;
+  /**
+   * Average duration in milliseconds among the last samples
+   */
+  readonly avg: number;
+  /**
+   * Duration of the last call in milliseconds
+   */
+  readonly last: number;
+}
+
+/**
+ * Complete event of the Chrome Trace Event format
+ */
+export interface ChromeTraceEvent {
+  name: string;
+  cat: string;
+  ph: 'X';
+  /**
+   * Start time in microseconds
+   */
+  ts: number;
+  /**
+   * Duration in microseconds
+   */
+  dur: number;
+  pid: number;
+  tid: number;
+}
+
+/**
+ * Trace in the Chrome Trace Event JSON format
+ */
+export interface ChromeTrace {
+  traceEvents: ChromeTraceEvent[];
+  displayTimeUnit: 'ms';
+}
+
+class Section {
+  public calls: number = 0;
+  public last: number = 0;
+  private readonly _samples: number[] = [];
+  private _next: number = 0;
+
+  public constructor(
+    public readonly name: string,
+    public readonly category: string,
+    private readonly _windowSize: number,
+  ) {}
+
+  public add(duration: number): void {
+    this.calls++;
+    this.last = duration;
+    if (this._samples.length < this._windowSize) {
+      this._samples.push(duration);
+    } else {
+      this._samples[this._next] = duration;
+      this._next = (this._next + 1) % this._windowSize;
+    }
+  }
+
+  public getStats(): ProfileStats {
+    let min = Number.POSITIVE_INFINITY;
+    let max = 0;
+    let sum = 0;
+    for (const sample of this._samples) {
+      min = Math.min(min, sample);
+      max = Math.max(max, sample);
+      sum += sample;
+    }
+    const count = this._samples.length;
+    return {
+      name: this.name,
+      category: this.category,
+      calls: this.calls,
+      min: count > 0 ? min : 0,
+      max,
+      avg: count > 0 ? sum / count : 0,
+      last: this.last,
+    };
+  }
+}
+
+/**
+ * Profiler collects timings of the engine systems and queries.
+ * Set it to the {@link Engine.profiler} to start measuring, and use {@link getStats} or {@link toChromeTrace} to read
+ * the results.
+ *
+ * @example
+ * ```ts
+ * const profiler = new Profiler();
+ * engine.profiler = profiler;
+ * ...
+ * console.table(profiler.stats);
+ * fs.writeFileSync('trace.json', JSON.stringify(profiler.toChromeTrace()));
+ * ```
+ */
+export class Profiler {
+  private readonly _now: () => number;
+  private readonly _windowSize: number;
+  private readonly _maxTraceEvents: number;
+  private _sections: Map<string, Map<string, Section>> = new Map();
+  private _events: ChromeTraceEvent[] = [];
+  private _nextEvent: number = 0;
+
+  public constructor(options: ProfilerOptions = {}) {
+    this._now = options.now ?? systemClock.now;
+    this._windowSize = Math.max(options.windowSize ?? 120, 1);
+    this._maxTraceEvents = options.maxTraceEvents ?? 100000;
+  }
+
+  /**
+   * Gets statistics of all measured sections
+   */
+  public get stats(): ProfileStats[] {
+    const result: ProfileStats[] = [];
+    this._sections.forEach((sections) => sections.forEach((section) => result.push(section.getStats())));
+    return result;
+  }
+
+  /**
+   * Gets statistics of the measured section
+   *
+   * @param {string} name Section name, for systems it's a system class name
+   * @param {string} category Section category
+   * @return {ProfileStats | undefined}
+   */
+  public getStats(name: string, category: string): ProfileStats | undefined {
+    return this._sections.get(category)?.get(name)?.getStats();
+  }
+
+  /**
+   * Gets the current time in milliseconds, that should be passed to {@link record} as a start time
+   */
+  public now(): number {
+    return this._now();
+  }
+
+  /**
+   * Records the section, that was started at the passed time and finished now.
+   *
+   * @param {string} name Section name
+   * @param {string} category Section category
+   * @param {number} startTime Start time in milliseconds, taken from {@link now}
+   */
+  public record(name: string, category: string, startTime: number): void {
+    const duration = this._now() - startTime;
+    let sections = this._sections.get(category);
+    if (sections === undefined) {
+      sections = new Map();
+      this._sections.set(category, sections);
+    }
+    let section = sections.get(name);
+    if (section === undefined) {
+      section = new Section(name, category, this._windowSize);
+      sections.set(name, section);
+    }
+    section.add(duration);
+
+    if (this._maxTraceEvents > 0) {
+      const event: ChromeTraceEvent = {name, cat: category, ph: 'X', ts: startTime * 1000, dur: duration * 1000, pid: 1, tid: 1};
+      if (this._events.length < this._maxTraceEvents) {
+        this._events.push(event);
+      } else {
+        this._events[this._nextEvent] = event;
+        this._nextEvent = (this._nextEvent + 1) % this._maxTraceEvents;
+      }
+    }
+  }
+
+  /**
+   * Exports recorded events in the Chrome Trace Event format, that can be loaded to `chrome://tracing` or Perfetto UI
+   *
+   * @return {ChromeTrace}
+   */
+  public toChromeTrace(): ChromeTrace {
+    const traceEvents = this._events.slice(this._nextEvent).concat(this._events.slice(0, this._nextEvent));
+    return {traceEvents, displayTimeUnit: 'ms'};
+  }
+
+  /**
+   * Removes all collected statistics and trace events
+   */
+  public reset(): void {
+    this._sections = new Map();
+    this._events = [];
+    this._nextEvent = 0;
+  }
+}
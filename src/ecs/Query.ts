@@ -1,9 +1,13 @@
 import {getComponentClass, getComponentId} from './ComponentId';
-import {Entity, EntitySnapshot} from './Entity';
+import {Entity, EntitySnapshot, RelationKind} from './Entity';
 import {isTag, Tag} from './Tag';
 import {Signal} from '../utils/Signal';
 import {Class} from '../utils/Class';
 import {isLinkedComponent} from './LinkedComponent';
+import {BitSet} from '../utils/BitSet';
+import {getComponentBit, getTagBit} from './Archetype';
+import {QueryIndex, QueryIndexKeyExtractor} from './QueryIndex';
+import {PositionAccessor, SpatialHash} from './SpatialHash';
 
 /**
  * Query Predicate is the type that describes a function that compares Entities with the conditions it sets.
@@ -12,11 +16,120 @@ import {isLinkedComponent} from './LinkedComponent';
  */
 export type QueryPredicate = (entity: Entity) => boolean;
 
+/**
+ * Comparator of entities, that defines the order of entities in the sorted query.
+ * Returns a negative number if `a` goes before `b`, a positive number if `a` goes after `b`, and zero otherwise.
+ */
+export type QueryComparator = (a: Entity, b: Entity) => number;
+
+/**
+ * Structure, that is attached to the query and kept in sync with its entities, such as {@link QueryIndex} or
+ * {@link SpatialHash}
+ * @see {@link Query.attach}
+ */
+export interface QueryAttachment {
+  /**
+   * Called when entity joins the query
+   */
+  add(entity: Entity): void;
+  /**
+   * Called when entity leaves the query
+   */
+  remove(entity: Entity): void;
+  /**
+   * Called when components of the entity in the query are added, removed or marked as changed, or the entity is
+   * invalidated
+   */
+  update(entity: Entity): void;
+  /**
+   * Called when the query is cleared, or the attachment is detached
+   */
+  clear(): void;
+}
+
+/**
+ * Component, that is passed to the {@link Query.each} callback if entity has it, but doesn't affect the matching
+ * @see {@link optional}
+ */
+export interface OptionalComponent<T> {
+  readonly optional: Class<T>;
+}
+
+/**
+ * Marks the component as optional for {@link QueryBuilder.contains} and {@link all}. Entity doesn't need to have the
+ * component to be matched, and the component comes to the {@link Query.each} callback as `T | undefined`.
+ *
+ * @param {Class<T>} componentClass
+ * @return {OptionalComponent<T>}
+ * @example
+ * ```ts
+ * makeQuery(all(Position, optional(Velocity))).each((entity, position, velocity) => {
+ *   if (velocity !== undefined) { ... }
+ * });
+ * ```
+ */
+export function optional<T>(componentClass: Class<T>): OptionalComponent<T> {
+  return {optional: componentClass};
+}
+
+/**
+ * Maps the list of component classes, tags and optional components to the tuple of component types, tags are skipped
+ */
+export type ComponentTypes<A extends unknown[]> = A extends [infer H, ...infer R]
+  ? H extends Class<infer T>
+    ? [T, ...ComponentTypes<R>]
+    : H extends OptionalComponent<infer T>
+      ? [T | undefined, ...ComponentTypes<R>]
+      : ComponentTypes<R>
+  : [];
+
+/**
+ * Untyped queries and builders use `unknown[]` as component types, which is treated as the empty tuple
+ */
+type KnownComponents<C extends unknown[]> = unknown[] extends C ? [] : C;
+
+type QueryItem = Class<unknown> | Tag | OptionalComponent<unknown>;
+type ComponentItem = Class<unknown> | OptionalComponent<unknown>;
+
+/**
+ * Query options
+ */
+export interface QueryOptions {
+  /**
+   * If true - entities will stay in the order they joined the query, when other entities are leaving it.
+   * Otherwise the last entity takes place of the removed one, which is faster.
+   * Default value is `false`.
+   */
+  stableOrder?: boolean;
+  /**
+   * If passed - entities are kept sorted by the comparator. Entities, that are equal by the comparator, stay in the
+   * order they joined the query. Sorted query ignores {@link stableOrder}.
+   * Call {@link Entity.invalidate} after changing the data used by the comparator, so the entity takes its new place.
+   */
+  sort?: QueryComparator;
+  /**
+   * Components, which changes are tracked by the query. Entity is matched only if one of the components was added or
+   * marked as changed since the last {@link Query.resetChanges} call.
+   * @see {@link Entity.markChanged}
+   */
+  changed?: ReadonlyArray<Class<unknown>>;
+  /**
+   * Components, which additions are tracked by the query. Entity is matched only if one of the components was added
+   * since the last {@link Query.resetChanges} call.
+   */
+  added?: ReadonlyArray<Class<unknown>>;
+  /**
+   * Components, which are passed to the {@link Query.each} callback in the same order
+   */
+  components?: ReadonlyArray<Class<unknown> | OptionalComponent<unknown>>;
+}
+
 /**
  * Query represents list of entities that matches query request.
+ * Type parameter `C` is a tuple of component types, that are passed to the {@link each} callback.
  * @see QueryBuilder
  */
-export class Query implements Iterable<Entity> {
+export class Query<C extends unknown[] = unknown[]> implements Iterable<Entity> {
   *[Symbol.iterator](): Iterator<Entity> {
     for (const entity of this.entities) {
       yield entity;
@@ -36,14 +149,76 @@ export class Query implements Iterable<Entity> {
   private readonly _snapshot: EntitySnapshot = new EntitySnapshot();
 
   private readonly _predicate: QueryPredicate;
+  private readonly _stableOrder: boolean;
+  private readonly _comparator?: QueryComparator;
   private _entities: Entity[] = [];
+  private readonly _indices: Map<Entity, number> = new Map();
+  private readonly _changed: Set<number> = new Set();
+  private readonly _added: Set<number> = new Set();
+  private readonly _pending: Set<Entity> = new Set();
+  private readonly _componentIds: number[] = [];
+  private readonly _attachments: QueryAttachment[] = [];
+
+  /**
+   * Signature of components and tags that entity must have to match the query.
+   * Queries with signature are matched by the engine via archetypes, without calling the predicate.
+   *
+   * @internal
+   */
+  public signature?: BitSet;
 
   /**
    * Initializes Query instance
    * @param predicate Matching predicate
+   * @param options Query options
    */
-  public constructor(predicate: QueryPredicate) {
+  public constructor(predicate: QueryPredicate, options: QueryOptions = {}) {
     this._predicate = predicate;
+    this._stableOrder = options.stableOrder ?? false;
+    this._comparator = options.sort;
+    for (const componentClass of options.changed ?? []) {
+      this._changed.add(getComponentId(componentClass, true)!);
+    }
+    for (const componentClass of options.added ?? []) {
+      this._added.add(getComponentId(componentClass, true)!);
+    }
+    for (const item of options.components ?? []) {
+      this._componentIds.push(getComponentId(isOptionalComponent(item) ? item.optional : item, true)!);
+    }
+  }
+
+  /**
+   * Gets a value indicating whether query tracks changes of the components.
+   * Entities list of such query is valid until the {@link resetChanges} call.
+   * @see {@link QueryOptions.changed}, {@link QueryOptions.added}
+   */
+  public get isTracking(): boolean {
+    return this._changed.size > 0 || this._added.size > 0;
+  }
+
+  /**
+   * Gets a value indicating whether entities stay in the order they joined the query
+   */
+  public get isStableOrder(): boolean {
+    return this._stableOrder;
+  }
+
+  /**
+   * Gets a value indicating whether entities are sorted by the comparator
+   * @see {@link QueryOptions.sort}
+   */
+  public get isSorted(): boolean {
+    return this._comparator !== undefined;
+  }
+
+  /**
+   * Gets a value indicating whether the query keeps data, that depends on the entity state: sort order or attachments.
+   * Such query has to be refreshed when entity components are changed, or entity is invalidated.
+   *
+   * @internal
+   */
+  public get needsRefresh(): boolean {
+    return this._comparator !== undefined || this._attachments.length > 0;
   }
 
   /**
@@ -100,7 +275,7 @@ export class Query implements Iterable<Entity> {
   }
 
   public includes(entity: Entity): boolean {
-    return this._entities.includes(entity);
+    return this._indices.has(entity);
   }
 
   public forEach(predicate: (value: Entity, index: number, array: Entity[]) => void): void {
@@ -111,6 +286,32 @@ export class Query implements Iterable<Entity> {
     return this._entities.map(predicate);
   }
 
+  /**
+   * Calls the callback for every entity of the query with the components of the query, that were passed to
+   * {@link QueryBuilder.contains} or {@link all}. Optional components are `undefined` if entity doesn't have them.
+   * Changing the query membership inside the callback may lead to skipping entities, use {@link Engine.commands} instead.
+   *
+   * @param callback
+   * @example
+   * ```ts
+   * new QueryBuilder().contains(Position, Velocity).build().each((entity, position, velocity) => {
+   *   position.x += velocity.x * dt;
+   * });
+   * ```
+   */
+  public each(callback: (entity: Entity, ...components: C) => void): void {
+    const ids = this._componentIds;
+    const args: unknown[] = new Array(ids.length + 1);
+    for (const entity of this._entities) {
+      const components = entity.components;
+      args[0] = entity;
+      for (let i = 0; i < ids.length; i++) {
+        args[i + 1] = components[ids[i]];
+      }
+      (callback as (...args: unknown[]) => void).apply(undefined, args);
+    }
+  }
+
   /**
    * Returns the first entity from the query, that was accepted by predicate
    * @param {(entity: Entity) => boolean} predicate - function that will be called for every entity in the query until
@@ -137,7 +338,7 @@ export class Query implements Iterable<Entity> {
    * @returns {boolean}
    */
   public has(entity: Entity): boolean {
-    return this._entities.indexOf(entity) !== -1;
+    return this._indices.has(entity);
   }
 
   /**
@@ -162,18 +363,102 @@ export class Query implements Iterable<Entity> {
    */
   public clear(): void {
     this._entities = [];
+    this._indices.clear();
+    this._pending.clear();
+    this._attachments.forEach((attachment) => attachment.clear());
+  }
+
+  /**
+   * Creates an index of the query entities by the key, returned by the extractor
+   *
+   * @param {QueryIndexKeyExtractor<K>} extractor Function, that returns the key of the entity
+   * @return {QueryIndex<K>}
+   * @see {@link QueryIndex}
+   */
+  public createIndex<K>(extractor: QueryIndexKeyExtractor<K>): QueryIndex<K> {
+    return this.attach(new QueryIndex(extractor));
+  }
+
+  /**
+   * Creates a spatial hash grid of the query entities, positioned by the accessor
+   *
+   * @param {PositionAccessor} position Function, that returns the position of the entity
+   * @param {number} cellSize Size of the grid cell
+   * @return {SpatialHash}
+   * @see {@link SpatialHash}
+   */
+  public createSpatialHash(position: PositionAccessor, cellSize: number): SpatialHash {
+    return this.attach(new SpatialHash(position, cellSize));
+  }
+
+  /**
+   * Attaches the structure, that will be kept in sync with the query entities. Entities, that are already in the
+   * query, are added to the attachment immediately.
+   *
+   * @param {T} attachment
+   * @return {T} Passed attachment
+   */
+  public attach<T extends QueryAttachment>(attachment: T): T {
+    if (this._attachments.indexOf(attachment) !== -1) {
+      throw new Error('Attachment is already attached to the query');
+    }
+    this._entities.forEach((entity) => attachment.add(entity));
+    this._attachments.push(attachment);
+    return attachment;
+  }
+
+  /**
+   * Detaches and clears the attachment, so it's not updated anymore
+   *
+   * @param {QueryAttachment} attachment
+   */
+  public detach(attachment: QueryAttachment): void {
+    const index = this._attachments.indexOf(attachment);
+    if (index === -1) return;
+    this._attachments.splice(index, 1);
+    attachment.clear();
+  }
+
+  /**
+   * Forgets all tracked changes and clears the list of entities of the tracking query, signals are not dispatched.
+   * {@link ReactionSystem} calls it automatically after every update of the system.
+   * Does nothing if query doesn't track changes.
+   */
+  public resetChanges(): void {
+    if (!this.isTracking) return;
+    this.clear();
   }
 
   /**
    * @internal
    */
   public validateEntity(entity: Entity): void {
-    const index = this.entities.indexOf(entity);
-    const isMatch = this._predicate(entity);
-    if (index !== -1 && !isMatch) {
-      this.entityRemoved(entity);
-    } else {
-      this.entityAdded(entity);
+    const isMatch = this.isMatch(entity, entity);
+    if (this._indices.has(entity)) {
+      if (!isMatch) {
+        this.removeMatched(entity);
+      } else {
+        this.refreshEntity(entity);
+      }
+    } else if (isMatch) {
+      this.addMatched(entity);
+    }
+  }
+
+  /**
+   * Moves the entity of the sorted query to its place according to the comparator, and updates attachments of the query.
+   * Signals are not dispatched. Does nothing if query doesn't contain the entity.
+   *
+   * @internal
+   */
+  public refreshEntity(entity: Entity): void {
+    const index = this._indices.get(entity);
+    if (index === undefined) return;
+    if (this._comparator !== undefined) {
+      this.sortEntity(entity, index);
+    }
+    for (const attachment of this._attachments) {
+      attachment.update(entity);
     }
   }
 
@@ -181,13 +466,11 @@ export class Query implements Iterable<Entity> {
    * @internal
    */
   public entityAdded = (entity: Entity) => {
-    const index = this._entities.indexOf(entity);
-    if (index === -1 && this._predicate(entity)) {
-      this._entities.push(entity);
-      if (this.onEntityAdded.hasHandlers) {
-        entity.takeSnapshot(this._snapshot);
-        this.onEntityAdded.emit(this._snapshot);
-      }
+    if (this.isTracking && this.hasTrackedComponent(entity)) {
+      this._pending.add(entity);
+    }
+    if (!this._indices.has(entity) && this.isMatch(entity, entity)) {
+      this.addMatched(entity);
     }
   };
 
@@ -195,74 +478,169 @@ export class Query implements Iterable<Entity> {
    * @internal
    */
   public entityRemoved = (entity: Entity) => {
-    const index = this._entities.indexOf(entity);
-    if (index !== -1) {
-      this._entities.splice(index, 1);
-      if (this.onEntityRemoved.hasHandlers) {
-        entity.takeSnapshot(this._snapshot);
-        this.onEntityRemoved.emit(this._snapshot);
-      }
-    }
+    this._pending.delete(entity);
+    this.removeMatched(entity);
   };
 
   /**
    * @internal
    */
   public entityComponentAdded = <T>(entity: Entity, componentOrTag: NonNullable<T>, componentClass?: Class<NonNullable<T>>) => {
-    const hasAddedHandlers = this.onEntityAdded.hasHandlers;
-    const hasRemovedHandlers = this.onEntityRemoved.hasHandlers;
-
     this.updateHelper(entity, componentOrTag, componentClass);
-
-    const index = this._entities.indexOf(entity);
-    const isMatch = this._predicate(this._helper);
-    if (index === -1 && isMatch) {
-      this._entities.push(entity);
-      if (hasAddedHandlers) {
-        entity.takeSnapshot(this._snapshot, componentOrTag, componentClass);
-        this.onEntityAdded.emit(this._snapshot);
-      }
-    } else if (index !== -1 && !isMatch) {
-      this._entities.splice(index, 1);
-      if (hasRemovedHandlers) {
-        entity.takeSnapshot(this._snapshot, componentOrTag, componentClass);
-        this.onEntityRemoved.emit(this._snapshot);
+    if (this.isTracking && !isTag(componentOrTag)) {
+      const id = getComponentId(getComponentClass<any, any>(componentOrTag, componentClass))!;
+      if (this._added.has(id) || this._changed.has(id)) {
+        this._pending.add(entity);
       }
     }
+
+    const isPresent = this._indices.has(entity);
+    const isMatch = this.isMatch(entity, this._helper);
+    if (!isPresent && isMatch) {
+      this.addMatched(entity, componentOrTag, componentClass);
+    } else if (isPresent && !isMatch) {
+      this.removeMatched(entity, componentOrTag, componentClass);
+    } else if (isPresent && this.needsRefresh) {
+      this.refreshEntity(entity);
+    }
   };
 
   /**
    * @internal
    */
   public entityComponentRemoved = <T>(entity: Entity, component: NonNullable<T>, componentClass?: Class<NonNullable<T>>) => {
-    const hasAddedHandlers = this.onEntityAdded.hasHandlers;
-    const hasRemovedHandlers = this.onEntityRemoved.hasHandlers;
-
     this.updateHelper(entity, component, componentClass);
 
-    const index = this._entities.indexOf(entity);
-    if (index !== -1 && this._predicate(this._helper) && !this._predicate(entity)) {
+    const isPresent = this._indices.has(entity);
+    if (isPresent && this.isMatch(entity, this._helper) && !this.isMatch(entity, entity)) {
+      this.removeMatched(entity, component, componentClass);
+    } else if (!isPresent && this.isMatch(entity, entity) && !this.isMatch(entity, this._helper)) {
+      this.addMatched(entity, component, componentClass);
+    } else if (isPresent && this.needsRefresh) {
+      this.refreshEntity(entity);
+    }
+  };
+
+  /**
+   * @internal
+   */
+  public entityComponentChanged = <T>(entity: Entity, component: NonNullable<T>, componentClass?: Class<NonNullable<T>>) => {
+    const id = getComponentId(getComponentClass<any, any>(component, componentClass))!;
+    if (!this._changed.has(id)) return;
+    this._pending.add(entity);
+    if (!this._indices.has(entity) && this._predicate(entity)) {
+      this.addMatched(entity, component, componentClass);
+    }
+  };
+
+  /**
+   * Adds an entity, that is known to match the query, without testing it.
+   *
+   * @internal
+   */
+  public addMatched<T>(entity: Entity, changedComponentOrTag?: NonNullable<T>, componentClass?: Class<NonNullable<T>>): void {
+    if (this._comparator !== undefined) {
+      const index = this.findSortedIndex(entity);
+      this._entities.splice(index, 0, entity);
+      this.updateIndices(index, this._entities.length);
+    } else {
+      this._indices.set(entity, this._entities.length);
+      this._entities.push(entity);
+    }
+    for (const attachment of this._attachments) {
+      attachment.add(entity);
+    }
+    if (this.onEntityAdded.hasHandlers) {
+      entity.takeSnapshot(this._snapshot, changedComponentOrTag, componentClass);
+      this.onEntityAdded.emit(this._snapshot);
+    }
+  }
+
+  /**
+   * Removes an entity, that is known to be in the query, without testing it.
+   *
+   * @internal
+   */
+  public removeMatched<T>(entity: Entity, changedComponentOrTag?: NonNullable<T>, componentClass?: Class<NonNullable<T>>): void {
+    const index = this._indices.get(entity);
+    if (index === undefined) return;
+    this._indices.delete(entity);
+    if (this._stableOrder || this._comparator !== undefined) {
       this._entities.splice(index, 1);
-      if (hasRemovedHandlers) {
-        entity.takeSnapshot(this._snapshot, component, componentClass);
-        this.onEntityRemoved.emit(this._snapshot);
+      this.updateIndices(index, this._entities.length);
+    } else {
+      const last = this._entities.pop()!;
+      if (index < this._entities.length) {
+        this._entities[index] = last;
+        this._indices.set(last, index);
       }
-    } else if (index === -1 && this._predicate(entity) && !this._predicate(this._helper)) {
-      this._entities.push(entity);
-      if (hasAddedHandlers) {
-        entity.takeSnapshot(this._snapshot, component, componentClass);
-        this.onEntityAdded.emit(this._snapshot);
+    }
+    for (const attachment of this._attachments) {
+      attachment.remove(entity);
+    }
+    if (this.onEntityRemoved.hasHandlers) {
+      entity.takeSnapshot(this._snapshot, changedComponentOrTag, componentClass);
+      this.onEntityRemoved.emit(this._snapshot);
+    }
+  }
+
+  private sortEntity(entity: Entity, index: number): void {
+    const comparator = this._comparator!;
+    const entities = this._entities;
+    const isOrdered = (index === 0 || comparator(entities[index - 1], entity) <= 0)
+      && (index === entities.length - 1 || comparator(entity, entities[index + 1]) <= 0);
+    if (isOrdered) return;
+    entities.splice(index, 1);
+    const newIndex = this.findSortedIndex(entity);
+    entities.splice(newIndex, 0, entity);
+    this.updateIndices(Math.min(index, newIndex), Math.max(index, newIndex) + 1);
+  }
+
+  private findSortedIndex(entity: Entity): number {
+    const comparator = this._comparator!;
+    const entities = this._entities;
+    let low = 0;
+    let high = entities.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (comparator(entity, entities[middle]) < 0) {
+        high = middle;
+      } else {
+        low = middle + 1;
       }
     }
-  };
+    return low;
+  }
+
+  private updateIndices(from: number, to: number): void {
+    for (let i = from; i < to; i++) {
+      this._indices.set(this._entities[i], i);
+    }
+  }
+
+  private isMatch(entity: Entity, state: Entity): boolean {
+    return (!this.isTracking || this._pending.has(entity)) && this._predicate(state);
+  }
+
+  private hasTrackedComponent(entity: Entity): boolean {
+    for (const id of this._changed) {
+      if (entity.components[id] !== undefined) return true;
+    }
+    for (const id of this._added) {
+      if (entity.components[id] !== undefined) return true;
+    }
+    return false;
+  }
 
   private updateHelper<T>(entity: Entity, component: NonNullable<T>, resolveClass?: Class<NonNullable<T>>) {
     this._helper.clear();
     this._helper.copyFrom(entity);
-    if (!isLinkedComponent(component)) {
-      this._helper.add(component);
+    if (isTag(component)) {
+      this._helper.addTag(component);
+    } else if (!isLinkedComponent(component)) {
+      this._helper.addComponentUnchecked<any, any>(component, resolveClass);
     } else if (!this._helper.has(getComponentClass(component!, resolveClass))) {
-      this._helper.append(component);
+      this._helper.appendComponentUnchecked(component);
     }
   }
 }
@@ -285,8 +663,27 @@ function hasAll(entity: Entity, components: Set<number>, tags: Set<Tag>): boolea
   return true;
 }
 
+function hasRelated(entity: Entity, kind: RelationKind, targetFilter: ReadonlyArray<Class<unknown> | Tag>): boolean {
+  const targets = entity.getRelated(kind);
+  if (targetFilter.length === 0) {
+    return targets.length > 0;
+  }
+  for (const target of targets) {
+    if (target.hasAll(...targetFilter)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function isOptionalComponent(item: unknown): item is OptionalComponent<unknown> {
+  return typeof item === 'object' && item !== null && (item as OptionalComponent<unknown>).optional !== undefined;
+}
+
 /**
- * Query builder, helps to create queries
+ * Query builder, helps to create queries.
+ * Type parameter `C` is a tuple of component types, that are passed to the {@link Query.each} callback of the built
+ * query.
  * @example
  * const query = new QueryBuilder()
  *  .contains(Position)
@@ -294,35 +691,127 @@ function hasAll(entity: Entity, components: Set<number>, tags: Set<Tag>): boolea
  *  .contains(TorqueForce)
  *  .build();
  */
-export class QueryBuilder {
+export class QueryBuilder<C extends unknown[] = unknown[]> {
   private readonly _components: Set<number> = new Set();
+  private readonly _eachComponents: ComponentItem[] = [];
   private readonly _tags: Set<Tag> = new Set();
+  private readonly _changed: Set<Class<unknown>> = new Set();
+  private readonly _added: Set<Class<unknown>> = new Set();
+  private readonly _relations: Array<[RelationKind, Array<Class<unknown> | Tag>]> = [];
+  private _stableOrder: boolean = false;
+  private _comparator?: QueryComparator;
 
   /**
-   * Specifies components that must be added to entity to be matched
+   * Specifies components that must be added to entity to be matched.
+   * Components are passed to the {@link Query.each} callback in the same order. Components wrapped with
+   * {@link optional} don't affect the matching.
    * @param componentsOrTags
    */
-  public contains(...componentsOrTags: Array<any>): QueryBuilder {
+  public contains<A extends QueryItem[]>(...componentsOrTags: A): QueryBuilder<[...KnownComponents<C>, ...ComponentTypes<A>]> {
     for (const componentOrTag of componentsOrTags) {
       if (isTag(componentOrTag)) {
         if (!this._tags.has(componentOrTag)) {
           this._tags.add(componentOrTag);
         }
       } else {
+        this._eachComponents.push(componentOrTag);
+        if (isOptionalComponent(componentOrTag)) continue;
         const componentId = getComponentId(componentOrTag, true)!;
         if (!this._components.has(componentId)) {
           this._components.add(componentId);
         }
       }
     }
+    return this as QueryBuilder<any>;
+  }
+
+  /**
+   * Makes the query keep entities in the order they joined it
+   * @see {@link QueryOptions.stableOrder}
+   */
+  public stableOrder(): QueryBuilder<C> {
+    this._stableOrder = true;
+    return this;
+  }
+
+  /**
+   * Makes the query keep entities sorted by the comparator
+   * @see {@link QueryOptions.sort}
+   * @example
+   * ```ts
+   * const query = new QueryBuilder()
+   *  .contains(Sprite)
+   *  .sortBy((a, b) => a.get(Sprite)!.zIndex - b.get(Sprite)!.zIndex)
+   *  .build();
+   * ```
+   */
+  public sortBy(comparator: QueryComparator): QueryBuilder<C> {
+    this._comparator = comparator;
+    return this;
+  }
+
+  /**
+   * Specifies components, which changes must be tracked. Entity will be matched only if it contains the components,
+   * and one of them was added or marked as changed since the last {@link Query.resetChanges} call.
+   * Entities added to the engine, as well as entities which are already in the engine when the query is added, are
+   * treated as having all components added.
+   * @see {@link Entity.markChanged}, {@link trackChanges}
+   */
+  public changed<A extends Array<Class<unknown>>>(...componentClasses: A): QueryBuilder<[...KnownComponents<C>, ...ComponentTypes<A>]> {
+    componentClasses.forEach((componentClass) => this._changed.add(componentClass));
+    return this.contains(...componentClasses);
+  }
+
+  /**
+   * Specifies components, which additions must be tracked. Entity will be matched only if it contains the components,
+   * and one of them was added since the last {@link Query.resetChanges} call.
+   */
+  public added<A extends Array<Class<unknown>>>(...componentClasses: A): QueryBuilder<[...KnownComponents<C>, ...ComponentTypes<A>]> {
+    componentClasses.forEach((componentClass) => this._added.add(componentClass));
+    return this.contains(...componentClasses);
+  }
+
+  /**
+   * Specifies relation, that entity must have to be matched. If target components or tags are passed, at least one
+   * target of the relation must have all of them.
+   *
+   * @param {RelationKind} kind Relation kind
+   * @param targetComponentsOrTags Components and tags of the relation target
+   * @see {@link Entity.relate}
+   * @example
+   * ```ts
+   * // All entities that target players
+   * const query = new QueryBuilder().related(Targets, Player).build();
+   * ```
+   */
+  public related(kind: RelationKind, ...targetComponentsOrTags: Array<Class<unknown> | Tag>): QueryBuilder<C> {
+    this._relations.push([kind, targetComponentsOrTags]);
     return this;
   }
 
   /**
    * Build query
    */
-  public build(): Query {
-    return new Query((entity: Entity) => hasAll(entity, this._components, this._tags));
+  public build(): Query<KnownComponents<C>> {
+    const query = new Query<KnownComponents<C>>(
+      (entity: Entity) => hasAll(entity, this._components, this._tags)
+        && this._relations.every(([kind, targetFilter]) => hasRelated(entity, kind, targetFilter)),
+      {
+        stableOrder: this._stableOrder,
+        sort: this._comparator,
+        changed: Array.from(this._changed),
+        added: Array.from(this._added),
+        components: this._eachComponents.slice(),
+      },
+    );
+    if (query.isTracking || this._relations.length > 0) {
+      return query;
+    }
+    const signature = new BitSet();
+    this._components.forEach((id) => signature.add(getComponentBit(id)));
+    this._tags.forEach((tag) => signature.add(getTagBit(tag)));
+    query.signature = signature;
+    return query;
   }
 
   /**
@@ -350,32 +839,92 @@ export function isQueryPredicate(item: unknown): item is QueryPredicate {
 /**
  * @internal
  */
-export function isQueryBuilder(item: unknown): item is QueryBuilder {
+export function isQueryBuilder(item: unknown): item is QueryBuilder<any> {
   return item instanceof QueryBuilder;
 }
 
-export type QueryPattern = (entity: Entity) => boolean;
+/**
+ * Query pattern is a part of the query predicate for {@link makeQuery}.
+ * Type parameter `C` is a tuple of component types, that the pattern passes to the {@link Query.each} callback.
+ */
+export type QueryPattern<C extends unknown[] = unknown[]> = ((entity: Entity) => boolean) & {
+  /**
+   * Components, that are passed to the {@link Query.each} callback
+   * @internal
+   */
+  components?: ReadonlyArray<ComponentItem>;
+  /**
+   * Marker of the component types, it exists only in type declarations and never has a value
+   */
+  readonly componentTypes?: C;
+};
 
-export const all = (...componentClassOrTag: Array<Class<unknown> | Tag>): QueryPattern => {
-  return (entity: Entity) => {
-    return entity.hasAll(...componentClassOrTag);
+type PatternComponents<P extends unknown[]> = P extends [infer H, ...infer R]
+  ? [...(H extends QueryPattern<infer C> ? KnownComponents<C> : []), ...PatternComponents<R>]
+  : [];
+
+/**
+ * Matches entities, which have all the passed components and tags. Components wrapped with {@link optional} don't
+ * affect the matching. Components are passed to the {@link Query.each} callback in the same order.
+ */
+export const all = <A extends QueryItem[]>(...componentClassOrTag: A): QueryPattern<ComponentTypes<A>> => {
+  const required = componentClassOrTag.filter((item) => !isOptionalComponent(item)) as Array<Class<unknown> | Tag>;
+  const pattern: QueryPattern<ComponentTypes<A>> = (entity: Entity) => {
+    return entity.hasAll(...required);
   };
+  pattern.components = componentClassOrTag.filter((item) => !isTag(item)) as ComponentItem[];
+  return pattern;
 };
 
-export const any = (...componentClassOrTag: Array<Class<unknown> | Tag>): QueryPattern => {
+export const any = (...componentClassOrTag: Array<Class<unknown> | Tag>): QueryPattern<[]> => {
   return (entity: Entity) => {
     return entity.hasAny(...componentClassOrTag);
   };
 };
 
-export const not = (...componentClassOrTag: Array<Class<unknown> | Tag>): QueryPattern => {
+export const not = (...componentClassOrTag: Array<Class<unknown> | Tag>): QueryPattern<[]> => {
   return (entity: Entity) => {
     return !entity.hasAny(...componentClassOrTag);
   };
 };
 
-export const makeQuery = (...patterns: QueryPattern[]) => {
-  return new Query(entity => {
+/**
+ * Matches entities, which parent has all the passed components and tags
+ */
+export const withParent = (...componentClassOrTag: Array<Class<unknown> | Tag>): QueryPattern<[]> => {
+  return (entity: Entity) => {
+    return entity.parent !== undefined && entity.parent.hasAll(...componentClassOrTag);
+  };
+};
+
+/**
+ * Matches entities without parent
+ */
+export const isRoot = (): QueryPattern<[]> => {
+  return (entity: Entity) => {
+    return entity.parent === undefined;
+  };
+};
+
+/**
+ * Matches entities, which have the relation of the specific kind. If target components or tags are passed, at least
+ * one target of the relation must have all of them.
+ * @see {@link Entity.relate}
+ */
+export const related = (kind: RelationKind, ...targetComponentsOrTags: Array<Class<unknown> | Tag>): QueryPattern<[]> => {
+  return (entity: Entity) => {
+    return hasRelated(entity, kind, targetComponentsOrTags);
+  };
+};
+
+/**
+ * Creates a query, that matches entities accepted by all the patterns. Components of the patterns are passed to the
+ * {@link Query.each} callback in the order of patterns.
+ */
+export const makeQuery = <P extends QueryPattern[]>(...patterns: P): Query<PatternComponents<P>> => {
+  const components: ComponentItem[] = [];
+  patterns.forEach((pattern) => components.push(...pattern.components ?? []));
+  return new Query<PatternComponents<P>>(entity => {
     return patterns.every(p => p(entity));
-  });
+  }, {components});
 };
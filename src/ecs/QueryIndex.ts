@@ -0,0 +1,144 @@
+import {Entity} from './Entity';
+import {QueryAttachment} from './Query';
+
+/**
+ * Extracts the key of the entity for the {@link QueryIndex}
+ */
+export type QueryIndexKeyExtractor<K> = (entity: Entity) => K | undefined;
+
+const NO_ENTITIES: ReadonlyArray<Entity> = [];
+
+/**
+ * Query index groups entities of the query into buckets by the key, so all entities with the specific key can be
+ * found without iterating over the whole query.
+ *
+ * - Index is updated when entities join or leave the query, when components of entities are added, removed or marked
+ *  as changed, and when {@link Entity.invalidate} is called.
+ * - Entities with `undefined` key are not added to any bucket.
+ * - Order of entities in the bucket is not defined.
+ *
+ * @see {@link Query.createIndex}
+ * @example
+ * ```ts
+ * const units = new QueryBuilder().contains(Unit, Team).build();
+ * const byTeam = units.createIndex((entity) => entity.get(Team)!.id);
+ * engine.addQuery(units);
+ * ...
+ * for (const unit of byTeam.get(3)) {
+ *   ...
+ * }
+ * ```
+ */
+export class QueryIndex<K> implements QueryAttachment {
+  private readonly _extractor: QueryIndexKeyExtractor<K>;
+  private readonly _buckets: Map<K, Entity[]> = new Map();
+  private readonly _keys: Map<Entity, K> = new Map();
+
+  /**
+   * Creates an index, that has to be attached to the query via {@link Query.attach}
+   * @param {QueryIndexKeyExtractor<K>} extractor Function, that returns the key of the entity
+   */
+  public constructor(extractor: QueryIndexKeyExtractor<K>) {
+    this._extractor = extractor;
+  }
+
+  /**
+   * Gets the number of keys, that have at least one entity
+   */
+  public get size(): number {
+    return this._buckets.size;
+  }
+
+  /**
+   * Gets entities with the specific key
+   *
+   * @param {K} key
+   * @return {ReadonlyArray<Entity>} Entities with the key, or an empty array if there are no such entities
+   */
+  public get(key: K): ReadonlyArray<Entity> {
+    return this._buckets.get(key) ?? NO_ENTITIES;
+  }
+
+  /**
+   * Returns a value indicating whether there are entities with the specific key
+   *
+   * @param {K} key
+   * @return {boolean}
+   */
+  public has(key: K): boolean {
+    return this._buckets.has(key);
+  }
+
+  /**
+   * Gets the key, that the entity is indexed by
+   *
+   * @param {Entity} entity
+   * @return {K | undefined} Key of the entity, or `undefined` if the entity is not indexed
+   */
+  public keyOf(entity: Entity): K | undefined {
+    return this._keys.get(entity);
+  }
+
+  /**
+   * Returns keys, that have at least one entity
+   *
+   * @return {K[]}
+   */
+  public keys(): K[] {
+    return Array.from(this._buckets.keys());
+  }
+
+  /**
+   * Adds the entity to the bucket of its key, called by the query
+   */
+  public add(entity: Entity): void {
+    this.insert(entity, this._extractor(entity));
+  }
+
+  /**
+   * Removes the entity from its bucket, called by the query
+   */
+  public remove(entity: Entity): void {
+    if (!this._keys.has(entity)) return;
+    const key = this._keys.get(entity)!;
+    this._keys.delete(entity);
+    const bucket = this._buckets.get(key)!;
+    const index = bucket.indexOf(entity);
+    const last = bucket.pop()!;
+    if (index < bucket.length) {
+      bucket[index] = last;
+    }
+    if (bucket.length === 0) {
+      this._buckets.delete(key);
+    }
+  }
+
+  /**
+   * Moves the entity to the bucket of its current key, called by the query
+   */
+  public update(entity: Entity): void {
+    const key = this._extractor(entity);
+    if (this._keys.has(entity) && this._keys.get(entity) === key) return;
+    this.remove(entity);
+    this.insert(entity, key);
+  }
+
+  /**
+   * Removes all entities from the index, called by the query
+   */
+  public clear(): void {
+    this._buckets.clear();
+    this._keys.clear();
+  }
+
+  private insert(entity: Entity, key: K | undefined): void {
+    if (key === undefined) return;
+    this._keys.set(entity, key);
+    const bucket = this._buckets.get(key);
+    if (bucket === undefined) {
+      this._buckets.set(key, [entity]);
+    } else {
+      bucket.push(entity);
+    }
+  }
+}
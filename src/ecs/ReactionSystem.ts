@@ -1,11 +1,12 @@
-import {isQueryBuilder, isQueryPredicate, Query, QueryBuilder, QueryPredicate} from './Query';
+import {isQueryBuilder, isQueryPredicate, Query, QueryBuilder, QueryPattern, QueryPredicate} from './Query';
 import {Engine} from './Engine';
 import {Entity, EntitySnapshot} from './Entity';
-import {System} from './System';
+import {System, UpdatePhase} from './System';
 
 /**
  * Represents a system that reacts when entities are added to or removed from its query.
  * `entityAdded` and `entityRemoved` will be called accordingly.
+ * Type parameter `C` is a tuple of the query component types, see {@link Query.each}.
  *
  * @example
  * ```ts
@@ -28,18 +29,19 @@ import {System} from './System';
  * }
  * ```
  */
-export abstract class ReactionSystem extends System {
-  protected readonly query: Query;
+export abstract class ReactionSystem<C extends unknown[] = unknown[]> extends System {
+  protected readonly query: Query<C>;
 
-  protected constructor(query: Query | QueryBuilder | QueryPredicate) {
+  protected constructor(query: Query<C> | QueryBuilder<C> | QueryPattern<C> | QueryPredicate) {
     super();
     if (isQueryBuilder(query)) {
-      this.query = query.build();
+      this.query = query.build() as Query<any>;
     } else if (isQueryPredicate(query)) {
-      this.query = new Query(query);
+      this.query = new Query<C>(query, {components: (query as QueryPattern).components});
     } else {
-      this.query = query;
+      this.query = query as Query<C>;
     }
+    this.signalAfterPhase.connect(this.resetQueryChangesAfter);
   }
 
   protected get entities(): ReadonlyArray<Entity> {
@@ -62,6 +64,14 @@ export abstract class ReactionSystem extends System {
 
   protected prepare() {}
 
+  /**
+   * Resets changes tracked by the query after every update of the system, so the query built with
+   * {@link QueryBuilder.changed} or {@link QueryBuilder.added} contains only entities changed since the previous update.
+   */
+  protected resetQueryChanges = () => {
+    this.query.resetChanges();
+  };
+
   /**
    * Method will be called for every new entity that matches system query.
    * You could easily override it with your own logic.
@@ -85,4 +95,16 @@ export abstract class ReactionSystem extends System {
    */
   protected entityRemoved = (entity: EntitySnapshot) => {
   };
+
+  /**
+   * Resets changes tracked by the query after phases, that the system implements. If the system doesn't implement
+   * `updateFixed`, `updateLate` or `updateRender`, changes are reset after `update`.
+   */
+  private resetQueryChangesAfter = (phase: UpdatePhase) => {
+    const implemented = phase !== 'update' ? this.implementsPhase(phase) : this.implementsPhase('update') ||
+      !(this.implementsPhase('updateFixed') || this.implementsPhase('updateLate') || this.implementsPhase('updateRender'));
+    if (implemented) {
+      this.resetQueryChanges();
+    }
+  };
 }
@@ -0,0 +1,231 @@
+import {Entity} from './Entity';
+import {QueryAttachment} from './Query';
+
+/**
+ * Point on the plane
+ */
+export interface Point {
+  x: number;
+  y: number;
+}
+
+/**
+ * Returns the position of the entity for the {@link SpatialHash}. Entities with `undefined` position are not indexed.
+ */
+export type PositionAccessor = (entity: Entity) => Point | undefined;
+
+interface SpatialEntry {
+  cell: string;
+  x: number;
+  y: number;
+}
+
+/**
+ * Spatial hash grid splits the plane into square cells and keeps entities of the query in cells by their positions,
+ * so entities near the point can be found without iterating over the whole query.
+ *
+ * - Grid is updated when entities join or leave the query, when components of entities are added, removed or marked
+ *  as changed (see {@link Entity.markChanged}, {@link trackChanges}), and when {@link Entity.invalidate} is called.
+ * - Search uses positions of entities from the last update, so moved entities must be marked as changed or
+ *  invalidated.
+ * - Cell size should be close to the typical search radius.
+ *
+ * @see {@link Query.createSpatialHash}
+ * @example
+ * ```ts
+ * const enemies = new QueryBuilder().contains(Enemy, Position).build();
+ * const grid = enemies.createSpatialHash((entity) => entity.get(Position), 64);
+ * engine.addQuery(enemies);
+ * ...
+ * for (const enemy of grid.queryRadius(player.x, player.y, 100)) {
+ *   ...
+ * }
+ * ```
+ */
+export class SpatialHash implements QueryAttachment {
+  private readonly _position: PositionAccessor;
+  private readonly _cellSize: number;
+  private readonly _cells: Map<string, Entity[]> = new Map();
+  private readonly _entries: Map<Entity, SpatialEntry> = new Map();
+
+  /**
+   * Creates a grid, that has to be attached to the query via {@link Query.attach}
+   *
+   * @param {PositionAccessor} position Function, that returns the position of the entity
+   * @param {number} cellSize Size of the grid cell
+   * @throws An error if cell size is not positive
+   */
+  public constructor(position: PositionAccessor, cellSize: number) {
+    if (!(cellSize > 0)) {
+      throw new Error(`Cell size must be positive, but ${cellSize} was passed`);
+    }
+    this._position = position;
+    this._cellSize = cellSize;
+  }
+
+  /**
+   * Gets a size of the grid cell
+   */
+  public get cellSize(): number {
+    return this._cellSize;
+  }
+
+  /**
+   * Gets the number of indexed entities
+   */
+  public get size(): number {
+    return this._entries.size;
+  }
+
+  /**
+   * Gets the position of the entity from the last update of the grid
+   *
+   * @param {Entity} entity
+   * @return {Point | undefined} Position of the entity, or `undefined` if the entity is not indexed
+   */
+  public positionOf(entity: Entity): Point | undefined {
+    const entry = this._entries.get(entity);
+    return entry !== undefined ? {x: entry.x, y: entry.y} : undefined;
+  }
+
+  /**
+   * Finds entities within the circle, including its border
+   *
+   * @param {number} x X coordinate of the center
+   * @param {number} y Y coordinate of the center
+   * @param {number} radius Radius of the circle
+   * @param {Entity[]} result Array, that found entities are pushed to
+   * @return {Entity[]} Passed or the new array with found entities
+   */
+  public queryRadius(x: number, y: number, radius: number, result: Entity[] = []): Entity[] {
+    const radiusSquared = radius * radius;
+    this.forEachInRange(x - radius, y - radius, x + radius, y + radius, (entity, entry) => {
+      const dx = entry.x - x;
+      const dy = entry.y - y;
+      if (dx * dx + dy * dy <= radiusSquared) {
+        result.push(entity);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Finds entities within the axis-aligned bounding box, including its border
+   *
+   * @param {number} minX Left border of the box
+   * @param {number} minY Top border of the box
+   * @param {number} maxX Right border of the box
+   * @param {number} maxY Bottom border of the box
+   * @param {Entity[]} result Array, that found entities are pushed to
+   * @return {Entity[]} Passed or the new array with found entities
+   */
+  public queryRect(minX: number, minY: number, maxX: number, maxY: number, result: Entity[] = []): Entity[] {
+    this.forEachInRange(minX, minY, maxX, maxY, (entity, entry) => {
+      if (entry.x >= minX && entry.x <= maxX && entry.y >= minY && entry.y <= maxY) {
+        result.push(entity);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Adds the entity to the cell of its position, called by the query
+   */
+  public add(entity: Entity): void {
+    const position = this._position(entity);
+    if (position === undefined) return;
+    const entry = {cell: this.getCell(position.x, position.y), x: position.x, y: position.y};
+    this._entries.set(entity, entry);
+    this.insert(entity, entry.cell);
+  }
+
+  /**
+   * Removes the entity from its cell, called by the query
+   */
+  public remove(entity: Entity): void {
+    const entry = this._entries.get(entity);
+    if (entry === undefined) return;
+    this._entries.delete(entity);
+    this.withdraw(entity, entry.cell);
+  }
+
+  /**
+   * Moves the entity to the cell of its current position, called by the query
+   */
+  public update(entity: Entity): void {
+    const entry = this._entries.get(entity);
+    const position = this._position(entity);
+    if (entry === undefined || position === undefined) {
+      this.remove(entity);
+      this.add(entity);
+      return;
+    }
+    const cell = this.getCell(position.x, position.y);
+    entry.x = position.x;
+    entry.y = position.y;
+    if (cell !== entry.cell) {
+      this.withdraw(entity, entry.cell);
+      this.insert(entity, cell);
+      entry.cell = cell;
+    }
+  }
+
+  /**
+   * Removes all entities from the grid, called by the query
+   */
+  public clear(): void {
+    this._cells.clear();
+    this._entries.clear();
+  }
+
+  private forEachInRange(
+    minX: number,
+    minY: number,
+    maxX: number,
+    maxY: number,
+    action: (entity: Entity, entry: SpatialEntry) => void,
+  ): void {
+    const minCellX = Math.floor(minX / this._cellSize);
+    const minCellY = Math.floor(minY / this._cellSize);
+    const maxCellX = Math.floor(maxX / this._cellSize);
+    const maxCellY = Math.floor(maxY / this._cellSize);
+    if ((maxCellX - minCellX + 1) * (maxCellY - minCellY + 1) > this._cells.size) {
+      this._entries.forEach((entry, entity) => action(entity, entry));
+      return;
+    }
+    for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
+      for (let cellY = minCellY; cellY <= maxCellY; cellY++) {
+        const entities = this._cells.get(`${cellX}:${cellY}`);
+        if (entities === undefined) continue;
+        for (const entity of entities) {
+          action(entity, this._entries.get(entity)!);
+        }
+      }
+    }
+  }
+
+  private getCell(x: number, y: number): string {
+    return `${Math.floor(x / this._cellSize)}:${Math.floor(y / this._cellSize)}`;
+  }
+
+  private insert(entity: Entity, cell: string): void {
+    const entities = this._cells.get(cell);
+    if (entities === undefined) {
+      this._cells.set(cell, [entity]);
+    } else {
+      entities.push(entity);
+    }
+  }
+
+  private withdraw(entity: Entity, cell: string): void {
+    const entities = this._cells.get(cell)!;
+    const index = entities.indexOf(entity);
+    const last = entities.pop()!;
+    if (index < entities.length) {
+      entities[index] = last;
+    }
+    if (entities.length === 0) {
+      this._cells.delete(cell);
+    }
+  }
+}
@@ -1,6 +1,19 @@
 import {Engine} from './Engine';
 import {Entity} from './Entity';
 import {Signal} from '../utils/Signal';
+import {CommandBuffer} from './CommandBuffer';
+import {Class} from '../utils/Class';
+
+/**
+ * Reference to the other systems in ordering constraints: system class (matches subclasses as well) or label
+ * @see {@link System.before}, {@link System.after}, {@link System.label}
+ */
+export type SystemReference = Class<System> | string;
+
+/**
+ * Update phase of the engine, named after the method of the system, that is called in this phase
+ */
+export type UpdatePhase = 'update' | 'updateFixed' | 'updateLate' | 'updateRender';
 
 /**
  * Systems are logic bricks in your application.
@@ -10,9 +23,21 @@ export abstract class System {
   public signalOnAddedToEngine: Signal<(engine: Engine) => void> = new Signal();
   public signalOnRemovedFromEngine: Signal<(engine: Engine) => void> = new Signal();
   public signalBeforeUpdate: Signal<(deltaTime: number) => void> = new Signal();
+  public signalAfterUpdate: Signal<(deltaTime: number) => void> = new Signal();
+  /**
+   * Signal dispatches after the system was updated by the engine in any of update phases
+   */
+  public signalAfterPhase: Signal<(phase: UpdatePhase) => void> = new Signal();
 
   private _priority: number = 0;
   private _engine?: Engine;
+  private _labels: string[] = [];
+  private _before: SystemReference[] = [];
+  private _after: SystemReference[] = [];
+  private _groups: string[] = [];
+  private _reads: Class<unknown>[] = [];
+  private _writes: Class<unknown>[] = [];
+  private _enabled: boolean = true;
 
   /**
    * Gets an {@link Engine} instance that system attached to
@@ -33,6 +58,16 @@ export abstract class System {
     return this._engine.sharedConfig;
   }
 
+  /**
+   * Gets a {@link CommandBuffer} of the engine. Use it to add or remove entities, components and tags while iterating
+   * over entities, queued commands will be applied right after the system update.
+   * @return {CommandBuffer}
+   */
+  protected get commands(): CommandBuffer {
+    if (this._engine === undefined) throw new Error(`Property "commands" can't be accessed when system is not added to the engine`);
+    return this._engine.commands;
+  }
+
   /**
    * Gets a priority of the system
    */
@@ -40,6 +75,220 @@ export abstract class System {
     return this._priority;
   }
 
+  /**
+   * Gets a list of labels of the system
+   */
+  public get labels(): ReadonlyArray<string> {
+    return this._labels;
+  }
+
+  /**
+   * Gets a list of systems, which must be updated after this one
+   */
+  public get runsBefore(): ReadonlyArray<SystemReference> {
+    return this._before;
+  }
+
+  /**
+   * Gets a list of systems, which must be updated before this one
+   */
+  public get runsAfter(): ReadonlyArray<SystemReference> {
+    return this._after;
+  }
+
+  /**
+   * Gets a list of groups the system belongs to
+   */
+  public get groups(): ReadonlyArray<string> {
+    return this._groups;
+  }
+
+  /**
+   * Gets a list of components, which the system declared to read
+   * @see {@link reads}
+   */
+  public get readComponents(): ReadonlyArray<Class<unknown>> {
+    return this._reads;
+  }
+
+  /**
+   * Gets a list of components, which the system declared to write
+   * @see {@link writes}
+   */
+  public get writeComponents(): ReadonlyArray<Class<unknown>> {
+    return this._writes;
+  }
+
+  /**
+   * Gets a value indicating whether the system itself is enabled, regardless of its groups state
+   */
+  public get enabled(): boolean {
+    return this._enabled;
+  }
+
+  /**
+   * Gets a value indicating whether the system is updated by the engine: the system is enabled, and all its groups are
+   * enabled in the engine.
+   */
+  public get isActive(): boolean {
+    if (!this._enabled) return false;
+    if (this._engine === undefined) return true;
+    for (const group of this._groups) {
+      if (!this._engine.isGroupEnabled(group)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Adds the system to the groups. Groups can be enabled and disabled in the engine as a whole.
+   *
+   * @param groups Group names
+   * @see {@link Engine.disableGroup}, {@link Engine.enableGroup}
+   * @example
+   * ```ts
+   * engine.addSystem(new MovementSystem().inGroup('gameplay'));
+   * engine.addSystem(new MenuSystem().inGroup('ui'));
+   * // Pause the game
+   * engine.disableGroup('gameplay');
+   * ```
+   */
+  public inGroup(...groups: string[]): this {
+    const wasActive = this.isActive;
+    this._groups.push(...groups);
+    this.updateActivity(wasActive);
+    return this;
+  }
+
+  /**
+   * Enables the system. If the system becomes active, {@link onEnabled} will be called.
+   */
+  public enable(): this {
+    const wasActive = this.isActive;
+    this._enabled = true;
+    this.updateActivity(wasActive);
+    return this;
+  }
+
+  /**
+   * Disables the system. Disabled system stays in the engine and its queries are kept up to date, but it's not
+   * updated. If the system was active, {@link onDisabled} will be called.
+   */
+  public disable(): this {
+    const wasActive = this.isActive;
+    this._enabled = false;
+    this.updateActivity(wasActive);
+    return this;
+  }
+
+  /**
+   * Adds labels to the system. Other systems can refer to all systems with the label in {@link before} and
+   * {@link after} constraints.
+   *
+   * @param labels
+   * @throws An error if the change makes a dependency cycle, the change is reverted in this case
+   */
+  public label(...labels: string[]): this {
+    return this.changeOrder(() => this._labels.push(...labels));
+  }
+
+  /**
+   * Declares that the system must be updated before the referenced systems. Constraints have precedence over
+   * {@link priority}, references to systems that are not added to the engine are ignored.
+   *
+   * @param systems System classes or labels
+   * @throws An error if the change makes a dependency cycle, the change is reverted in this case
+   * @example
+   * ```ts
+   * engine.addSystem(new InputSystem().before(MovementSystem));
+   * engine.addSystem(new MovementSystem().label('physics'));
+   * engine.addSystem(new CameraSystem().after('physics'));
+   * ```
+   */
+  public before(...systems: SystemReference[]): this {
+    return this.changeOrder(() => this._before.push(...systems));
+  }
+
+  /**
+   * Declares that the system must be updated after the referenced systems.
+   *
+   * @param systems System classes or labels
+   * @throws An error if the change makes a dependency cycle, the change is reverted in this case
+   * @see {@link before}
+   */
+  public after(...systems: SystemReference[]): this {
+    return this.changeOrder(() => this._after.push(...systems));
+  }
+
+  /**
+   * Returns a value indicating whether the system overrides the method of the update phase
+   *
+   * @param {UpdatePhase} phase
+   * @return {boolean}
+   */
+  public implementsPhase(phase: UpdatePhase): boolean {
+    return this[phase] !== System.prototype[phase];
+  }
+
+  /**
+   * Declares components, which the system reads. Systems, that only read the same components, don't conflict.
+   * Access must be declared before the system is added to the engine.
+   *
+   * @param componentClasses
+   * @throws An error if the system is already added to the engine
+   * @see {@link ParallelSystem}
+   */
+  public reads(...componentClasses: Class<unknown>[]): this {
+    this.assertAccessChangeable();
+    this._reads.push(...componentClasses);
+    return this;
+  }
+
+  /**
+   * Declares components, which the system writes. System, that writes a component, conflicts with every system, that
+   * reads or writes it.
+   * Access must be declared before the system is added to the engine.
+   *
+   * @param componentClasses
+   * @throws An error if the system is already added to the engine
+   * @see {@link ParallelSystem}
+   */
+  public writes(...componentClasses: Class<unknown>[]): this {
+    this.assertAccessChangeable();
+    this._writes.push(...componentClasses);
+    return this;
+  }
+
+  /**
+   * Finds the component, that the system and the other system have conflicting access to: one of them writes the
+   * component, that the other one reads or writes.
+   *
+   * @param {System} other
+   * @return {Class<unknown> | undefined} Component class, or `undefined` if there is no conflict
+   */
+  public findAccessConflict(other: System): Class<unknown> | undefined {
+    for (const componentClass of this._writes) {
+      if (other._reads.indexOf(componentClass) !== -1 || other._writes.indexOf(componentClass) !== -1) {
+        return componentClass;
+      }
+    }
+    for (const componentClass of other._writes) {
+      if (this._reads.indexOf(componentClass) !== -1) {
+        return componentClass;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Returns a value indicating whether the system matches the reference
+   *
+   * @param {SystemReference} reference
+   * @return {boolean}
+   */
+  public matches(reference: SystemReference): boolean {
+    return typeof reference === 'string' ? this._labels.indexOf(reference) !== -1 : this instanceof reference;
+  }
+
   /**
    * All logic aimed at making changes in entities and their components must be placed in this method.
    * @param dt - The time in seconds it took from previous update call.
@@ -64,8 +313,9 @@ export abstract class System {
    * Called once per frame, after updateLate and update. This is the last thing called in the frame, making it useful for any rendering.
    *
    * @param dt Delta time in seconds
+   * @param alpha Interpolation factor between the previous and the current fixed step state, in range `[0, 1]`
    */
-  public updateRender(dt: number) {}
+  public updateRender(dt: number, alpha: number = 1) {}
 
   /**
    * This method will be called after the system will be added to the Engine.
@@ -77,6 +327,20 @@ export abstract class System {
    */
   public onRemovedFromEngine() {}
 
+  /**
+   * Callback that will be invoked when the system attached to the engine becomes active, after it was enabled itself,
+   * or all its groups were enabled.
+   * @see {@link isActive}
+   */
+  public onEnabled() {}
+
+  /**
+   * Callback that will be invoked when the system attached to the engine stops being active, after it was disabled
+   * itself, or one of its groups was disabled.
+   * @see {@link isActive}
+   */
+  public onDisabled() {}
+
   /**
    * Dispatches a message, that can be caught via {@link Engine#subscribe}.
    * It's the best way to send a message outside. This mechanism allows you not to invent the signals/dispatchers
@@ -136,9 +400,55 @@ export abstract class System {
   }
 
   /**
-   * @internal
+   * Sets a priority of the system. If the system is added to the engine, systems will be reordered.
+   *
+   * @param priority Value indicating the priority of updating system in update loop. Lower priority means sooner
+   *  update.
+   * @throws An error if the system is added to the engine and some systems have a dependency cycle
    */
   public setPriority(priority: number): void {
-    this._priority = priority;
+    this.changeOrder(() => this._priority = priority);
+  }
+
+  /**
+   * Calls {@link onEnabled} or {@link onDisabled}, if the activity of the system was changed
+   *
+   * @internal
+   */
+  public updateActivity(wasActive: boolean): void {
+    if (this._engine === undefined) return;
+    const isActive = this.isActive;
+    if (isActive && !wasActive) {
+      this.onEnabled();
+    } else if (!isActive && wasActive) {
+      this.onDisabled();
+    }
+  }
+
+  private assertAccessChangeable(): void {
+    if (this._engine !== undefined) {
+      throw new Error(`Access of the system "${this.constructor.name}" can't be declared after it's added to the engine`);
+    }
+  }
+
+  private changeOrder(change: () => void): this {
+    const state = {
+      priority: this._priority,
+      labels: Array.from(this._labels),
+      before: Array.from(this._before),
+      after: Array.from(this._after),
+    };
+    change();
+    if (this._engine === undefined) return this;
+    try {
+      this._engine.sortSystems();
+    } catch (error) {
+      this._priority = state.priority;
+      this._labels = state.labels;
+      this._before = state.before;
+      this._after = state.after;
+      throw error;
+    }
+    return this;
   }
 }
@@ -13,3 +13,18 @@ export function isTag(item: unknown): item is Tag {
   const type = typeof item;
   return type === 'string' || type === 'number';
 }
+
+const tagIds = new Map<Tag, number>();
+let tagId = 1;
+
+/**
+ * @internal
+ */
+export function getTagId(tag: Tag): number {
+  let id = tagIds.get(tag);
+  if (id === undefined) {
+    id = tagId++;
+    tagIds.set(tag, id);
+  }
+  return id;
+}
@@ -0,0 +1,338 @@
+import {Entity} from './Entity';
+import {isLinkedComponent} from './LinkedComponent';
+import {Class} from '../utils/Class';
+
+/**
+ * Type of the typed array, that keeps values of the component field
+ */
+export type FieldArrayType = 'float32' | 'int32';
+
+/**
+ * Typed array, that keeps values of the component field
+ */
+export type FieldArray = Float32Array | Int32Array;
+
+/**
+ * Numeric fields of the component, that are kept in typed arrays, with the types of the arrays
+ */
+export type TypedStorageLayout<T> = {
+  [K in keyof T]?: T[K] extends number ? FieldArrayType : never;
+};
+
+interface ViewRef {
+  slot: number;
+  arrays: Record<string, FieldArray>;
+}
+
+const ARRAY_TYPES: Record<FieldArrayType, Float32ArrayConstructor | Int32ArrayConstructor> = {
+  float32: Float32Array,
+  int32: Int32Array,
+};
+
+const storages: Map<Function, TypedStorage<any>> = new Map();
+
+/**
+ * Typed storage keeps numeric fields of all components of the class in typed arrays (struct of arrays), indexed by
+ * the slot of the component.
+ *
+ * - Only entities, added to the {@link Engine}, keep their components in the storage. Slots are allocated when the
+ *  entity is added to the engine, and freed when it's removed, so the arrays contain only components of alive entities.
+ * - Entity keeps a view of the component, that reads and writes its fields in the arrays. View is an instance of the
+ *  component class, so it's returned by {@link Entity.get} and can be used as a regular component.
+ * - Component instance, passed to {@link Entity.add} or {@link Entity.addComponent} of the engine entity, or kept by the
+ *  entity added to the engine, is not stored itself: its values are copied to the new slot, and the view replaces it.
+ * - Slots of the components are packed: when the component is removed from the entity, the last slot is moved to its
+ *  place. Removed view keeps its values, but doesn't belong to the storage anymore.
+ * - Values are converted by typed arrays, so `float32` fields lose precision, and `int32` fields are truncated.
+ * - Shared storage keeps arrays in `SharedArrayBuffer`, so they can be accessed from worker threads, see
+ *  {@link ParallelSystem}.
+ * - Entity, that copies components of another entity (see {@link Entity.copyFrom}), shares its views, but only the
+ *  entity, that the slot was allocated for, frees it.
+ *
+ * @see {@link defineTypedStorage}
+ * @example
+ * ```ts
+ * const positions = defineTypedStorage(Position, {x: 'float32', y: 'float32'});
+ * const velocities = defineTypedStorage(Velocity, {x: 'float32', y: 'float32'});
+ * ...
+ * const x = positions.array('x');
+ * const y = positions.array('y');
+ * const vx = velocities.array('x');
+ * const vy = velocities.array('y');
+ * for (let slot = 0; slot < positions.size; slot++) {
+ *   const velocity = velocities.slotOf(positions.entities[slot].get(Velocity)!);
+ *   x[slot] += vx[velocity] * dt;
+ *   y[slot] += vy[velocity] * dt;
+ * }
+ * ```
+ */
+export class TypedStorage<T> {
+  private readonly _componentClass: Class<T>;
+  private readonly _layout: Record<string, FieldArrayType>;
+  private readonly _fields: string[];
+  private readonly _arrays: Record<string, FieldArray> = {};
+  private readonly _entities: Entity[] = [];
+  private readonly _refs: ViewRef[] = [];
+  private readonly _views: Map<unknown, ViewRef> = new Map();
+  private readonly _shared: boolean;
+  private _capacity: number;
+
+  /**
+   * Creates a storage, use {@link defineTypedStorage} instead of creating it directly
+   *
+   * @param {Class<T>} componentClass
+   * @param {TypedStorageLayout<T>} layout
+   * @param {number} capacity Initial number of slots
+   * @param {boolean} shared If true - arrays are kept in `SharedArrayBuffer`
+   * @throws An error if a field of the layout is not initialized with a number, or if the component is linked
+   */
+  public constructor(componentClass: Class<T>, layout: TypedStorageLayout<T>, capacity: number = 64, shared: boolean = false) {
+    this._componentClass = componentClass;
+    this._shared = shared;
+    this._layout = Object.assign({}, layout) as Record<string, FieldArrayType>;
+    this._fields = Object.keys(this._layout);
+    this._capacity = Math.max(1, capacity);
+    const defaults = new componentClass() as Record<string, unknown>;
+    if (isLinkedComponent(defaults)) {
+      throw new Error(`Linked component "${componentClass.name}" can't be kept in the typed storage`);
+    }
+    for (const field of this._fields) {
+      if (typeof defaults[field] !== 'number') {
+        throw new Error(`Field "${field}" of component "${componentClass.name}" must be initialized with a number`);
+      }
+      this._arrays[field] = this.allocate(field);
+    }
+  }
+
+  /**
+   * Gets the component class
+   */
+  public get componentClass(): Class<T> {
+    return this._componentClass;
+  }
+
+  /**
+   * Gets fields, that are kept in typed arrays
+   */
+  public get fields(): ReadonlyArray<keyof T> {
+    return this._fields as Array<keyof T>;
+  }
+
+  /**
+   * Gets a value indicating whether arrays are kept in `SharedArrayBuffer`
+   */
+  public get isShared(): boolean {
+    return this._shared;
+  }
+
+  /**
+   * Gets the number of occupied slots
+   */
+  public get size(): number {
+    return this._entities.length;
+  }
+
+  /**
+   * Gets the number of allocated slots. Arrays are reallocated with the doubled capacity, when it's exceeded.
+   */
+  public get capacity(): number {
+    return this._capacity;
+  }
+
+  /**
+   * Gets entities by slots of their components
+   */
+  public get entities(): ReadonlyArray<Entity> {
+    return this._entities;
+  }
+
+  /**
+   * Gets the typed array with values of the field. Only first {@link size} elements are used.
+   * Arrays are replaced when storage grows, so the array shouldn't be kept between adding components.
+   *
+   * @param {K} field
+   * @return {FieldArray}
+   * @throws An error if the field is not kept in the storage
+   */
+  public array<K extends keyof T>(field: K): FieldArray {
+    const array = this._arrays[field as string];
+    if (array === undefined) {
+      throw new Error(`Field "${String(field)}" of component "${this._componentClass.name}" is not kept in the typed storage`);
+    }
+    return array;
+  }
+
+  /**
+   * Gets the slot of the component
+   *
+   * @param {T} component View of the component
+   * @return {number} Slot, or `-1` if the component doesn't belong to the storage
+   */
+  public slotOf(component: T): number {
+    const ref = this._views.get(component);
+    return ref !== undefined ? ref.slot : -1;
+  }
+
+  /**
+   * Returns a value indicating whether the component is a view, that belongs to the storage
+   *
+   * @param {unknown} component
+   * @return {boolean}
+   */
+  public contains(component: unknown): boolean {
+    return this._views.has(component);
+  }
+
+  /**
+   * Allocates a slot for the entity and creates a view of it, filled with values of the passed component
+   *
+   * @internal
+   */
+  public create(entity: Entity, source: T): T {
+    const slot = this._entities.length;
+    if (slot === this._capacity) {
+      this.grow();
+    }
+    const ref: ViewRef = {slot, arrays: this._arrays};
+    const view = Object.create(this._componentClass.prototype);
+    for (const field of this._fields) {
+      Object.defineProperty(view, field, {
+        enumerable: true,
+        get: () => ref.arrays[field][ref.slot],
+        set: (value: number) => {
+          ref.arrays[field][ref.slot] = value;
+        },
+      });
+    }
+    for (const field of Object.keys(source)) {
+      view[field] = (source as any)[field];
+    }
+    this._entities.push(entity);
+    this._refs.push(ref);
+    this._views.set(view, ref);
+    return view;
+  }
+
+  /**
+   * Frees the slot of the view, if it was allocated for the entity, and moves the last slot to its place. View keeps
+   * its values in own arrays.
+   *
+   * @internal
+   */
+  public release(entity: Entity, component: unknown): void {
+    const ref = this._views.get(component);
+    if (ref === undefined || this._entities[ref.slot] !== entity) return;
+    this._views.delete(component);
+    const slot = ref.slot;
+    const last = this._entities.length - 1;
+    const detached: Record<string, FieldArray> = {};
+    for (const field of this._fields) {
+      const array = this._arrays[field];
+      detached[field] = new ARRAY_TYPES[this._layout[field]]([array[slot]]);
+      array[slot] = array[last];
+    }
+    ref.arrays = detached;
+    ref.slot = 0;
+    if (slot !== last) {
+      this._entities[slot] = this._entities[last];
+      this._refs[slot] = this._refs[last];
+      this._refs[slot].slot = slot;
+    }
+    this._entities.pop();
+    this._refs.pop();
+  }
+
+  private grow(): void {
+    this._capacity *= 2;
+    for (const field of this._fields) {
+      const array = this.allocate(field);
+      array.set(this._arrays[field]);
+      this._arrays[field] = array;
+    }
+  }
+
+  private allocate(field: string): FieldArray {
+    const arrayType = ARRAY_TYPES[this._layout[field]];
+    return this._shared
+      ? new arrayType(new SharedArrayBuffer(this._capacity * arrayType.BYTES_PER_ELEMENT))
+      : new arrayType(this._capacity);
+  }
+}
+
+/**
+ * Keeps numeric fields of components of the class in typed arrays. Must be called before entities with components
+ * of the class are added to the engine.
+ *
+ * @param {Class<T>} componentClass
+ * @param {TypedStorageLayout<T>} layout Fields with types of their arrays
+ * @param {number} capacity Initial number of slots
+ * @param {boolean} shared If true - arrays are kept in `SharedArrayBuffer`, so they can be accessed from worker threads
+ * @throws An error if the storage is already defined for the class, or if the layout is invalid
+ * @return {TypedStorage<T>}
+ * @see {@link TypedStorage}
+ */
+export function defineTypedStorage<T>(componentClass: Class<T>, layout: TypedStorageLayout<T>, capacity?: number, shared?: boolean): TypedStorage<T> {
+  if (storages.has(componentClass)) {
+    throw new Error(`Typed storage for component "${componentClass.name}" is already defined`);
+  }
+  const storage = new TypedStorage(componentClass, layout, capacity, shared);
+  storages.set(componentClass, storage);
+  return storage;
+}
+
+/**
+ * Class decorator, that keeps numeric fields of components of the class in typed arrays
+ *
+ * @param {TypedStorageLayout} layout Fields with types of their arrays
+ * @param {number} capacity Initial number of slots
+ * @param {boolean} shared If true - arrays are kept in `SharedArrayBuffer`
+ * @see {@link defineTypedStorage}
+ * @example
+ * ```ts
+ * @typedStorage({x: 'float32', y: 'float32'})
+ * class Position {
+ *   public x: number = 0;
+ *   public y: number = 0;
+ * }
+ * ```
+ */
+export function typedStorage(layout: Record<string, FieldArrayType>, capacity?: number, shared?: boolean) {
+  return <T extends Class<unknown>>(componentClass: T): T => {
+    defineTypedStorage(componentClass, layout as TypedStorageLayout<unknown>, capacity, shared);
+    return componentClass;
+  };
+}
+
+/**
+ * Gets the typed storage of the component class
+ *
+ * @param {Class<T>} componentClass
+ * @return {TypedStorage<T> | undefined} Storage, or `undefined` if it's not defined for the class
+ */
+export function getTypedStorage<T>(componentClass: Class<T>): TypedStorage<T> | undefined {
+  return storages.get(componentClass);
+}
+
+/**
+ * Returns the view of the component, if its class has the typed storage, otherwise the component itself
+ *
+ * @internal
+ */
+export function storeComponent<T>(entity: Entity, component: T): T {
+  if (storages.size === 0) return component;
+  const storage = storages.get(Object.getPrototypeOf(component).constructor);
+  return storage !== undefined && !storage.contains(component) ? storage.create(entity, component) : component;
+}
+
+/**
+ * Frees the slot of the component, if it's a view of the typed storage, allocated for the entity
+ *
+ * @internal
+ */
+export function releaseComponent(entity: Entity, component: unknown): void {
+  if (storages.size === 0) return;
+  const storage = storages.get(Object.getPrototypeOf(component).constructor);
+  if (storage !== undefined) {
+    storage.release(entity, component);
+  }
+}
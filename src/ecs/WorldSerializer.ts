@@ -0,0 +1,255 @@
+import {Class} from '../utils/Class';
+import {Engine} from './Engine';
+import {Entity} from './Entity';
+import {Tag} from './Tag';
+import {getComponentClassById, getComponentId, getComponentKey, registerComponent} from './ComponentId';
+import {ILinkedComponent, isLinkedComponent} from './LinkedComponent';
+import {assertValid, isSchemaValidationEnabled, validateComponentData} from './ComponentSchema';
+
+/**
+ * Component serializer converts component instance to the serializable data and back.
+ */
+export interface ComponentSerializer<T, D = unknown> {
+  /**
+   * Converts component instance to the data that can be stored
+   * @param {T} component Component instance
+   */
+  serialize(component: T): D;
+
+  /**
+   * Creates component instance from the stored data
+   * @param {D} data Stored data
+   */
+  deserialize(data: D): T;
+}
+
+/**
+ * Serialized representation of the component
+ */
+export interface SerializedComponent {
+  /**
+   * Stable component key
+   * @see {@link registerComponent}
+   */
+  type: string;
+  data: unknown;
+}
+
+/**
+ * Serialized representation of the entity
+ */
+export interface SerializedEntity {
+  /**
+   * Identifier of the entity at the moment of serialization
+   */
+  id: number;
+  /**
+   * List of components. Linked components are stored as a sequence of entries with the same type, in the order of
+   * appending.
+   */
+  components: SerializedComponent[];
+  tags: Tag[];
+}
+
+/**
+ * Serialized representation of the engine state
+ */
+export interface SerializedWorld {
+  sharedConfig: SerializedEntity;
+  entities: SerializedEntity[];
+}
+
+/**
+ * World serializer options
+ */
+export interface WorldSerializerOptions {
+  /**
+   * If true - components without registered serializer will be skipped, otherwise an error will be thrown.
+   * Default value is `false`.
+   */
+  skipUnregistered?: boolean;
+}
+
+interface SerializerEntry {
+  readonly key: string;
+  readonly componentClass: Class<unknown>;
+  readonly serializer: ComponentSerializer<unknown>;
+}
+
+/**
+ * World serializer saves entities, their components and tags, and the shared config of the {@link Engine}, and loads
+ * them back. Only components of registered classes can be serialized.
+ *
+ * @example
+ * ```ts
+ * const serializer = new WorldSerializer()
+ *   .register(Position)
+ *   .register(Inventory, {
+ *     serialize: (inventory) => inventory.items.map((it) => it.id),
+ *     deserialize: (ids) => new Inventory(ids.map(findItem)),
+ *   }, 'Inventory');
+ *
+ * const save = JSON.stringify(serializer.serialize(engine));
+ * ...
+ * serializer.deserialize(JSON.parse(save), new Engine());
+ * ```
+ */
+export class WorldSerializer {
+  private readonly _entries: Map<number, SerializerEntry> = new Map();
+  private readonly _entriesByKey: Map<string, SerializerEntry> = new Map();
+  private readonly _skipUnregistered: boolean;
+
+  public constructor(options: WorldSerializerOptions = {}) {
+    this._skipUnregistered = options.skipUnregistered ?? false;
+  }
+
+  /**
+   * Registers a serializer for the component class.
+   *
+   * @param {Class<T>} componentClass Component class
+   * @param {ComponentSerializer<T>} serializer Component serializer. If not defined, own enumerable fields of the
+   *  component will be stored, and restored to the instance created via default constructor.
+   * @param {string} key Stable key of the component. If not defined, the key registered for the class will be used.
+   * @throws An error if the component class doesn't have a stable key
+   * @see {@link registerComponent}
+   */
+  public register<T>(componentClass: Class<T>, serializer?: ComponentSerializer<T, any>, key?: string): WorldSerializer {
+    const id = registerComponent(componentClass, key);
+    const componentKey = getComponentKey(componentClass);
+    if (componentKey === undefined) {
+      throw new Error(`Component class "${componentClass.name}" should have a stable key to be serialized`);
+    }
+    const entry: SerializerEntry = {
+      key: componentKey,
+      componentClass,
+      serializer: (serializer ?? createDefaultSerializer(componentClass)) as ComponentSerializer<unknown>,
+    };
+    this._entries.set(id, entry);
+    this._entriesByKey.set(componentKey, entry);
+    return this;
+  }
+
+  /**
+   * Returns a value indicating whether serializer for the component class is registered.
+   *
+   * @param {Class<T>} componentClass
+   */
+  public isRegistered<T>(componentClass: Class<T>): boolean {
+    const id = getComponentId(componentClass);
+    return id !== undefined && this._entries.has(id);
+  }
+
+  /**
+   * Serializes the engine state: all entities with their components and tags, and the shared config.
+   *
+   * @param {Engine} engine
+   * @return {SerializedWorld}
+   */
+  public serialize(engine: Engine): SerializedWorld {
+    return {
+      sharedConfig: this.serializeEntity(engine.sharedConfig),
+      entities: engine.entities.map((entity) => this.serializeEntity(entity)),
+    };
+  }
+
+  /**
+   * Restores the engine state. Entities will be created and added to the engine in the order of serialization,
+   * the shared config content will be replaced.
+   * Entities that already exist in the engine stay untouched.
+   *
+   * @param {SerializedWorld} data
+   * @param {Engine} engine
+   * @return {Engine}
+   */
+  public deserialize(data: SerializedWorld, engine: Engine): Engine {
+    const sharedConfig = engine.sharedConfig;
+    for (const tag of sharedConfig.getTags()) {
+      sharedConfig.remove(tag);
+    }
+    for (const id of Object.keys(sharedConfig.components)) {
+      sharedConfig.remove(getComponentClassById(Number(id))!);
+    }
+    this.deserializeEntity(data.sharedConfig, sharedConfig);
+
+    for (const entityData of data.entities) {
+      engine.addEntity(this.deserializeEntity(entityData));
+    }
+    return engine;
+  }
+
+  /**
+   * Serializes the entity.
+   *
+   * @param {Entity} entity
+   * @return {SerializedEntity}
+   */
+  public serializeEntity(entity: Entity): SerializedEntity {
+    const components: SerializedComponent[] = [];
+    for (const id of Object.keys(entity.components)) {
+      const componentId = Number(id);
+      const entry = this._entries.get(componentId);
+      if (entry === undefined) {
+        if (this._skipUnregistered) continue;
+        const componentClass = getComponentClassById(componentId);
+        throw new Error(`Serializer for component "${componentClass?.name}" is not registered`);
+      }
+
+      const component = entity.components[componentId];
+      if (isLinkedComponent(component)) {
+        entity.iterate(entry.componentClass, (linkedComponent) => {
+          components.push({type: entry.key, data: entry.serializer.serialize(linkedComponent)});
+        });
+      } else {
+        components.push({type: entry.key, data: entry.serializer.serialize(component)});
+      }
+    }
+    return {id: entity.id, components, tags: entity.getTags()};
+  }
+
+  /**
+   * Restores components and tags of the entity.
+   *
+   * @param {SerializedEntity} data
+   * @param {Entity} entity Entity to fill. If not defined - new entity will be created.
+   * @throws An error if data contains a component with unknown type
+   * @return {Entity}
+   */
+  public deserializeEntity(data: SerializedEntity, entity: Entity = new Entity()): Entity {
+    for (const componentData of data.components) {
+      const entry = this._entriesByKey.get(componentData.type);
+      if (entry === undefined) {
+        if (this._skipUnregistered) continue;
+        throw new Error(`Serializer for component type "${componentData.type}" is not registered`);
+      }
+      const component = entry.serializer.deserialize(componentData.data) as NonNullable<unknown>;
+      if (isLinkedComponent(component)) {
+        entity.append(component, entry.componentClass as Class<ILinkedComponent>);
+      } else {
+        entity.addComponent(component, entry.componentClass);
+      }
+    }
+    for (const tag of data.tags) {
+      entity.addTag(tag);
+    }
+    return entity;
+  }
+}
+
+function createDefaultSerializer<T>(componentClass: Class<T>): ComponentSerializer<T, Record<string, unknown>> {
+  return {
+    serialize(component: T): Record<string, unknown> {
+      const data: Record<string, unknown> = {};
+      for (const field of Object.keys(component)) {
+        if (field === 'next' && isLinkedComponent(component)) continue;
+        data[field] = (component as any)[field];
+      }
+      return data;
+    },
+    deserialize(data: Record<string, unknown>): T {
+      if (isSchemaValidationEnabled()) {
+        assertValid(componentClass, validateComponentData(componentClass, data));
+      }
+      return Object.assign(new componentClass(), data);
+    },
+  };
+}
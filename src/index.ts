@@ -9,3 +9,20 @@ export * from './ecs/System';
 export * from './ecs/Query';
 export * from './ecs/IterativeSystem';
 export * from './utils/Class';
+export * from './ecs/WorldSerializer';
+export * from './ecs/EngineSnapshot';
+export * from './ecs/EntityIdAllocator';
+export * from './ecs/ComponentPool';
+export * from './ecs/EntityPool';
+export * from './ecs/CommandBuffer';
+export * from './ecs/GameLoop';
+export * from './ecs/ChangeTracking';
+export * from './ecs/Profiler';
+export * from './ecs/EventChannel';
+export * from './ecs/QueryIndex';
+export * from './ecs/SpatialHash';
+export * from './ecs/Prefab';
+export * from './ecs/EntityLoader';
+export * from './ecs/ComponentSchema';
+export * from './ecs/TypedStorage';
+export * from './ecs/ParallelSystem';
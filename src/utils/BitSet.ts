@@ -0,0 +1,75 @@
+/**
+ * Growable set of non-negative integers, stored as a bit mask.
+ */
+export class BitSet {
+  private readonly _words: number[] = [];
+
+  /**
+   * Gets a string that uniquely identifies the content of the set.
+   * Sets with equal content have equal keys.
+   */
+  public get key(): string {
+    let length = this._words.length;
+    while (length > 0 && this._words[length - 1] === 0) length--;
+    return this._words.slice(0, length).join(',');
+  }
+
+  /**
+   * Gets a value indicating whether set has no bits
+   */
+  public get isEmpty(): boolean {
+    return this._words.every((word) => word === 0);
+  }
+
+  public has(bit: number): boolean {
+    const word = this._words[bit >>> 5];
+    return word !== undefined && (word & (1 << (bit & 31))) !== 0;
+  }
+
+  public add(bit: number): this {
+    const index = bit >>> 5;
+    while (this._words.length <= index) this._words.push(0);
+    this._words[index] |= 1 << (bit & 31);
+    return this;
+  }
+
+  public delete(bit: number): this {
+    const index = bit >>> 5;
+    if (index < this._words.length) {
+      this._words[index] &= ~(1 << (bit & 31));
+    }
+    return this;
+  }
+
+  /**
+   * Returns a value indicating whether all bits of the passed set are present in this set
+   * @param {BitSet} other
+   */
+  public containsAll(other: BitSet): boolean {
+    const words = other._words;
+    for (let i = 0; i < words.length; i++) {
+      const word = words[i];
+      if (word !== 0 && ((this._words[i] ?? 0) & word) !== word) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Returns a value indicating whether any bit of the passed set is present in this set
+   * @param {BitSet} other
+   */
+  public intersects(other: BitSet): boolean {
+    const words = other._words;
+    const length = Math.min(words.length, this._words.length);
+    for (let i = 0; i < length; i++) {
+      if ((this._words[i] & words[i]) !== 0) return true;
+    }
+    return false;
+  }
+
+  public clone(): BitSet {
+    const result = new BitSet();
+    result._words.push(...this._words);
+    return result;
+  }
+}
@@ -0,0 +1,179 @@
+import {Engine, Entity, EntitySnapshot, LinkedComponent, QueryBuilder} from '../../src';
+import {BitSet} from '../../src/utils/BitSet';
+
+class Position {}
+
+class Velocity {}
+
+class View {}
+
+class Damage extends LinkedComponent {}
+
+class Ancestor {}
+
+class Descendant extends Ancestor {}
+
+describe('Bit set', () => {
+  it(`Expected that bits can be added and removed`, () => {
+    const set = new BitSet().add(1).add(40);
+    expect(set.has(1)).toBeTruthy();
+    expect(set.has(40)).toBeTruthy();
+    expect(set.has(2)).toBeFalsy();
+    set.delete(40);
+    expect(set.has(40)).toBeFalsy();
+    expect(set.key).toBe(new BitSet().add(1).key);
+  });
+
+  it(`Expected that containsAll and intersects work across words`, () => {
+    const set = new BitSet().add(3).add(70);
+    expect(set.containsAll(new BitSet().add(70))).toBeTruthy();
+    expect(set.containsAll(new BitSet().add(70).add(4))).toBeFalsy();
+    expect(set.containsAll(new BitSet())).toBeTruthy();
+    expect(set.intersects(new BitSet().add(3))).toBeTruthy();
+    expect(set.intersects(new BitSet().add(100))).toBeFalsy();
+  });
+});
+
+describe('Archetype matching', () => {
+  it(`Expected that built query matches entities added before and after the query`, () => {
+    const engine = new Engine();
+    const before = new Entity().add(new Position()).add(new Velocity());
+    engine.addEntity(before);
+    engine.addEntity(new Entity().add(new Position()));
+
+    const query = new QueryBuilder().contains(Position, Velocity).build();
+    engine.addQuery(query);
+    expect(query.entities).toEqual([before]);
+
+    const after = new Entity().add(new Position()).add(new Velocity());
+    engine.addEntity(after);
+    expect(query.entities).toEqual([before, after]);
+
+    engine.removeEntity(before);
+    expect(query.entities).toEqual([after]);
+  });
+
+  it(`Expected that component and tag changes move entity in and out of the query`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().contains(Position, 'visible').build();
+    engine.addQuery(query);
+
+    const entity = new Entity().add(new Position());
+    engine.addEntity(entity);
+    expect(query.has(entity)).toBeFalsy();
+
+    entity.add('visible');
+    expect(query.has(entity)).toBeTruthy();
+
+    entity.add(new View());
+    expect(query.length).toBe(1);
+
+    entity.remove(Position);
+    expect(query.has(entity)).toBeFalsy();
+
+    entity.add(new Position());
+    expect(query.has(entity)).toBeTruthy();
+    entity.remove('visible');
+    expect(query.has(entity)).toBeFalsy();
+  });
+
+  it(`Expected that query signals contain correct snapshots`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().contains(Position, Velocity).build();
+    engine.addQuery(query);
+    const entity = new Entity().add(new Position());
+    engine.addEntity(entity);
+
+    let added: boolean[] = [];
+    let removed: boolean[] = [];
+    query.onEntityAdded.connect((snapshot: EntitySnapshot) => {
+      added = [snapshot.previous.has(Velocity), snapshot.current.has(Velocity)];
+    });
+    query.onEntityRemoved.connect((snapshot: EntitySnapshot) => {
+      removed = [snapshot.previous.has(Velocity), snapshot.current.has(Velocity)];
+    });
+
+    entity.add(new Velocity());
+    expect(added).toEqual([false, true]);
+    entity.remove(Velocity);
+    expect(removed).toEqual([true, false]);
+  });
+
+  it(`Expected that linked components change the query membership only for the first and the last instance`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().contains(Damage).build();
+    engine.addQuery(query);
+    const entity = new Entity();
+    engine.addEntity(entity);
+
+    let addedCount = 0;
+    let removedCount = 0;
+    query.onEntityAdded.connect(() => addedCount++);
+    query.onEntityRemoved.connect(() => removedCount++);
+
+    const first = new Damage();
+    const second = new Damage();
+    entity.append(first).append(second);
+    expect(query.has(entity)).toBeTruthy();
+    entity.pick(first);
+    expect(query.has(entity)).toBeTruthy();
+    entity.pick(second);
+    expect(query.has(entity)).toBeFalsy();
+    expect(addedCount).toBe(1);
+    expect(removedCount).toBe(1);
+  });
+
+  it(`Expected that components added with resolve class are matched by the resolve class`, () => {
+    const engine = new Engine();
+    const ancestorQuery = new QueryBuilder().contains(Ancestor).build();
+    const descendantQuery = new QueryBuilder().contains(Descendant).build();
+    engine.addQuery(ancestorQuery);
+    engine.addQuery(descendantQuery);
+
+    const entity = new Entity();
+    engine.addEntity(entity);
+    entity.addComponent(new Descendant(), Ancestor);
+    expect(ancestorQuery.has(entity)).toBeTruthy();
+    expect(descendantQuery.has(entity)).toBeFalsy();
+
+    entity.remove(Ancestor);
+    expect(ancestorQuery.has(entity)).toBeFalsy();
+  });
+
+  it(`Expected that removed query is not updated anymore`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().contains(Position).build();
+    engine.addQuery(query);
+    engine.addEntity(new Entity().add(new Position()));
+    expect(query.length).toBe(1);
+
+    engine.removeQuery(query);
+    expect(query.length).toBe(0);
+    engine.addEntity(new Entity().add(new Position()));
+    expect(query.length).toBe(0);
+  });
+
+  it(`Expected that restoring snapshot updates built queries`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().contains(Position).build();
+    engine.addQuery(query);
+    const entity = new Entity().add(new Position());
+    engine.addEntity(entity);
+
+    const snapshot = engine.snapshot();
+    entity.remove(Position);
+    expect(query.length).toBe(0);
+    engine.restore(snapshot);
+    expect(query.entities).toEqual([entity]);
+  });
+
+  it(`Expected that shared config changes are reflected in built queries`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().contains(View).build();
+    engine.addQuery(query);
+    engine.sharedConfig.add(new View());
+    expect(query.has(engine.sharedConfig)).toBeTruthy();
+    engine.sharedConfig.remove(View);
+    expect(query.isEmpty).toBeTruthy();
+  });
+});
@@ -0,0 +1,200 @@
+import {Engine, Entity, IterativeSystem, LinkedComponent, QueryBuilder, trackChanges} from '../../src';
+import {ReactionSystem} from '../../src/ecs/ReactionSystem';
+
+class Position {
+  public x: number = 0;
+}
+
+class Velocity {
+  public value: number = 0;
+}
+
+class Damage extends LinkedComponent {
+  public value: number = 0;
+}
+
+class ChangedPositionSystem extends IterativeSystem {
+  public visited: Entity[][] = [];
+  private current: Entity[] = [];
+
+  public constructor() {
+    super(new QueryBuilder().changed(Position));
+  }
+
+  public update(dt: number) {
+    this.current = [];
+    super.update(dt);
+    this.visited.push(this.current);
+  }
+
+  protected updateEntity(entity: Entity) {
+    this.current.push(entity);
+  }
+}
+
+class FixedChangedPositionSystem extends ReactionSystem {
+  public visited: Entity[][] = [];
+
+  public constructor() {
+    super(new QueryBuilder().changed(Position));
+  }
+
+  public updateFixed() {
+    this.visited.push(Array.from(this.query.entities));
+  }
+}
+
+describe('Change tracking', () => {
+  it(`Expected that marked component moves entity to the changed query`, () => {
+    const engine = new Engine();
+    const entity = new Entity().add(new Position()).add(new Velocity());
+    engine.addEntity(entity);
+    const query = new QueryBuilder().changed(Position).contains(Velocity).build();
+    engine.addQuery(query);
+    query.resetChanges();
+    expect(query.isEmpty).toBeTruthy();
+
+    entity.markChanged(Velocity);
+    expect(query.isEmpty).toBeTruthy();
+    entity.markChanged(Position);
+    expect(query.entities).toEqual([entity]);
+
+    query.resetChanges();
+    expect(query.isEmpty).toBeTruthy();
+  });
+
+  it(`Expected that changed entity joins the query when it starts matching during the same tick`, () => {
+    const engine = new Engine();
+    const entity = new Entity().add(new Position());
+    engine.addEntity(entity);
+    const query = new QueryBuilder().changed(Position).contains(Velocity).build();
+    engine.addQuery(query);
+
+    entity.markChanged(Position);
+    expect(query.isEmpty).toBeTruthy();
+    entity.add(new Velocity());
+    expect(query.entities).toEqual([entity]);
+    entity.remove(Velocity);
+    expect(query.isEmpty).toBeTruthy();
+  });
+
+  it(`Expected that added query contains only entities with newly added components`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().added(Position).build();
+    engine.addQuery(query);
+    const spawned = new Entity().add(new Position());
+    const existing = new Entity();
+    engine.addEntities(spawned, existing);
+    expect(query.entities).toEqual([spawned]);
+
+    query.resetChanges();
+    spawned.markChanged(Position);
+    expect(query.isEmpty).toBeTruthy();
+    existing.add(new Position());
+    expect(query.entities).toEqual([existing]);
+  });
+
+  it(`Expected that added components count as changed`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().changed(Position).build();
+    engine.addQuery(query);
+    const entity = new Entity();
+    engine.addEntity(entity);
+    expect(query.isEmpty).toBeTruthy();
+    entity.add(new Position());
+    expect(query.entities).toEqual([entity]);
+  });
+
+  it(`Expected that tracked component marks itself as changed`, () => {
+    const engine = new Engine();
+    const position = trackChanges(new Position());
+    const entity = new Entity().add(position);
+    engine.addEntity(entity);
+    const query = new QueryBuilder().changed(Position).build();
+    engine.addQuery(query);
+    query.resetChanges();
+
+    position.x = 0;
+    expect(query.isEmpty).toBeTruthy();
+    position.x = 10;
+    expect(position.x).toBe(10);
+    expect(position).toBeInstanceOf(Position);
+    expect(query.entities).toEqual([entity]);
+
+    query.resetChanges();
+    entity.remove(Position);
+    position.x = 20;
+    expect(query.isEmpty).toBeTruthy();
+  });
+
+  it(`Expected that tracked linked components mark their entity as changed`, () => {
+    const engine = new Engine();
+    const damage = trackChanges(new Damage());
+    const entity = new Entity().append(new Damage()).append(damage);
+    engine.addEntity(entity);
+    const query = new QueryBuilder().changed(Damage).build();
+    engine.addQuery(query);
+    query.resetChanges();
+
+    damage.value = 5;
+    expect(query.entities).toEqual([entity]);
+  });
+
+  it(`Expected that query signals are dispatched for changed entities`, () => {
+    const engine = new Engine();
+    const entity = new Entity().add(new Position());
+    engine.addEntity(entity);
+    const query = new QueryBuilder().changed(Position).build();
+    engine.addQuery(query);
+    query.resetChanges();
+
+    let added = 0;
+    query.onEntityAdded.connect(() => added++);
+    entity.markChanged(Position);
+    entity.markChanged(Position);
+    expect(added).toBe(1);
+  });
+
+  it(`Expected that changes are reset after the consuming system update`, () => {
+    const engine = new Engine();
+    const system = new ChangedPositionSystem();
+    engine.addSystem(system);
+    const first = new Entity().add(new Position());
+    const second = new Entity().add(new Position());
+    engine.addEntities(first, second);
+
+    engine.update(1, 1);
+    second.markChanged(Position);
+    engine.update(1, 1);
+    engine.update(1, 1);
+    expect(system.visited).toEqual([[first, second], [second], []]);
+  });
+
+  it(`Expected that changes are reset after the fixed update of the consuming system`, () => {
+    const engine = new Engine();
+    const system = new FixedChangedPositionSystem();
+    engine.addSystem(system);
+    const entity = new Entity().add(new Position());
+    engine.addEntity(entity);
+
+    engine.updateFixed(1);
+    entity.markChanged(Position);
+    engine.update(1, 1);
+    engine.updateFixed(1);
+    engine.updateFixed(1);
+    engine.updateFixed(1);
+    expect(system.visited).toEqual([[entity], [entity], [], []]);
+  });
+
+  it(`Expected that removed entity is removed from the changed query`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().changed(Position).build();
+    engine.addQuery(query);
+    const entity = new Entity().add(new Position());
+    engine.addEntity(entity);
+    engine.removeEntity(entity);
+    expect(query.isEmpty).toBeTruthy();
+    entity.markChanged(Position);
+    expect(query.isEmpty).toBeTruthy();
+  });
+});
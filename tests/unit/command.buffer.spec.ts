@@ -0,0 +1,189 @@
+import {CommandBuffer, Engine, Entity, IterativeSystem, LinkedComponent, QueryBuilder, System} from '../../src';
+
+class Health {
+  public value: number = 0;
+}
+
+class Dead {}
+
+class Damage extends LinkedComponent {}
+
+class DeathSystem extends IterativeSystem {
+  public visited: Entity[] = [];
+
+  public constructor() {
+    super(new QueryBuilder().contains(Health));
+  }
+
+  protected updateEntity(entity: Entity) {
+    this.visited.push(entity);
+    if (entity.get(Health)!.value <= 0) {
+      this.commands.removeEntity(entity);
+    }
+  }
+}
+
+class SpySystem extends System {
+  public count: number = -1;
+
+  public constructor(private readonly countEntities: () => number) {
+    super();
+  }
+
+  public update() {
+    this.count = this.countEntities();
+  }
+
+  public updateFixed() {
+    this.count = this.countEntities();
+  }
+}
+
+describe('Command buffer', () => {
+  it(`Expected that commands are applied in order on flush`, () => {
+    const engine = new Engine();
+    const buffer = new CommandBuffer();
+    const entity = new Entity();
+    const damage = new Damage();
+
+    buffer
+      .addEntity(entity)
+      .add(entity, Health, {value: 10})
+      .add(entity, 'alive')
+      .append(entity, damage)
+      .append(entity, new Damage())
+      .pick(entity, damage)
+      .remove(entity, 'alive');
+    expect(buffer.length).toBe(7);
+    expect(engine.entities).toEqual([]);
+
+    buffer.flush(engine);
+    expect(buffer.isEmpty).toBeTruthy();
+    expect(engine.entities).toEqual([entity]);
+    expect(entity.get(Health)!.value).toBe(10);
+    expect(entity.has('alive')).toBeFalsy();
+    expect(entity.lengthOf(Damage)).toBe(1);
+    expect(entity.contains(damage)).toBeFalsy();
+
+    buffer.remove(entity, Health).removeEntity(entity).flush(engine);
+    expect(entity.has(Health)).toBeFalsy();
+    expect(engine.entities).toEqual([]);
+  });
+
+  it(`Expected that commands queued during flush are applied in the same flush`, () => {
+    const engine = new Engine();
+    const buffer = new CommandBuffer();
+    const entity = new Entity();
+    buffer.execute(() => buffer.addEntity(entity));
+    buffer.flush(engine);
+    expect(engine.entities).toEqual([entity]);
+    expect(buffer.isEmpty).toBeTruthy();
+  });
+
+  it(`Expected that long chains of follow-up commands don't overflow the stack`, () => {
+    const engine = new Engine();
+    const buffer = new CommandBuffer();
+    let count = 0;
+    const command = () => {
+      if (++count < 100000) {
+        buffer.execute(command);
+      }
+    };
+    buffer.execute(command).flush(engine);
+    expect(count).toBe(100000);
+    expect(buffer.isEmpty).toBeTruthy();
+  });
+
+  it(`Expected that commands following the failed one stay queued`, () => {
+    const engine = new Engine();
+    const buffer = new CommandBuffer();
+    const first = new Entity();
+    const second = new Entity();
+    buffer
+      .addEntity(first)
+      .execute(() => {
+        throw new Error('Failed');
+      })
+      .addEntity(second);
+
+    expect(() => buffer.flush(engine)).toThrowError('Failed');
+    expect(engine.entities).toEqual([first]);
+    expect(buffer.length).toBe(1);
+
+    buffer.flush(engine);
+    expect(engine.entities).toEqual([first, second]);
+    expect(buffer.isEmpty).toBeTruthy();
+  });
+
+  it(`Expected that cleared commands are not applied`, () => {
+    const engine = new Engine();
+    const buffer = new CommandBuffer().addEntity(new Entity());
+    buffer.clear();
+    buffer.flush(engine);
+    expect(engine.entities).toEqual([]);
+  });
+
+  it(`Expected that removing entities during iteration doesn't skip entities`, () => {
+    const engine = new Engine();
+    const system = new DeathSystem();
+    engine.addSystem(system);
+    const entities = [0, 0, 5, 0].map((value) => new Entity().add(Health, {value}));
+    engine.addEntities(...entities);
+
+    engine.update(1, 1);
+    expect(system.visited).toEqual(entities);
+    expect(engine.entities).toEqual([entities[2]]);
+  });
+
+  it(`Expected that engine flushes commands between systems`, () => {
+    const engine = new Engine();
+    const spy = new SpySystem(() => engine.entities.length);
+    engine.addSystem(new DeathSystem(), 0);
+    engine.addSystem(spy, 1);
+    engine.addEntity(new Entity().add(Health, {value: 0}));
+
+    engine.update(1, 1);
+    expect(spy.count).toBe(0);
+  });
+
+  it(`Expected that engine flushes commands at the end of every update phase`, () => {
+    const engine = new Engine();
+    const phases: Array<(engine: Engine) => void> = [
+      (it) => it.update(1, 1),
+      (it) => it.updateFixed(1),
+      (it) => it.updateLate(1),
+      (it) => it.updateRender(1),
+    ];
+    for (const phase of phases) {
+      const entity = new Entity();
+      engine.commands.addEntity(entity).add(entity, Dead);
+      phase(engine);
+      expect(engine.commands.isEmpty).toBeTruthy();
+      expect(engine.getEntityById(entity.id)).toBe(entity);
+      expect(entity.has(Dead)).toBeTruthy();
+    }
+  });
+
+  it(`Expected that fixed update flushes commands between systems`, () => {
+    const engine = new Engine();
+    const entity = new Entity();
+    const spy = new SpySystem(() => engine.entities.length);
+    engine.addSystem(new class extends System {
+      public updateFixed() {
+        this.commands.addEntity(entity);
+      }
+    }(), 0);
+    engine.addSystem(spy, 1);
+
+    engine.updateFixed(1);
+    expect(spy.count).toBe(1);
+  });
+
+  it(`Expected that clearing the engine drops queued commands`, () => {
+    const engine = new Engine();
+    engine.commands.addEntity(new Entity());
+    engine.clear();
+    engine.update(1, 1);
+    expect(engine.entities).toEqual([]);
+  });
+});
@@ -0,0 +1,97 @@
+import {component, Entity, getComponentClassByKey, getComponentId, getComponentKey, registerComponent} from '../../src';
+
+function createAnonymousClass() {
+  return class {
+    public value: number = 0;
+  };
+}
+
+describe('Component registry', () => {
+  it(`Expected that different classes with the same name get different ids`, () => {
+    const First = createAnonymousClass();
+    const Second = createAnonymousClass();
+    expect(First.name).toBe(Second.name);
+
+    const firstId = getComponentId(First, true);
+    const secondId = getComponentId(Second, true);
+    expect(firstId).toBeDefined();
+    expect(secondId).toBeDefined();
+    expect(firstId).not.toBe(secondId);
+
+    const entity = new Entity().add(new First());
+    expect(entity.has(First)).toBeTruthy();
+    expect(entity.has(Second)).toBeFalsy();
+  });
+
+  it(`Expected that id is not created if it's not requested`, () => {
+    class NotRegistered {}
+
+    expect(getComponentId(NotRegistered)).toBeUndefined();
+    expect(getComponentId(NotRegistered, true)).toBe(getComponentId(NotRegistered));
+  });
+
+  it(`Expected that registered key resolves to the component class`, () => {
+    class Position {}
+
+    const id = registerComponent(Position, 'registry.Position');
+    expect(getComponentId(Position)).toBe(id);
+    expect(getComponentKey(Position)).toBe('registry.Position');
+    expect(getComponentClassByKey('registry.Position')).toBe(Position);
+  });
+
+  it(`Expected that key can be assigned to already registered class`, () => {
+    class Velocity {}
+
+    const id = getComponentId(Velocity, true);
+    expect(getComponentKey(Velocity)).toBeUndefined();
+    expect(registerComponent(Velocity, 'registry.Velocity')).toBe(id);
+    expect(getComponentKey(Velocity)).toBe('registry.Velocity');
+  });
+
+  it(`Expected that decorator registers the key`, () => {
+    @component('registry.Health')
+    class Health {}
+
+    expect(getComponentKey(Health)).toBe('registry.Health');
+    expect(getComponentClassByKey('registry.Health')).toBe(Health);
+  });
+
+  it(`Expected that static field defines the key`, () => {
+    class Armor {
+      public static readonly componentKey = 'registry.Armor';
+    }
+
+    expect(getComponentKey(Armor)).toBe('registry.Armor');
+    new Entity().add(new Armor());
+    expect(getComponentClassByKey('registry.Armor')).toBe(Armor);
+  });
+
+  it(`Expected that static key is not inherited by descendants`, () => {
+    class Shield {
+      public static readonly componentKey = 'registry.Shield';
+    }
+
+    class MagicShield extends Shield {}
+
+    expect(getComponentKey(Shield)).toBe('registry.Shield');
+    expect(getComponentKey(MagicShield)).toBeUndefined();
+    expect(getComponentId(MagicShield, true)).not.toBe(getComponentId(Shield));
+  });
+
+  it(`Expected that key collision throws an error`, () => {
+    const First = createAnonymousClass();
+    const Second = createAnonymousClass();
+    registerComponent(First, 'registry.Collision');
+    expect(() => registerComponent(Second, 'registry.Collision')).toThrowError(/collision/);
+    expect(getComponentId(Second)).toBeUndefined();
+    expect(getComponentClassByKey('registry.Collision')).toBe(First);
+  });
+
+  it(`Expected that re-registering class with another key throws an error`, () => {
+    class Mana {}
+
+    registerComponent(Mana, 'registry.Mana');
+    expect(() => registerComponent(Mana, 'registry.Mana')).not.toThrowError();
+    expect(() => registerComponent(Mana, 'registry.Mana2')).toThrowError();
+  });
+});
@@ -0,0 +1,190 @@
+import {
+  componentSchema,
+  defineComponentSchema,
+  Engine,
+  Entity,
+  EntityLoader,
+  getComponentFields,
+  getComponentSchema,
+  LinkedComponent,
+  Query,
+  registerComponent,
+  setSchemaValidation,
+  validateComponent,
+  WorldSerializer,
+} from '../../src';
+
+class Velocity {
+  public x: number = 0;
+  public y: number = 0;
+  public max: number = 10;
+}
+
+defineComponentSchema(Velocity, {
+  x: {type: 'number'},
+  y: {type: 'number'},
+  max: {type: 'number', min: 0, default: 5, description: 'Speed limit'},
+});
+
+@componentSchema({
+  value: {type: 'integer', min: 0, max: 100},
+  source: {type: 'entity', optional: true},
+})
+class Health {
+  public value: number = 100;
+  public source: Entity | null = null;
+}
+
+class RegenerativeHealth extends Health {
+  public rate: number = 1;
+}
+
+defineComponentSchema(RegenerativeHealth, {
+  rate: {type: 'number', min: 0},
+});
+
+class Inventory {
+  public items: string[] = [];
+}
+
+defineComponentSchema(Inventory, {
+  items: {type: 'array', default: ['sword']},
+});
+
+class Damage extends LinkedComponent {
+  public value: number = 0;
+}
+
+defineComponentSchema(Damage, {
+  value: {type: 'number', min: 0},
+});
+
+class Free {
+  public anything: unknown = undefined;
+}
+
+registerComponent(Velocity, 'schema.Velocity');
+registerComponent(Health, 'schema.Health');
+
+describe('Component schema', () => {
+  afterEach(() => {
+    setSchemaValidation(true);
+  });
+
+  it('Provides reflection metadata of fields', () => {
+    expect(getComponentFields(Velocity)).toEqual([
+      {name: 'x', type: 'number'},
+      {name: 'y', type: 'number'},
+      {name: 'max', type: 'number', min: 0, default: 5, description: 'Speed limit'},
+    ]);
+    expect(getComponentSchema(Health)!.value).toEqual({type: 'integer', min: 0, max: 100});
+    expect(getComponentSchema(Free)).toBeUndefined();
+    expect(getComponentFields(Free)).toEqual([]);
+  });
+
+  it('Inherits fields of ancestor schemas', () => {
+    expect(getComponentFields(RegenerativeHealth).map((field) => field.name)).toEqual(['value', 'source', 'rate']);
+    expect(getComponentFields(Health).map((field) => field.name)).toEqual(['value', 'source']);
+  });
+
+  it('Applies defaults to components created from the class', () => {
+    const entity = new Entity().add(Velocity, {x: 1}).add(Inventory);
+    expect(entity.get(Velocity)).toEqual({x: 1, y: 0, max: 5});
+    expect(entity.get(Inventory)!.items).toEqual(['sword']);
+    expect(new Entity().add(Inventory).get(Inventory)!.items).not.toBe(entity.get(Inventory)!.items);
+    expect(new Entity().add(Velocity, {max: 3}).get(Velocity)!.max).toBe(3);
+    expect(new Entity().add(new Velocity()).get(Velocity)!.max).toBe(10);
+  });
+
+  it('Validates data passed to add', () => {
+    const entity = new Entity();
+    expect(() => entity.add(Velocity, {veloctiy: 1} as Partial<Velocity>))
+      .toThrowError('Invalid data of component "Velocity": field "veloctiy" is not defined in the schema');
+    expect(() => entity.add(Velocity, {x: '1'} as unknown as Partial<Velocity>))
+      .toThrowError('Invalid data of component "Velocity": field "x" must be a number, but got string');
+    expect(() => entity.add(Health, {value: 1.5, source: 1} as unknown as Partial<Health>))
+      .toThrowError('Invalid data of component "Health": field "value" must be an integer, but got number 1.5; ' +
+        'field "source" must be an entity, but got number');
+    expect(() => entity.add(RegenerativeHealth, {value: 120}))
+      .toThrowError('Invalid data of component "RegenerativeHealth": field "value" must be at most 100, but got 120');
+    expect(entity.has(Velocity)).toBeFalsy();
+    expect(entity.has(Health)).toBeFalsy();
+
+    entity.add(Health, {value: 0, source: new Entity()});
+    expect(entity.get(Health)!.value).toBe(0);
+  });
+
+  it('Validates components passed to addComponent and append', () => {
+    const entity = new Entity().add(Velocity);
+    const velocity = new Velocity();
+    velocity.max = -1;
+    expect(() => entity.addComponent(velocity))
+      .toThrowError('Invalid data of component "Velocity": field "max" must be at least 0, but got -1');
+    expect(entity.get(Velocity)).not.toBe(velocity);
+
+    const damage = new Damage();
+    damage.value = -2;
+    expect(() => entity.append(damage)).toThrowError('field "value" must be at least 0, but got -2');
+    expect(entity.has(Damage)).toBeFalsy();
+    expect(validateComponent(damage)).toEqual(['field "value" must be at least 0, but got -2']);
+  });
+
+  it('Validates deserialized components', () => {
+    const serializer = new WorldSerializer().register(Velocity).register(Health);
+    expect(() => serializer.deserializeEntity({
+      id: 1,
+      components: [{type: 'schema.Velocity', data: {x: 0, y: 0, max: 1, speed: 2}}],
+      tags: [],
+    })).toThrowError('Invalid data of component "Velocity": field "speed" is not defined in the schema');
+    expect(() => serializer.deserializeEntity({
+      id: 1,
+      components: [{type: 'schema.Health', data: {value: -1, source: null}}],
+      tags: [],
+    })).toThrowError('Invalid data of component "Health": field "value" must be at least 0, but got -1');
+
+    const entity = serializer.deserializeEntity(serializer.serializeEntity(new Entity().add(Velocity, {x: 3})));
+    expect(entity.get(Velocity)).toEqual({x: 3, y: 0, max: 5});
+  });
+
+  it('Uses schema in the entity loader', () => {
+    const load = () => new EntityLoader().load({
+      entities: [
+        {id: 'a', components: {'schema.Health': {value: 10}}},
+        {components: {'schema.Health': {value: 200, source: {$ref: 'a'}}, 'schema.Velocity': {z: 1}}},
+      ],
+    }, 'level.json');
+    expect(load).toThrowError([
+      'Failed to load entities from "level.json":',
+      '  entities[1].components.schema.Health.value: must be at most 100, but got 200',
+      '  entities[1].components.schema.Velocity.z: unknown field of component "Velocity"',
+    ].join('\n'));
+  });
+
+  it('Removes components, that became invalid, from entities matched by predicate queries', () => {
+    const engine = new Engine();
+    const query = new Query((entity) => entity.has(Health) || entity.has(Damage));
+    engine.addQuery(query);
+    const entity = new Entity().add(Health, {value: 10}).append(new Damage());
+    engine.addEntity(entity);
+
+    entity.get(Health)!.value = -1;
+    entity.get(Damage)!.value = -1;
+    expect(() => entity.remove(Health)).not.toThrowError();
+    expect(query.entities).toEqual([entity]);
+    expect(() => entity.remove(Damage)).not.toThrowError();
+    expect(query.entities).toEqual([]);
+  });
+
+  it('Skips validation when disabled', () => {
+    setSchemaValidation(false);
+    const entity = new Entity().add(Velocity, {x: 'fast'} as unknown as Partial<Velocity>);
+    expect(entity.get(Velocity)!.x).toBe('fast');
+    expect(entity.get(Velocity)!.max).toBe(5);
+  });
+
+  it('Ignores classes without schema', () => {
+    const entity = new Entity().add(Free, {anything: 'value'});
+    expect(entity.get(Free)!.anything).toBe('value');
+    expect(validateComponent(new Free())).toEqual([]);
+  });
+});
@@ -0,0 +1,177 @@
+import {Engine, Entity, EntityIdAllocator, EntityLoader, ENTITY_INDEX_LIMIT} from '../../src';
+
+describe('Entity id allocator', () => {
+  it(`Expected that identifiers are allocated sequentially`, () => {
+    const allocator = new EntityIdAllocator();
+    expect([allocator.allocate(), allocator.allocate(), allocator.allocate()]).toEqual([1, 2, 3]);
+    expect(allocator.size).toBe(3);
+  });
+
+  it(`Expected that released identifiers are not reused without recycling`, () => {
+    const allocator = new EntityIdAllocator({firstIndex: 10});
+    const id = allocator.allocate();
+    expect(allocator.release(id)).toBeTruthy();
+    expect(allocator.release(id)).toBeFalsy();
+    expect(allocator.isAlive(id)).toBeFalsy();
+    expect(allocator.allocate()).toBe(11);
+  });
+
+  it(`Expected that released identifiers are reused with recycling`, () => {
+    const allocator = new EntityIdAllocator({recycle: true});
+    const first = allocator.allocate();
+    const second = allocator.allocate();
+    allocator.release(second);
+    allocator.release(first);
+    expect(allocator.allocate()).toBe(first);
+    expect(allocator.allocate()).toBe(second);
+    expect(allocator.allocate()).toBe(3);
+  });
+
+  it(`Expected that generations make reused identifiers distinct`, () => {
+    const allocator = new EntityIdAllocator({recycle: true, generations: true});
+    const id = allocator.allocate();
+    allocator.release(id);
+    const reused = allocator.allocate();
+    expect(reused).not.toBe(id);
+    expect(reused).toBe(ENTITY_INDEX_LIMIT + id);
+    expect(allocator.indexOf(reused)).toBe(allocator.indexOf(id));
+    expect(allocator.generationOf(reused)).toBe(1);
+    expect(allocator.isAlive(id)).toBeFalsy();
+    expect(allocator.isAlive(reused)).toBeTruthy();
+    expect(allocator.acquire(id)).toBeFalsy();
+  });
+
+  it(`Expected that released identifier can be acquired back`, () => {
+    const allocator = new EntityIdAllocator({recycle: true});
+    const ids = [allocator.allocate(), allocator.allocate(), allocator.allocate()];
+    ids.forEach((id) => allocator.release(id));
+    expect(allocator.acquire(2)).toBeTruthy();
+    expect(allocator.acquire(2)).toBeFalsy();
+    expect([allocator.allocate(), allocator.allocate(), allocator.allocate()]).toEqual([3, 1, 4]);
+  });
+
+  it(`Expected that identifiers, which were not allocated, are not acquired`, () => {
+    const allocator = new EntityIdAllocator({recycle: true, generations: true});
+    allocator.allocate();
+    expect(allocator.isAllocated(1)).toBeTruthy();
+    expect(allocator.isAllocated(ENTITY_INDEX_LIMIT + 1)).toBeFalsy();
+    expect(allocator.acquire(0)).toBeFalsy();
+    expect(allocator.acquire(100000)).toBeFalsy();
+    expect(allocator.acquire(ENTITY_INDEX_LIMIT + 1)).toBeFalsy();
+    expect(allocator.getState().free).toEqual([]);
+    expect(allocator.allocate()).toBe(2);
+  });
+
+  it(`Expected that reset repeats the sequence`, () => {
+    const allocator = new EntityIdAllocator({recycle: true, generations: true});
+    const run = () => {
+      const ids = [allocator.allocate(), allocator.allocate()];
+      allocator.release(ids[0]);
+      ids.push(allocator.allocate());
+      return ids;
+    };
+    const first = run();
+    allocator.reset();
+    expect(run()).toEqual(first);
+  });
+});
+
+describe('Engine entity ids', () => {
+  it(`Expected that engines allocate identifiers independently`, () => {
+    const first = new Engine({ids: new EntityIdAllocator()});
+    const second = new Engine({ids: new EntityIdAllocator()});
+    expect(first.createEntity().id).toBe(1);
+    expect(first.createEntity().id).toBe(2);
+    expect(second.createEntity().id).toBe(1);
+  });
+
+  it(`Expected that engine without allocator uses global sequence`, () => {
+    const engine = new Engine();
+    expect(engine.ids).toBeUndefined();
+    const entity = engine.createEntity();
+    expect(new Entity().id).toBe(entity.id + 1);
+  });
+
+  it(`Expected that removing entity releases its identifier`, () => {
+    const engine = new Engine({ids: new EntityIdAllocator({recycle: true, generations: true})});
+    const entity = engine.createEntity();
+    engine.addEntity(entity);
+    engine.removeEntity(entity);
+    expect(engine.ids!.isAlive(entity.id)).toBeFalsy();
+
+    const reused = engine.createEntity();
+    engine.addEntity(reused);
+    expect(engine.getEntityById(entity.id)).toBeUndefined();
+    expect(engine.getEntityById(reused.id)).toBe(reused);
+  });
+
+  it(`Expected that removed entity can be added back while its identifier is not reused`, () => {
+    const engine = new Engine({ids: new EntityIdAllocator({recycle: true, generations: true})});
+    const entity = engine.createEntity();
+    engine.addEntity(entity);
+    engine.removeEntity(entity);
+    engine.addEntity(entity);
+    expect(engine.ids!.isAlive(entity.id)).toBeTruthy();
+
+    engine.removeEntity(entity);
+    engine.addEntity(engine.createEntity());
+    expect(() => engine.addEntity(entity)).toThrowError(/stale/);
+  });
+
+  it(`Expected that adding another entity with the same id throws an error`, () => {
+    const engine = new Engine();
+    const entity = new Entity(100);
+    engine.addEntity(entity);
+    expect(() => engine.addEntity(new Entity(100))).toThrowError('Entity with id 100 is already added to the engine');
+    expect(engine.entities).toEqual([entity]);
+  });
+
+  it(`Expected that entities created by constructor and by engine can be mixed`, () => {
+    const engine = new Engine({ids: new EntityIdAllocator()});
+    for (let i = 0; i < 50; i++) {
+      engine.addEntity(engine.createEntity());
+    }
+    const entity = new Entity(2);
+    expect(engine.ids!.owns(entity)).toBeFalsy();
+    engine.addEntity(entity);
+    expect(engine.entities.length).toBe(51);
+    expect(entity.id).toBe(51);
+    expect(engine.ids!.owns(entity)).toBeTruthy();
+    expect(engine.getEntityById(2)).not.toBe(entity);
+
+    const {entities} = new EntityLoader().load({entities: [{}, {}]});
+    engine.addEntities(...entities);
+    expect(entities.map((it) => it.id)).toEqual([52, 53]);
+    expect(engine.entities.length).toBe(53);
+    expect(engine.createEntity().id).toBe(54);
+  });
+
+  it(`Expected that entity with identifier not allocated by the engine gets a new one`, () => {
+    const engine = new Engine({ids: new EntityIdAllocator({recycle: true})});
+    const created = engine.createEntity();
+    const foreign = new Entity(100000);
+    engine.addEntities(created, foreign);
+    expect(foreign.id).toBe(2);
+    expect(engine.getEntityById(2)).toBe(foreign);
+    expect(engine.getEntityById(100000)).toBeUndefined();
+    expect(engine.ids!.getState().free).toEqual([]);
+    expect(engine.createEntity().id).toBe(3);
+  });
+
+  it(`Expected that snapshot restores the allocator state`, () => {
+    const engine = new Engine({ids: new EntityIdAllocator({recycle: true, generations: true})});
+    const kept = engine.createEntity();
+    const removed = engine.createEntity();
+    engine.addEntities(kept, removed);
+
+    const snapshot = engine.snapshot();
+    engine.removeEntity(removed);
+    const spawned = engine.createEntity();
+    engine.addEntity(spawned);
+    expect(spawned.id).toBe(ENTITY_INDEX_LIMIT + removed.id);
+
+    engine.restore(snapshot);
+    expect(engine.entities).toEqual([kept, removed]);
+    expect(engine.createEntity().id).toBe(spawned.id + 1 - ENTITY_INDEX_LIMIT);
+  });
+});
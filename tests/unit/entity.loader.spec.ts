@@ -0,0 +1,131 @@
+import {component, Engine, Entity, EntityLoader, QueryBuilder, registerComponent} from '../../src';
+
+@component('Position')
+class Position {
+  public x: number = 0;
+  public y: number = 0;
+}
+
+class Health {
+  public value: number = 100;
+  public immortal: boolean = false;
+}
+
+class Inventory {
+  public items: string[] = [];
+  public owner: Entity | null = null;
+  public slots: Record<string, unknown> = {};
+}
+
+class Unregistered {
+  public value: number = 0;
+}
+
+registerComponent(Health, 'Health');
+registerComponent(Inventory, 'Inventory');
+
+const PLAYER = 1;
+const ENEMY = 'enemy';
+
+function createLoader(): EntityLoader {
+  return new EntityLoader().registerTag(PLAYER, 'player').registerTag(ENEMY);
+}
+
+function getError(action: () => void): string {
+  try {
+    action();
+  } catch (error) {
+    return (error as Error).message;
+  }
+  throw new Error('Expected an error');
+}
+
+describe('Entity loader', () => {
+  it(`Expected that entities are built with components and tags`, () => {
+    const {entities, named} = createLoader().load({
+      entities: [
+        {id: 'hero', components: {Position: {x: 10}, Health: {value: 50, immortal: true}}, tags: ['player']},
+        {components: {Position: {y: 5}}, tags: ['enemy']},
+      ],
+    }, 'level.json');
+
+    expect(entities.length).toBe(2);
+    const [hero, enemy] = entities;
+    expect(named.get('hero')).toBe(hero);
+    expect(hero.get(Position)).toBeInstanceOf(Position);
+    expect(hero.get(Position)!.x).toBe(10);
+    expect(hero.get(Position)!.y).toBe(0);
+    expect(hero.get(Health)!.value).toBe(50);
+    expect(hero.get(Health)!.immortal).toBeTruthy();
+    expect(hero.has(PLAYER)).toBeTruthy();
+    expect(enemy.get(Position)!.y).toBe(5);
+    expect(enemy.has(ENEMY)).toBeTruthy();
+    expect(enemy.has(Health)).toBeFalsy();
+  });
+
+  it(`Expected that references are resolved to entities of the same file`, () => {
+    const {entities} = createLoader().load({
+      entities: [
+        {components: {Inventory: {owner: {$ref: 'hero'}, items: ['sword'], slots: {hand: {$ref: 'sword'}}}}},
+        {id: 'hero', components: {Position: {}}},
+        {id: 'sword'},
+      ],
+    });
+    const inventory = entities[0].get(Inventory)!;
+    expect(inventory.owner).toBe(entities[1]);
+    expect(inventory.slots.hand).toBe(entities[2]);
+    expect(inventory.items).toEqual(['sword']);
+  });
+
+  it(`Expected that JSON text is parsed`, () => {
+    const {entities} = createLoader().parse('{"entities": [{"components": {"Position": {"x": 1}}}]}', 'level.json');
+    expect(entities[0].get(Position)!.x).toBe(1);
+    expect(getError(() => createLoader().parse('{', 'broken.json'))).toMatch(/^Failed to load entities from "broken\.json": /);
+  });
+
+  it(`Expected that all errors are reported with file path and field names`, () => {
+    const message = getError(() => createLoader().load({
+      entities: [
+        {id: 'hero', components: {Position: {x: '10', z: 1}, Unregistered: {value: 1}}, tags: ['player', 'boss']},
+        {id: 'hero', components: {Health: {immortal: 1}, Inventory: {owner: {$ref: 'villain'}, items: 'sword'}}},
+        {components: {Position: 5}, name: 'oops'},
+        {tags: 'enemy'},
+        'entity',
+      ],
+    }, 'levels/1.json'));
+
+    expect(message).toBe([
+      'Failed to load entities from "levels/1.json":',
+      '  entities[1].id: duplicate id "hero"',
+      '  entities[0].components.Position.x: expected number, but got string',
+      '  entities[0].components.Position.z: unknown field of component "Position"',
+      '  entities[0].components.Unregistered: unknown component type "Unregistered"',
+      '  entities[0].tags[1]: unknown tag "boss"',
+      '  entities[1].components.Health.immortal: expected boolean, but got number',
+      '  entities[1].components.Inventory.owner: unknown reference "villain"',
+      '  entities[1].components.Inventory.items: expected array, but got string',
+      '  entities[2].name: unknown field',
+      '  entities[2].components.Position: expected object, but got number',
+      '  entities[3].tags: expected array, but got string',
+      '  entities[4]: expected object, but got string',
+    ].join('\n'));
+  });
+
+  it(`Expected that file without entities list is rejected`, () => {
+    expect(getError(() => createLoader().load([]))).toBe('Failed to load entities from "<anonymous>":\n  entities: expected array, but got undefined');
+  });
+
+  it(`Expected that tag keys can't be reused`, () => {
+    expect(() => createLoader().registerTag(2, 'player')).toThrowError('Tag key "player" is already used by tag "1"');
+    expect(() => createLoader().registerTag(PLAYER, 'player')).not.toThrow();
+  });
+
+  it(`Expected that loaded entities are matched by queries when added to the engine`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().contains(Position, ENEMY).build();
+    engine.addQuery(query);
+    const {entities} = createLoader().load({entities: [{components: {Position: {}}, tags: ['enemy']}]});
+    entities.forEach((entity) => engine.addEntity(entity));
+    expect(query.entities).toEqual(entities);
+  });
+});
@@ -0,0 +1,164 @@
+import {Engine, EventChannel, EventReader, System} from '../../src';
+
+class Damaged {
+  public constructor(public readonly amount: number) {}
+}
+
+class WriterSystem extends System {
+  public seenByWriter: number[] = [];
+  private reader!: EventReader<Damaged>;
+
+  public constructor(private readonly amounts: number[]) {
+    super();
+  }
+
+  public onAddedToEngine() {
+    this.reader = this.engine.getChannel(Damaged).createReader();
+  }
+
+  public update() {
+    for (const amount of this.amounts) {
+      this.engine.getChannel(Damaged).write(new Damaged(amount));
+    }
+    this.seenByWriter.push(...this.reader.read().map((it) => it.amount));
+  }
+}
+
+class ReaderSystem extends System {
+  public seen: number[][] = [];
+  private reader!: EventReader<Damaged>;
+
+  public onAddedToEngine() {
+    this.reader = this.engine.getChannel(Damaged).createReader();
+  }
+
+  public update() {
+    this.seen.push(this.reader.read().map((it) => it.amount));
+  }
+}
+
+describe('Event channel', () => {
+  it(`Expected that readers get events only after delivery`, () => {
+    const channel = new EventChannel<number>();
+    const reader = channel.createReader();
+    channel.write(1);
+    expect(reader.hasEvents).toBeFalsy();
+    expect(channel.pendingSize).toBe(1);
+    channel.deliver();
+    expect(reader.hasEvents).toBeTruthy();
+    expect(reader.read()).toEqual([1]);
+    expect(reader.read()).toEqual([]);
+  });
+
+  it(`Expected that every reader has its own cursor and events are dropped after all readers read them`, () => {
+    const channel = new EventChannel<number>();
+    const first = channel.createReader();
+    const second = channel.createReader();
+    channel.write(1);
+    channel.write(2);
+    channel.deliver();
+    expect(first.read()).toEqual([1, 2]);
+    expect(channel.size).toBe(2);
+
+    channel.write(3);
+    channel.deliver();
+    expect(second.read()).toEqual([1, 2, 3]);
+    expect(channel.size).toBe(1);
+    expect(first.read()).toEqual([3]);
+    expect(channel.size).toBe(0);
+  });
+
+  it(`Expected that reader created later doesn't get previous events`, () => {
+    const channel = new EventChannel<number>();
+    const first = channel.createReader();
+    channel.write(1);
+    channel.deliver();
+    const late = channel.createReader();
+    channel.write(2);
+    channel.deliver();
+    expect(late.read()).toEqual([2]);
+    expect(first.read()).toEqual([1, 2]);
+  });
+
+  it(`Expected that events without readers are dropped`, () => {
+    const channel = new EventChannel<number>();
+    channel.write(1);
+    channel.deliver();
+    expect(channel.size).toBe(0);
+    const reader = channel.createReader();
+    expect(reader.read()).toEqual([]);
+  });
+
+  it(`Expected that closed reader doesn't keep events`, () => {
+    const channel = new EventChannel<number>();
+    const active = channel.createReader();
+    const closed = channel.createReader();
+    channel.write(1);
+    channel.deliver();
+    active.read();
+    expect(channel.size).toBe(1);
+    closed.close();
+    expect(closed.isClosed).toBeTruthy();
+    expect(channel.size).toBe(0);
+    expect(closed.read()).toEqual([]);
+  });
+
+  it(`Expected that skip moves the cursor to the end`, () => {
+    const channel = new EventChannel<number>();
+    const reader = channel.createReader();
+    channel.write(1);
+    channel.deliver();
+    reader.skip();
+    expect(reader.hasEvents).toBeFalsy();
+    expect(channel.size).toBe(0);
+  });
+
+  it(`Expected that engine delivers events after the writing system`, () => {
+    const engine = new Engine();
+    const before = new ReaderSystem();
+    const writer = new WriterSystem([1, 2]);
+    const after = new ReaderSystem();
+    engine.addSystem(before, 0);
+    engine.addSystem(writer, 1);
+    engine.addSystem(after, 2);
+
+    engine.update(1, 1);
+    expect(after.seen).toEqual([[1, 2]]);
+    expect(before.seen).toEqual([[]]);
+    expect(writer.seenByWriter).toEqual([]);
+
+    engine.update(1, 1);
+    expect(before.seen).toEqual([[], [1, 2]]);
+    expect(writer.seenByWriter).toEqual([1, 2]);
+  });
+
+  it(`Expected that phase channel delivers events after the update phase`, () => {
+    const engine = new Engine();
+    engine.getChannel(Damaged, {delivery: 'phase'});
+    const writer = new WriterSystem([5]);
+    const reader = new ReaderSystem();
+    engine.addSystem(writer, 0);
+    engine.addSystem(reader, 1);
+
+    engine.update(1, 1);
+    expect(reader.seen).toEqual([[]]);
+    expect(engine.getChannel(Damaged).size).toBe(1);
+    engine.update(1, 1);
+    expect(reader.seen).toEqual([[], [5]]);
+  });
+
+  it(`Expected that events written outside of update are delivered at the beginning of the phase`, () => {
+    const engine = new Engine();
+    const reader = new ReaderSystem();
+    engine.addSystem(reader);
+    engine.getChannel<Damaged>(Damaged).write(new Damaged(7));
+    engine.update(1, 1);
+    expect(reader.seen).toEqual([[7]]);
+  });
+
+  it(`Expected that channels can be named`, () => {
+    const engine = new Engine();
+    expect(engine.getChannel('damage')).toBe(engine.getChannel('damage'));
+    expect(engine.getChannel('damage')).not.toBe(engine.getChannel(Damaged));
+  });
+});
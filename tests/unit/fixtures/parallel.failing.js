@@ -0,0 +1,3 @@
+exports.update = ({array}) => {
+  array('parallel.Health', 'unknown');
+};
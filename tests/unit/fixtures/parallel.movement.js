@@ -0,0 +1,13 @@
+exports.update = ({dt, length, entities, slots, array, commands}) => {
+  const positions = slots('parallel.Position');
+  const velocities = slots('parallel.Velocity');
+  const x = array('parallel.Position', 'x');
+  const vx = array('parallel.Velocity', 'x');
+  for (let i = 0; i < length; i++) {
+    x[positions[i]] += vx[velocities[i]] * dt;
+    if (x[positions[i]] > 100) {
+      commands.addTag(entities[i], 'far');
+      commands.remove(entities[i], 'parallel.Velocity');
+    }
+  }
+};
@@ -0,0 +1,10 @@
+module.exports = ({length, entities, slots, array, commands}) => {
+  const health = slots('parallel.Health');
+  const value = array('parallel.Health', 'value');
+  for (let i = 0; i < length; i++) {
+    value[health[i]] += 1;
+    if (value[health[i]] >= 3) {
+      commands.removeEntity(entities[i]);
+    }
+  }
+};
@@ -0,0 +1,182 @@
+import {Engine, GameLoop, ManualClock, System, TickScheduler} from '../../src';
+
+class RecordingSystem extends System {
+  public calls: string[] = [];
+  public fixed: number = 0;
+  public updates: Array<[number, number]> = [];
+  public alphas: number[] = [];
+
+  public update(dt: number, frameDelta: number) {
+    this.calls.push('update');
+    this.updates.push([dt, frameDelta]);
+  }
+
+  public updateFixed(dt: number) {
+    this.calls.push('fixed');
+    this.fixed++;
+  }
+
+  public updateLate(dt: number) {
+    this.calls.push('late');
+  }
+
+  public updateRender(dt: number, alpha: number) {
+    this.calls.push('render');
+    this.alphas.push(alpha);
+  }
+}
+
+class ManualScheduler implements TickScheduler {
+  public callbacks: Array<() => void> = [];
+
+  public request(callback: () => void): unknown {
+    this.callbacks.push(callback);
+    return callback;
+  }
+
+  public cancel(handle: unknown): void {
+    this.callbacks = this.callbacks.filter((it) => it !== handle);
+  }
+
+  public run(): void {
+    const callbacks = this.callbacks;
+    this.callbacks = [];
+    callbacks.forEach((it) => it());
+  }
+}
+
+function createLoop(options: ConstructorParameters<typeof GameLoop>[1] = {}) {
+  const engine = new Engine();
+  const system = new RecordingSystem();
+  engine.addSystem(system);
+  const clock = new ManualClock();
+  const loop = new GameLoop(engine, {fixedStep: 0.01, clock, ...options});
+  return {engine, system, clock, loop};
+}
+
+describe('Game loop', () => {
+  it(`Expected that the first tick only remembers the time`, () => {
+    const {system, loop} = createLoop();
+    loop.tick();
+    expect(system.calls).toEqual([]);
+  });
+
+  it(`Expected that fixed updates are called for every accumulated step`, () => {
+    const {system, clock, loop} = createLoop();
+    loop.tick();
+    clock.advance(25);
+    loop.tick();
+    expect(system.calls).toEqual(['fixed', 'fixed', 'update', 'late', 'render']);
+    expect(system.updates[0][0]).toBeCloseTo(0.025);
+    expect(system.updates[0][1]).toBeCloseTo(2.5);
+    expect(loop.alpha).toBeCloseTo(0.5);
+    expect(system.alphas[0]).toBeCloseTo(0.5);
+
+    clock.advance(5);
+    loop.tick();
+    expect(system.fixed).toBe(3);
+    expect(loop.alpha).toBeCloseTo(0);
+  });
+
+  it(`Expected that substeps are limited and excess time is dropped`, () => {
+    const {system, clock, loop} = createLoop({maxSubSteps: 3});
+    loop.tick();
+    clock.advance(55);
+    loop.tick();
+    expect(system.fixed).toBe(3);
+    expect(loop.alpha).toBeCloseTo(0.5);
+  });
+
+  it(`Expected that long frames are clamped`, () => {
+    const {system, clock, loop} = createLoop({maxFrameTime: 0.1, maxSubSteps: 100});
+    loop.tick();
+    clock.advance(5000);
+    loop.tick();
+    expect(system.fixed).toBe(10);
+    expect(system.updates[0][0]).toBeCloseTo(0.1);
+  });
+
+  it(`Expected that time scale is applied to the frame time`, () => {
+    const {system, clock, loop} = createLoop({timeScale: 2});
+    loop.tick();
+    clock.advance(20);
+    loop.tick();
+    expect(system.fixed).toBe(4);
+
+    loop.timeScale = 0;
+    clock.advance(20);
+    loop.tick();
+    expect(system.fixed).toBe(4);
+    expect(() => loop.timeScale = -1).toThrowError();
+  });
+
+  it(`Expected that paused loop doesn't update the engine and doesn't accumulate time`, () => {
+    const {system, clock, loop} = createLoop();
+    loop.tick();
+    loop.pause();
+    expect(loop.isPaused).toBeTruthy();
+    clock.advance(100);
+    loop.tick();
+    expect(system.calls).toEqual([]);
+
+    loop.resume();
+    clock.advance(100);
+    loop.tick();
+    expect(system.calls).toEqual([]);
+    clock.advance(10);
+    loop.tick();
+    expect(system.fixed).toBe(1);
+  });
+
+  it(`Expected that step processes a single fixed step`, () => {
+    const {system, loop} = createLoop({timeScale: 3});
+    loop.pause();
+    loop.step();
+    expect(system.calls).toEqual(['fixed', 'update', 'late', 'render']);
+    expect(system.updates[0][0]).toBeCloseTo(0.01);
+    expect(system.updates[0][1]).toBeCloseTo(1);
+  });
+
+  it(`Expected that started loop ticks via scheduler until stopped`, () => {
+    const scheduler = new ManualScheduler();
+    const {system, clock, loop} = createLoop({scheduler});
+    let frames = 0;
+    loop.onFrame.connect(() => frames++);
+
+    loop.start();
+    expect(loop.isRunning).toBeTruthy();
+    scheduler.run();
+    clock.advance(10);
+    scheduler.run();
+    clock.advance(10);
+    scheduler.run();
+    expect(system.fixed).toBe(2);
+    expect(frames).toBe(2);
+
+    loop.stop();
+    expect(loop.isRunning).toBeFalsy();
+    expect(scheduler.callbacks).toEqual([]);
+  });
+
+  it(`Expected that render update can be called without alpha`, () => {
+    class LegacyRenderSystem extends System {
+      public frames: number = 0;
+
+      public updateRender(dt: number) {
+        super.updateRender(dt);
+        this.frames++;
+      }
+    }
+
+    const engine = new Engine();
+    const system = new LegacyRenderSystem();
+    engine.addSystem(system);
+    engine.updateRender(1);
+    system.updateRender(1);
+    expect(system.frames).toBe(2);
+  });
+
+  it(`Expected that non-positive fixed step throws an error`, () => {
+    expect(() => new GameLoop(new Engine(), {fixedStep: 0})).toThrowError();
+  });
+});
@@ -0,0 +1,129 @@
+import {Engine, Entity, isRoot, makeQuery, withParent} from '../../src';
+
+class Ship {}
+
+class Turret {}
+
+describe('Entity hierarchy', () => {
+  it(`Expected that children are attached and detached`, () => {
+    const parent = new Entity();
+    const first = new Entity();
+    const second = new Entity();
+    parent.addChild(first).addChild(second);
+    expect(parent.children).toEqual([first, second]);
+    expect(first.parent).toBe(parent);
+    expect(parent.isRoot).toBeTruthy();
+    expect(first.isRoot).toBeFalsy();
+
+    parent.removeChild(first);
+    expect(parent.children).toEqual([second]);
+    expect(first.parent).toBeUndefined();
+    expect(first.children).toEqual([]);
+  });
+
+  it(`Expected that reparenting moves entity between parents`, () => {
+    const a = new Entity();
+    const b = new Entity();
+    const child = new Entity().setParent(a);
+    child.setParent(b);
+    expect(a.children).toEqual([]);
+    expect(b.children).toEqual([child]);
+    expect(child.root).toBe(b);
+  });
+
+  it(`Expected that making a cycle throws an error`, () => {
+    const parent = new Entity();
+    const child = new Entity();
+    const grandChild = new Entity();
+    parent.addChild(child);
+    child.addChild(grandChild);
+    expect(grandChild.isDescendantOf(parent)).toBeTruthy();
+    expect(() => parent.setParent(grandChild)).toThrowError();
+    expect(() => parent.setParent(parent)).toThrowError();
+    expect(parent.parent).toBeUndefined();
+  });
+
+  it(`Expected that traversal is depth-first and can skip subtrees`, () => {
+    const root = new Entity();
+    const a = new Entity();
+    const a1 = new Entity();
+    const b = new Entity();
+    const b1 = new Entity();
+    root.addChild(a).addChild(b);
+    a.addChild(a1);
+    b.addChild(b1);
+
+    const visited: Entity[] = [];
+    root.traverse((entity) => {
+      visited.push(entity);
+    });
+    expect(visited).toEqual([root, a, a1, b, b1]);
+
+    const skipped: Entity[] = [];
+    root.traverse((entity) => {
+      skipped.push(entity);
+      return entity !== a;
+    });
+    expect(skipped).toEqual([root, a, b, b1]);
+  });
+
+  it(`Expected that removing parent from the engine removes its descendants`, () => {
+    const engine = new Engine();
+    const parent = new Entity();
+    const child = new Entity();
+    const grandChild = new Entity();
+    const other = new Entity();
+    parent.addChild(child);
+    child.addChild(grandChild);
+    engine.addEntities(parent, child, grandChild, other);
+
+    const removed: Entity[] = [];
+    engine.onEntityRemoved.connect((entity) => removed.push(entity));
+    engine.removeEntity(parent);
+    expect(removed).toEqual([grandChild, child, parent]);
+    expect(engine.entities).toEqual([other]);
+    expect(parent.children).toEqual([child]);
+    expect(grandChild.parent).toBe(child);
+  });
+
+  it(`Expected that removing child from the engine detaches it from the parent`, () => {
+    const engine = new Engine();
+    const parent = new Entity();
+    const child = new Entity();
+    parent.addChild(child);
+    engine.addEntities(parent, child);
+    engine.removeEntity(child);
+    expect(parent.children).toEqual([]);
+    expect(child.parent).toBeUndefined();
+    expect(engine.entities).toEqual([parent]);
+  });
+
+  it(`Expected that queries match entities by their parent`, () => {
+    const engine = new Engine();
+    const turrets = makeQuery(withParent(Ship));
+    const roots = makeQuery(isRoot());
+    engine.addQuery(turrets);
+    engine.addQuery(roots);
+
+    const ship = new Entity();
+    const turret = new Entity().add(new Turret());
+    engine.addEntities(ship, turret);
+    expect(turrets.isEmpty).toBeTruthy();
+    expect(roots.entities).toEqual([ship, turret]);
+
+    ship.addChild(turret);
+    expect(turrets.isEmpty).toBeTruthy();
+    expect(roots.entities).toEqual([ship]);
+
+    ship.add(new Ship());
+    expect(turrets.entities).toEqual([turret]);
+
+    ship.remove(Ship);
+    expect(turrets.isEmpty).toBeTruthy();
+
+    ship.add(new Ship());
+    turret.setParent(undefined);
+    expect(turrets.isEmpty).toBeTruthy();
+    expect(roots.has(turret)).toBeTruthy();
+  });
+});
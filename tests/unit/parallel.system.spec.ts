@@ -0,0 +1,167 @@
+import * as path from 'path';
+import {
+  defineTypedStorage,
+  Engine,
+  Entity,
+  EntityIdAllocator,
+  ParallelSystem,
+  QueryBuilder,
+  registerComponent,
+  System,
+} from '../../src';
+
+class Position {
+  public x: number = 0;
+}
+
+class Velocity {
+  public x: number = 0;
+}
+
+class Health {
+  public value: number = 0;
+}
+
+class Local {
+  public value: number = 0;
+}
+
+registerComponent(Position, 'parallel.Position');
+registerComponent(Velocity, 'parallel.Velocity');
+registerComponent(Health, 'parallel.Health');
+defineTypedStorage(Position, {x: 'float32'}, 4, true);
+defineTypedStorage(Velocity, {x: 'float32'}, 4, true);
+defineTypedStorage(Health, {value: 'int32'}, 4, true);
+
+const MOVEMENT = path.join(__dirname, 'fixtures', 'parallel.movement.js');
+const REGENERATION = path.join(__dirname, 'fixtures', 'parallel.regeneration.js');
+const FAILING = path.join(__dirname, 'fixtures', 'parallel.failing.js');
+
+function createMovement(): ParallelSystem {
+  return new ParallelSystem(MOVEMENT, new QueryBuilder().contains(Position, Velocity)).reads(Velocity).writes(Position);
+}
+
+function createRegeneration(): ParallelSystem {
+  return new ParallelSystem(REGENERATION, new QueryBuilder().contains(Health)).writes(Health);
+}
+
+describe('Parallel system', () => {
+  let engine: Engine;
+
+  beforeEach(() => {
+    engine = new Engine();
+  });
+
+  afterEach(() => {
+    engine.removeAllSystems();
+    engine.removeAllEntities();
+  });
+
+  it('Updates components in shared storage on the worker', () => {
+    const entities = [1, 2, 3, 4, 5].map((speed) => new Entity().add(Position).add(Velocity, {x: speed}));
+    engine.addEntities(...entities);
+    engine.addSystem(createMovement());
+    engine.update(2, 2);
+    expect(entities.map((entity) => entity.get(Position)!.x)).toEqual([2, 4, 6, 8, 10]);
+    engine.update(1, 1);
+    expect(entities.map((entity) => entity.get(Position)!.x)).toEqual([3, 6, 9, 12, 15]);
+  });
+
+  it('Applies structural changes of the worker after the update', () => {
+    const slow = new Entity().add(Position).add(Velocity, {x: 1});
+    const fast = new Entity().add(Position).add(Velocity, {x: 200});
+    const healthy = new Entity().add(Health, {value: 1});
+    engine.addEntities(slow, fast, healthy);
+    engine.addSystem(createMovement());
+    engine.addSystem(createRegeneration());
+
+    engine.update(1, 1);
+    expect(fast.has('far')).toBeTruthy();
+    expect(fast.has(Velocity)).toBeFalsy();
+    expect(slow.has('far')).toBeFalsy();
+    expect(healthy.get(Health)!.value).toBe(2);
+
+    engine.update(1, 1);
+    expect(engine.getEntityById(healthy.id)).toBeUndefined();
+  });
+
+  it('Applies structural changes to entities with ids beyond 32-bit range', () => {
+    engine = new Engine({ids: new EntityIdAllocator({recycle: true, generations: true})});
+    for (let i = 0; i < 600; i++) {
+      engine.removeEntity(engine.addEntity(engine.createEntity()).entities[0]);
+    }
+    const fast = engine.createEntity().add(Position).add(Velocity, {x: 200});
+    engine.addEntity(fast);
+    expect(fast.id).toBeGreaterThan(0x7fffffff);
+    engine.addSystem(createMovement());
+    engine.update(1, 1);
+    expect(fast.has('far')).toBeTruthy();
+  });
+
+  it('Updates non-conflicting systems concurrently', () => {
+    const movement = createMovement();
+    const regeneration = createRegeneration();
+    const running: boolean[] = [];
+    regeneration.signalBeforeUpdate.connect(() => running.push(movement.isRunning));
+    engine.addSystem(movement);
+    engine.addSystem(regeneration);
+    engine.update(1, 1);
+    expect(running).toEqual([true]);
+    expect(movement.isRunning).toBeFalsy();
+  });
+
+  it('Updates ordered and separated systems one by one', () => {
+    const movement = createMovement().label('movement');
+    const regeneration = createRegeneration().after('movement');
+    const running: boolean[] = [];
+    regeneration.signalBeforeUpdate.connect(() => running.push(movement.isRunning));
+    engine.addSystem(movement);
+    engine.addSystem(regeneration);
+    engine.update(1, 1);
+    expect(running).toEqual([false]);
+  });
+
+  it('Reports conflicting access when system is added', () => {
+    engine.addSystem(createMovement().label('movement'));
+    const acceleration = () => new ParallelSystem(MOVEMENT, new QueryBuilder().contains(Velocity)).writes(Velocity);
+    expect(() => engine.addSystem(acceleration())).toThrowError(
+      `ParallelSystem("${MOVEMENT}") and ParallelSystem("${MOVEMENT}") have conflicting access to component "Velocity", ` +
+      'declare their order with before() or after()',
+    );
+    expect(engine.systems.length).toBe(1);
+    expect(() => engine.addSystem(acceleration().before('movement'))).not.toThrowError();
+    expect(() => engine.addSystem(new ParallelSystem(MOVEMENT, new QueryBuilder()).reads(Velocity, Position))).toThrowError();
+    expect(() => engine.addSystem(new ParallelSystem(REGENERATION, new QueryBuilder()).reads(Health))).not.toThrowError();
+  });
+
+  it('Checks that components can be accessed from the worker', () => {
+    expect(() => engine.addSystem(new ParallelSystem(MOVEMENT, new QueryBuilder()).reads(Local)))
+      .toThrowError(`Component "Local" accessed by ParallelSystem("${MOVEMENT}") must be registered with a key`);
+    registerComponent(Local, 'parallel.Local');
+    expect(() => engine.addSystem(new ParallelSystem(MOVEMENT, new QueryBuilder()).reads(Local)))
+      .toThrowError(`Component "Local" accessed by ParallelSystem("${MOVEMENT}") must have a shared typed storage`);
+    expect(engine.systems.length).toBe(0);
+  });
+
+  it('Forbids declaring access after the system is added', () => {
+    const system = createRegeneration();
+    engine.addSystem(system);
+    expect(() => system.reads(Position)).toThrowError();
+  });
+
+  it('Reports errors of the worker', () => {
+    engine.addEntity(new Entity().add(Health));
+    engine.addSystem(new ParallelSystem(FAILING, new QueryBuilder().contains(Health)).reads(Health));
+    expect(() => engine.update(1, 1)).toThrowError(
+      `ParallelSystem("${FAILING}") failed: Field "unknown" of component "parallel.Health" is not kept in the typed storage`,
+    );
+  });
+
+  it('Finds access conflicts of any systems', () => {
+    class Reader extends System {}
+    class Writer extends System {}
+    expect(new Reader().reads(Position).findAccessConflict(new Writer().writes(Position))).toBe(Position);
+    expect(new Writer().writes(Position).findAccessConflict(new Writer().writes(Position))).toBe(Position);
+    expect(new Reader().reads(Position).findAccessConflict(new Reader().reads(Position))).toBeUndefined();
+  });
+});
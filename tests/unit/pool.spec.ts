@@ -0,0 +1,204 @@
+import {
+  ComponentPool,
+  Engine,
+  Entity,
+  EntityIdAllocator,
+  EntityPool,
+  EntitySnapshot,
+  LinkedComponent,
+  QueryBuilder,
+} from '../../src';
+
+class Position {
+  public x: number = 0;
+  public y: number = 0;
+
+  public reset(): void {
+    this.x = 0;
+    this.y = 0;
+  }
+}
+
+class Velocity {
+  public value: number = 0;
+}
+
+class Damage extends LinkedComponent {
+  public value: number = 0;
+}
+
+describe('Component pool', () => {
+  it(`Expected that released component is reused`, () => {
+    const pool = new ComponentPool(Position);
+    const position = pool.acquire({x: 10, y: 20});
+    expect(position).toBeInstanceOf(Position);
+    expect(position.x).toBe(10);
+
+    pool.release(position);
+    expect(pool.size).toBe(1);
+    expect(position.x).toBe(0);
+    expect(pool.acquire()).toBe(position);
+    expect(pool.size).toBe(0);
+  });
+
+  it(`Expected that component without reset hook is kept as is`, () => {
+    const pool = new ComponentPool(Velocity);
+    const velocity = pool.acquire({value: 5});
+    pool.release(velocity);
+    expect(pool.acquire().value).toBe(5);
+  });
+
+  it(`Expected that releasing the same component twice keeps it in the pool once`, () => {
+    const pool = new ComponentPool(Position);
+    const position = pool.acquire();
+    pool.release(position);
+    pool.release(position);
+    expect(pool.size).toBe(1);
+  });
+
+  it(`Expected that pool respects initial and max size`, () => {
+    const pool = new ComponentPool(Position, {initialSize: 2, maxSize: 3});
+    expect(pool.size).toBe(2);
+    pool.release(new Position());
+    pool.release(new Position());
+    expect(pool.size).toBe(3);
+  });
+
+  it(`Expected that releasing component of another class throws an error`, () => {
+    const pool = new ComponentPool<any>(Position);
+    expect(() => pool.release(new Velocity())).toThrowError();
+  });
+});
+
+describe('Entity pool', () => {
+  it(`Expected that released entity is removed from the engine and reused`, () => {
+    const engine = new Engine();
+    const pool = new EntityPool(engine);
+    const entity = pool.acquire().add(new Position());
+    engine.addEntity(entity);
+
+    pool.release(entity);
+    expect(engine.entities).toEqual([]);
+    expect(pool.size).toBe(1);
+
+    const oldId = entity.id;
+    const reused = pool.acquire();
+    expect(reused).toBe(entity);
+    expect(reused.id).not.toBe(oldId);
+    expect(reused.getComponents()).toEqual([]);
+  });
+
+  it(`Expected that acquired entity gets identifier from the engine allocator`, () => {
+    const engine = new Engine({ids: new EntityIdAllocator({recycle: true, generations: true})});
+    const pool = new EntityPool(engine);
+    const entity = pool.acquire();
+    engine.addEntity(entity);
+    const oldId = entity.id;
+    pool.release(entity);
+
+    const reused = pool.acquire();
+    engine.addEntity(reused);
+    expect(engine.ids!.isAlive(oldId)).toBeFalsy();
+    expect(engine.getEntityById(oldId)).toBeUndefined();
+    expect(engine.getEntityById(reused.id)).toBe(reused);
+  });
+
+  it(`Expected that restoring the snapshot brings back identifiers of renewed entities`, () => {
+    const engine = new Engine({ids: new EntityIdAllocator()});
+    const pool = new EntityPool(engine);
+    const first = pool.acquire();
+    const second = pool.acquire();
+    engine.addEntities(first, second);
+    const snapshot = engine.snapshot();
+
+    pool.release(second);
+    const renewed = pool.acquire();
+    const created = pool.acquire();
+    engine.addEntities(renewed, created);
+    expect(renewed).toBe(second);
+    expect([renewed.id, created.id]).toEqual([3, 4]);
+
+    engine.restore(snapshot);
+    expect(engine.entities).toEqual([first, second]);
+    expect(engine.entities.map((entity) => entity.id)).toEqual([1, 2]);
+    expect(engine.getEntityById(2)).toBe(second);
+    const next = engine.createEntity();
+    engine.addEntity(next);
+    expect(next.id).toBe(3);
+    expect(engine.entities.length).toBe(3);
+  });
+
+  it(`Expected that components of released entity are returned to component pools`, () => {
+    const positions = new ComponentPool(Position);
+    const damages = new ComponentPool(Damage);
+    const engine = new Engine();
+    const pool = new EntityPool(engine, {componentPools: [positions, damages]});
+    const entity = pool.acquire()
+      .add(positions.acquire({x: 1}))
+      .add(new Velocity())
+      .append(damages.acquire({value: 1}))
+      .append(damages.acquire({value: 2}));
+    engine.addEntity(entity);
+
+    pool.release(entity);
+    expect(positions.size).toBe(1);
+    expect(positions.acquire().x).toBe(0);
+    expect(damages.size).toBe(2);
+    expect(damages.acquire().next).toBeUndefined();
+    expect(pool.getComponentPool(Position)).toBe(positions);
+    expect(pool.getComponentPool(Velocity)).toBeUndefined();
+  });
+
+  it(`Expected that adding the second pool for the same class throws an error`, () => {
+    const pool = new EntityPool(new Engine(), {componentPools: [new ComponentPool(Position)]});
+    expect(() => pool.addComponentPool(new ComponentPool(Position))).toThrowError();
+  });
+
+  it(`Expected that queries dispatch correct signals for recycled entities`, () => {
+    const engine = new Engine();
+    const pool = new EntityPool(engine);
+    const query = new QueryBuilder().contains(Position).build();
+    engine.addQuery(query);
+
+    const removed: boolean[] = [];
+    const added: number[] = [];
+    query.onEntityRemoved.connect((snapshot: EntitySnapshot) => removed.push(snapshot.current.has(Position)));
+    query.onEntityAdded.connect((snapshot: EntitySnapshot) => added.push(snapshot.current.id));
+
+    const entity = pool.acquire().add(new Position());
+    const oldId = entity.id;
+    engine.addEntity(entity);
+    pool.release(entity);
+    expect(removed).toEqual([true]);
+    expect(query.isEmpty).toBeTruthy();
+
+    const reused = pool.acquire();
+    engine.addEntity(reused);
+    expect(query.isEmpty).toBeTruthy();
+    reused.add(new Position());
+    expect(query.entities).toEqual([reused]);
+    expect(added).toEqual([oldId, reused.id]);
+    expect(oldId).not.toBe(reused.id);
+  });
+
+  it(`Expected that recycled entity doesn't keep handlers connected before release`, () => {
+    const engine = new Engine();
+    const pool = new EntityPool(engine);
+    const entity = pool.acquire();
+    let calls = 0;
+    entity.onComponentAdded.connect(() => calls++);
+    pool.release(entity);
+
+    pool.acquire().add(new Position());
+    expect(calls).toBe(0);
+  });
+
+  it(`Expected that releasing entity twice keeps it in the pool once`, () => {
+    const pool = new EntityPool(new Engine(), {maxSize: 1});
+    const entity = new Entity();
+    pool.release(entity);
+    pool.release(entity);
+    pool.release(new Entity());
+    expect(pool.size).toBe(1);
+  });
+});
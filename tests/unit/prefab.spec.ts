@@ -0,0 +1,137 @@
+import {Engine, Entity, override, Prefab, Query, QueryBuilder} from '../../src';
+
+class Position {
+  public x: number = 0;
+  public y: number = 0;
+}
+
+class Health {
+  public value: number = 100;
+  public max: number = 100;
+}
+
+class Bow {
+  public range: number = 1;
+}
+
+class Loot {
+  public items: string[] = [];
+}
+
+class Shape {
+  public size: number = 1;
+}
+
+class Circle extends Shape {
+  public radius: number = 1;
+}
+
+const ENEMY = 'enemy';
+const RANGED = 'ranged';
+
+describe('Prefab', () => {
+  const goblin = new Prefab('goblin')
+    .add(Position)
+    .add(Health, {value: 10, max: 10})
+    .add(Loot)
+    .add(ENEMY);
+
+  it(`Expected that instance has components with default data and tags`, () => {
+    const entity = goblin.instantiate();
+    expect(entity.get(Position)).toEqual(Object.assign(new Position(), {x: 0, y: 0}));
+    expect(entity.get(Health)!.value).toBe(10);
+    expect(entity.get(Health)).toBeInstanceOf(Health);
+    expect(entity.has(ENEMY)).toBeTruthy();
+    expect(goblin.name).toBe('goblin');
+  });
+
+  it(`Expected that instances don't share components`, () => {
+    const first = goblin.instantiate();
+    const second = goblin.instantiate();
+    expect(first.get(Health)).not.toBe(second.get(Health));
+    expect(first.get(Loot)!.items).not.toBe(second.get(Loot)!.items);
+    expect(first.id).not.toBe(second.id);
+  });
+
+  it(`Expected that overrides replace the defaults for a single instance`, () => {
+    const entity = goblin.instantiate(override(Position, {x: 10}), override(Health, {value: 5}), override(Position, {y: 20}));
+    expect(entity.get(Position)!.x).toBe(10);
+    expect(entity.get(Position)!.y).toBe(20);
+    expect(entity.get(Health)!.value).toBe(5);
+    expect(entity.get(Health)!.max).toBe(10);
+    expect(goblin.instantiate().get(Health)!.value).toBe(10);
+  });
+
+  it(`Expected that overrides of missing components add them`, () => {
+    const entity = goblin.instantiate(override(Bow, {range: 3}));
+    expect(entity.get(Bow)!.range).toBe(3);
+    expect(goblin.has(Bow)).toBeFalsy();
+  });
+
+  it(`Expected that variant inherits, merges and removes components and tags`, () => {
+    const archer = goblin.extend('goblin-archer')
+      .add(Health, {value: 6})
+      .add(Bow, {range: 5})
+      .add(RANGED)
+      .remove(Loot);
+    expect(archer.base).toBe(goblin);
+    expect(archer.isVariantOf(goblin)).toBeTruthy();
+    expect(goblin.isVariantOf(archer)).toBeFalsy();
+    expect(archer.getData(Health)).toEqual({value: 6, max: 10});
+
+    const entity = archer.instantiate();
+    expect(entity.get(Health)!.value).toBe(6);
+    expect(entity.get(Health)!.max).toBe(10);
+    expect(entity.get(Bow)!.range).toBe(5);
+    expect(entity.has(Loot)).toBeFalsy();
+    expect(entity.hasAll(ENEMY, RANGED)).toBeTruthy();
+    expect(goblin.instantiate().has(Bow)).toBeFalsy();
+    expect(goblin.has(Loot)).toBeTruthy();
+  });
+
+  it(`Expected that changes of the base are visible in variants`, () => {
+    const base = new Prefab('base').add(Health, {value: 1});
+    const variant = base.extend('variant').remove(ENEMY);
+    base.add(Health, {max: 1}).add(Position, {x: 3});
+    expect(variant.getData(Health)).toEqual({value: 1, max: 1});
+    expect(variant.instantiate().get(Position)!.x).toBe(3);
+  });
+
+  it(`Expected that removed component can be added back to the variant`, () => {
+    const variant = goblin.extend('variant').remove(Health).remove(ENEMY);
+    expect(variant.has(Health)).toBeFalsy();
+    expect(variant.has(ENEMY)).toBeFalsy();
+    variant.add(Health, {value: 50}).add(ENEMY);
+    expect(variant.getData(Health)).toEqual({value: 50, max: 10});
+    expect(variant.instantiate().has(ENEMY)).toBeTruthy();
+  });
+
+  it(`Expected that resolve class is used for prefab components`, () => {
+    const prefab = new Prefab('shape').add(Circle, {radius: 3}, Shape);
+    const entity = prefab.instantiate(override(Shape, {size: 2}));
+    expect(entity.get(Shape)).toBeInstanceOf(Circle);
+    expect((entity.get(Shape) as Circle).radius).toBe(3);
+    expect(entity.get(Shape)!.size).toBe(2);
+  });
+
+  it(`Expected that prefab can be applied to the existing entity`, () => {
+    const engine = new Engine();
+    const entity = engine.createEntity();
+    expect(goblin.applyTo(entity, override(Position, {x: 1}))).toBe(entity);
+    expect(entity.get(Position)!.x).toBe(1);
+  });
+
+  it(`Expected that queries see the instance in one step`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().contains(Position, Health, ENEMY).build();
+    const predicateQuery = new Query((entity) => entity.hasAll(Position, Health, Loot));
+    engine.addQuery(query).addQuery(predicateQuery);
+    const added = jest.fn();
+    query.onEntityAdded.connect(added);
+    const entity: Entity = goblin.instantiate();
+    engine.addEntity(entity);
+    expect(added).toBeCalledTimes(1);
+    expect(query.entities).toEqual([entity]);
+    expect(predicateQuery.entities).toEqual([entity]);
+  });
+});
@@ -0,0 +1,109 @@
+import {Engine, Entity, Profiler, QueryBuilder, System} from '../../src';
+
+let time = 0;
+const now = () => time;
+
+class Position {}
+
+class SlowSystem extends System {
+  public constructor(private readonly durations: number[]) {
+    super();
+  }
+
+  public update() {
+    time += this.durations.shift() ?? 0;
+  }
+
+  public updateFixed() {
+    time += 1;
+  }
+
+  public updateRender() {
+    time += 2;
+  }
+}
+
+class IdleSystem extends System {}
+
+describe('Profiler', () => {
+  beforeEach(() => {
+    time = 0;
+  });
+
+  it(`Expected that system updates are measured per phase`, () => {
+    const profiler = new Profiler({now});
+    const engine = new Engine({profiler});
+    engine.addSystem(new SlowSystem([2, 4, 6]));
+    engine.addSystem(new IdleSystem());
+
+    engine.update(1, 1);
+    engine.update(1, 1);
+    engine.update(1, 1);
+    engine.updateFixed(1);
+    engine.updateRender(1);
+
+    expect(profiler.getStats('SlowSystem', 'update')).toEqual({
+      name: 'SlowSystem',
+      category: 'update',
+      calls: 3,
+      min: 2,
+      max: 6,
+      avg: 4,
+      last: 6,
+    });
+    expect(profiler.getStats('SlowSystem', 'updateFixed')!.avg).toBe(1);
+    expect(profiler.getStats('SlowSystem', 'updateRender')!.avg).toBe(2);
+    expect(profiler.getStats('SlowSystem', 'updateLate')).toBeUndefined();
+    expect(profiler.getStats('IdleSystem', 'update')!.calls).toBe(3);
+    expect(profiler.stats.length).toBe(6);
+  });
+
+  it(`Expected that statistics are calculated over the rolling window`, () => {
+    const profiler = new Profiler({now, windowSize: 2});
+    const engine = new Engine({profiler});
+    engine.addSystem(new SlowSystem([10, 2, 4]));
+    engine.update(1, 1);
+    engine.update(1, 1);
+    engine.update(1, 1);
+    const stats = profiler.getStats('SlowSystem', 'update')!;
+    expect(stats.calls).toBe(3);
+    expect(stats.max).toBe(4);
+    expect(stats.avg).toBe(3);
+  });
+
+  it(`Expected that query matching is measured`, () => {
+    const profiler = new Profiler({now});
+    const engine = new Engine({profiler});
+    engine.addQuery(new QueryBuilder().contains(Position).build());
+    const entity = new Entity();
+    engine.addEntity(entity);
+    entity.add(new Position());
+    entity.remove(Position);
+    expect(profiler.getStats('onComponentAdded', 'query')!.calls).toBe(1);
+    expect(profiler.getStats('onComponentRemoved', 'query')!.calls).toBe(1);
+  });
+
+  it(`Expected that trace is exported in the Chrome Trace Event format`, () => {
+    const profiler = new Profiler({now, maxTraceEvents: 2});
+    const engine = new Engine();
+    engine.addSystem(new SlowSystem([1, 2, 3]));
+    engine.update(1, 1);
+    expect(profiler.toChromeTrace().traceEvents).toEqual([]);
+
+    engine.profiler = profiler;
+    engine.update(1, 1);
+    engine.update(1, 1);
+    engine.updateFixed(1);
+    const trace = profiler.toChromeTrace();
+    expect(trace.displayTimeUnit).toBe('ms');
+    expect(trace.traceEvents).toEqual([
+      {name: 'SlowSystem', cat: 'update', ph: 'X', ts: 3000, dur: 3000, pid: 1, tid: 1},
+      {name: 'SlowSystem', cat: 'updateFixed', ph: 'X', ts: 6000, dur: 1000, pid: 1, tid: 1},
+    ]);
+    expect(JSON.parse(JSON.stringify(trace))).toEqual(trace);
+
+    profiler.reset();
+    expect(profiler.stats).toEqual([]);
+    expect(profiler.toChromeTrace().traceEvents).toEqual([]);
+  });
+});
@@ -0,0 +1,136 @@
+import {all, Engine, Entity, IterativeSystem, makeQuery, not, optional, Query, QueryBuilder} from '../../src';
+
+class Position {
+  public constructor(public x: number = 0, public y: number = 0) {}
+}
+
+class Velocity {
+  public constructor(public x: number = 0, public y: number = 0) {}
+}
+
+class Mass {
+  public constructor(public value: number = 1) {}
+}
+
+function createEngine(): Engine {
+  const engine = new Engine();
+  engine.addEntity(new Entity().add(new Position(1, 1)).add(new Velocity(1, 0)));
+  engine.addEntity(new Entity().add(new Position(2, 2)).add(new Velocity(0, 1)).add(new Mass(5)));
+  engine.addEntity(new Entity().add(new Position(3, 3)));
+  return engine;
+}
+
+describe('Query each', () => {
+  it(`Expected that builder query passes components in the order of declaration`, () => {
+    const engine = createEngine();
+    const query = new QueryBuilder().contains(Velocity).contains('tag-is-skipped', Position).build();
+    engine.addQuery(query);
+    const visited: Array<[number, number, number]> = [];
+    query.each((entity: Entity, velocity: Velocity, position: Position) => {
+      expect(entity.get(Velocity)).toBe(velocity);
+      visited.push([position.x, velocity.x, velocity.y]);
+    });
+    expect(visited).toEqual([]);
+
+    engine.entities.forEach((entity) => entity.add('tag-is-skipped'));
+    query.each((entity, velocity, position) => {
+      visited.push([position.x, velocity.x, velocity.y]);
+    });
+    expect(visited).toEqual([[1, 1, 0], [2, 0, 1]]);
+  });
+
+  it(`Expected that optional components don't affect matching and come as undefined`, () => {
+    const engine = createEngine();
+    const query = new QueryBuilder().contains(Position, optional(Mass)).build();
+    engine.addQuery(query);
+    expect(query.length).toBe(3);
+    const masses: Array<number | undefined> = [];
+    query.each((entity, position, mass) => {
+      // @ts-expect-error Optional component may be undefined
+      const required: Mass = mass;
+      masses.push(mass?.value);
+    });
+    expect(masses).toEqual([undefined, 5, undefined]);
+  });
+
+  it(`Expected that query made of patterns passes components of all patterns`, () => {
+    const engine = createEngine();
+    const query = makeQuery(all(Position), not(Mass), all(Velocity, optional(Mass)));
+    engine.addQuery(query);
+    const result: Array<[Position, Velocity, Mass | undefined]> = [];
+    query.each((entity, position, velocity, mass) => {
+      result.push([position, velocity, mass]);
+    });
+    expect(result).toEqual([[new Position(1, 1), new Velocity(1, 0), undefined]]);
+  });
+
+  it(`Expected that query without components passes only entities`, () => {
+    const engine = createEngine();
+    const query = new Query((entity) => entity.has(Position));
+    engine.addQuery(query);
+    const args: number[] = [];
+    query.each((...rest: unknown[]) => args.push(rest.length));
+    expect(args).toEqual([1, 1, 1]);
+  });
+
+  it(`Expected that changed and added components are passed to the callback`, () => {
+    const engine = createEngine();
+    const query = new QueryBuilder().contains(Position).changed(Velocity).build();
+    engine.addQuery(query);
+    const velocities: Velocity[] = [];
+    query.each((entity, position, velocity) => velocities.push(velocity));
+    expect(velocities).toEqual([new Velocity(1, 0), new Velocity(0, 1)]);
+  });
+
+  it(`Expected that iterative system has typed query`, () => {
+    class MovementSystem extends IterativeSystem<[Position, Velocity]> {
+      public constructor() {
+        super(new QueryBuilder().contains(Position, Velocity));
+      }
+
+      public update() {
+        this.query.each((entity, position, velocity) => {
+          position.x += velocity.x;
+          position.y += velocity.y;
+        });
+      }
+
+      protected updateEntity() {}
+    }
+
+    const engine = createEngine();
+    engine.addSystem(new MovementSystem());
+    engine.update(1, 1);
+    expect(engine.entities.map((entity) => entity.get(Position))).toEqual([
+      new Position(2, 1),
+      new Position(2, 3),
+      new Position(3, 3),
+    ]);
+  });
+
+  it(`Expected that iterative system created with pattern passes its components`, () => {
+    class MovementSystem extends IterativeSystem<[Position, Velocity]> {
+      public constructor() {
+        super(all(Position, Velocity));
+      }
+
+      public update() {
+        this.query.each((entity, position, velocity) => {
+          position.x += velocity.x;
+          position.y += velocity.y;
+        });
+      }
+
+      protected updateEntity() {}
+    }
+
+    const engine = createEngine();
+    engine.addSystem(new MovementSystem());
+    engine.update(1, 1);
+    expect(engine.entities.map((entity) => entity.get(Position))).toEqual([
+      new Position(2, 1),
+      new Position(2, 3),
+      new Position(3, 3),
+    ]);
+  });
+});
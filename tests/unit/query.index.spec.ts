@@ -0,0 +1,129 @@
+import {Engine, Entity, Query, QueryBuilder} from '../../src';
+
+class Team {
+  public constructor(public id: number) {}
+}
+
+class Unit {}
+
+class Cell {
+  public constructor(public x: number, public y: number) {}
+}
+
+function createUnit(team: number): Entity {
+  return new Entity().add(new Unit()).add(new Team(team));
+}
+
+describe('Query index', () => {
+  it(`Expected that entities are grouped by the key`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().contains(Unit, Team).build();
+    const byTeam = query.createIndex((entity) => entity.get(Team)!.id);
+    engine.addQuery(query);
+    const units = [1, 2, 1, 3].map(createUnit);
+    units.forEach((unit) => engine.addEntity(unit));
+
+    expect(byTeam.get(1)).toEqual([units[0], units[2]]);
+    expect(byTeam.get(2)).toEqual([units[1]]);
+    expect(byTeam.get(4)).toEqual([]);
+    expect(byTeam.has(3)).toBeTruthy();
+    expect(byTeam.has(4)).toBeFalsy();
+    expect(byTeam.size).toBe(3);
+    expect(byTeam.keys().sort()).toEqual([1, 2, 3]);
+    expect(byTeam.keyOf(units[3])).toBe(3);
+  });
+
+  it(`Expected that index created for the filled query contains its entities`, () => {
+    const engine = new Engine();
+    const query = new Query((entity) => entity.has(Team));
+    engine.addQuery(query);
+    engine.addEntity(createUnit(1)).addEntity(createUnit(1));
+    const byTeam = query.createIndex((entity) => entity.get(Team)!.id);
+    expect(byTeam.get(1).length).toBe(2);
+  });
+
+  it(`Expected that entities leaving the query are removed from the index`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().contains(Unit, Team).build();
+    const byTeam = query.createIndex((entity) => entity.get(Team)!.id);
+    engine.addQuery(query);
+    const units = [1, 1, 2].map(createUnit);
+    units.forEach((unit) => engine.addEntity(unit));
+
+    units[0].remove(Unit);
+    expect(byTeam.get(1)).toEqual([units[1]]);
+    engine.removeEntity(units[2]);
+    expect(byTeam.has(2)).toBeFalsy();
+    expect(byTeam.keyOf(units[2])).toBeUndefined();
+    units[0].add(new Unit());
+    expect(byTeam.get(1).length).toBe(2);
+  });
+
+  it(`Expected that replaced or removed components move entities between buckets`, () => {
+    const engine = new Engine();
+    const builtQuery = new QueryBuilder().contains(Unit).build();
+    const predicateQuery = new Query((entity) => entity.has(Unit));
+    const builtIndex = builtQuery.createIndex((entity) => entity.get(Team)?.id);
+    const predicateIndex = predicateQuery.createIndex((entity) => entity.get(Team)?.id);
+    engine.addQuery(builtQuery).addQuery(predicateQuery);
+    const unit = createUnit(1);
+    engine.addEntity(unit);
+
+    unit.add(new Team(2));
+    expect(builtIndex.get(2)).toEqual([unit]);
+    expect(predicateIndex.get(2)).toEqual([unit]);
+    expect(builtIndex.has(1)).toBeFalsy();
+    expect(predicateIndex.has(1)).toBeFalsy();
+
+    unit.remove(Team);
+    expect(builtIndex.size).toBe(0);
+    expect(predicateIndex.size).toBe(0);
+    expect(builtQuery.has(unit)).toBeTruthy();
+
+    unit.add(new Team(3));
+    expect(builtIndex.get(3)).toEqual([unit]);
+    expect(predicateIndex.get(3)).toEqual([unit]);
+  });
+
+  it(`Expected that invalidated entities are moved between buckets`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().contains(Cell).build();
+    const byCell = query.createIndex((entity) => {
+      const cell = entity.get(Cell)!;
+      return `${cell.x}:${cell.y}`;
+    });
+    engine.addQuery(query);
+    const entity = new Entity().add(new Cell(4, 7));
+    engine.addEntity(entity);
+    expect(byCell.get('4:7')).toEqual([entity]);
+
+    entity.get(Cell)!.x = 5;
+    expect(byCell.get('4:7')).toEqual([entity]);
+    entity.invalidate();
+    expect(byCell.has('4:7')).toBeFalsy();
+    expect(byCell.get('5:7')).toEqual([entity]);
+  });
+
+  it(`Expected that removed index is not updated anymore`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().contains(Team).build();
+    const byTeam = query.createIndex((entity) => entity.get(Team)!.id);
+    engine.addQuery(query);
+    engine.addEntity(createUnit(1));
+    query.detach(byTeam);
+    expect(byTeam.size).toBe(0);
+    engine.addEntity(createUnit(1));
+    expect(byTeam.size).toBe(0);
+  });
+
+  it(`Expected that index is cleared with the query`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().contains(Team).build();
+    const byTeam = query.createIndex((entity) => entity.get(Team)!.id);
+    engine.addQuery(query);
+    engine.addEntity(createUnit(1));
+    engine.removeQuery(query);
+    query.clear();
+    expect(byTeam.size).toBe(0);
+  });
+});
@@ -0,0 +1,108 @@
+import {Engine, Entity, Query, QueryBuilder} from '../../src';
+
+class Order {
+  public constructor(public value: number) {}
+}
+
+class Visible {}
+
+const byOrder = (a: Entity, b: Entity) => a.get(Order)!.value - b.get(Order)!.value;
+
+function orderOf(query: Query): number[] {
+  return query.entities.map((entity) => entity.get(Order)!.value);
+}
+
+describe('Sorted query', () => {
+  it(`Expected that entities are sorted when they join the query`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().contains(Order).sortBy(byOrder).build();
+    expect(query.isSorted).toBeTruthy();
+    engine.addQuery(query);
+    for (const value of [5, 1, 3, 4, 2]) {
+      engine.addEntity(new Entity().add(new Order(value)));
+    }
+    expect(orderOf(query)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it(`Expected that entities already in the engine are sorted when query is added`, () => {
+    const engine = new Engine();
+    for (const value of [3, 1, 2]) {
+      engine.addEntity(new Entity().add(new Order(value)));
+    }
+    const query = new Query((entity) => entity.has(Order), {sort: byOrder});
+    engine.addQuery(query);
+    expect(orderOf(query)).toEqual([1, 2, 3]);
+  });
+
+  it(`Expected that entities joining through component addition are sorted`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().contains(Order, Visible).sortBy(byOrder).build();
+    engine.addQuery(query);
+    const entities = [3, 1, 2].map((value) => new Entity().add(new Order(value)));
+    entities.forEach((entity) => engine.addEntity(entity));
+    expect(query.isEmpty).toBeTruthy();
+    entities.forEach((entity) => entity.add(new Visible()));
+    expect(orderOf(query)).toEqual([1, 2, 3]);
+  });
+
+  it(`Expected that equal entities stay in the order they joined the query`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().contains(Order).sortBy(byOrder).build();
+    engine.addQuery(query);
+    const first = new Entity().add(new Order(1));
+    const second = new Entity().add(new Order(1));
+    const third = new Entity().add(new Order(0));
+    engine.addEntity(first).addEntity(second).addEntity(third);
+    expect(query.entities).toEqual([third, first, second]);
+  });
+
+  it(`Expected that removed entities keep the order of the rest`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().contains(Order).sortBy(byOrder).build();
+    engine.addQuery(query);
+    const entities = [1, 2, 3, 4].map((value) => new Entity().add(new Order(value)));
+    entities.forEach((entity) => engine.addEntity(entity));
+    engine.removeEntity(entities[1]);
+    entities[2].remove(Order);
+    expect(orderOf(query)).toEqual([1, 4]);
+  });
+
+  it(`Expected that invalidated entity is moved to its new place`, () => {
+    const engine = new Engine();
+    const built = new QueryBuilder().contains(Order).sortBy(byOrder).build();
+    const predicate = new Query((entity) => entity.has(Order), {sort: byOrder});
+    engine.addQuery(built);
+    engine.addQuery(predicate);
+    const entities = [1, 2, 3, 4, 5].map((value) => new Entity().add(new Order(value)));
+    entities.forEach((entity) => engine.addEntity(entity));
+
+    entities[0].get(Order)!.value = 10;
+    entities[0].invalidate();
+    entities[4].get(Order)!.value = 0;
+    entities[4].invalidate();
+    expect(orderOf(built)).toEqual([0, 2, 3, 4, 10]);
+    expect(orderOf(predicate)).toEqual([0, 2, 3, 4, 10]);
+
+    engine.removeEntity(entities[2]);
+    engine.removeEntity(entities[4]);
+    expect(orderOf(built)).toEqual([2, 4, 10]);
+    expect(orderOf(predicate)).toEqual([2, 4, 10]);
+  });
+
+  it(`Expected that invalidation doesn't dispatch signals of the sorted query`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().contains(Order).sortBy(byOrder).build();
+    engine.addQuery(query);
+    const entity = new Entity().add(new Order(1));
+    engine.addEntity(entity).addEntity(new Entity().add(new Order(2)));
+    const added = jest.fn();
+    const removed = jest.fn();
+    query.onEntityAdded.connect(added);
+    query.onEntityRemoved.connect(removed);
+    entity.get(Order)!.value = 3;
+    entity.invalidate();
+    expect(orderOf(query)).toEqual([2, 3]);
+    expect(added).not.toBeCalled();
+    expect(removed).not.toBeCalled();
+  });
+});
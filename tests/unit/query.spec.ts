@@ -650,3 +650,80 @@ describe('Query signals', () => {
     expect(queryCallIndex).toBe(5);
   });
 });
+
+describe('Query membership', () => {
+  function createEntities(count: number): Entity[] {
+    const entities: Entity[] = [];
+    for (let i = 0; i < count; i++) {
+      entities.push(new Entity().add(new Position(i)));
+    }
+    return entities;
+  }
+
+  it(`Expected that removed entity is replaced by the last one by default`, () => {
+    const engine = new Engine();
+    const query = new Query((entity) => entity.has(Position));
+    engine.addQuery(query);
+    const [first, second, third, fourth] = createEntities(4);
+    engine.addEntities(first, second, third, fourth);
+
+    engine.removeEntity(second);
+    expect(query.entities).toEqual([first, fourth, third]);
+    expect(query.has(second)).toBeFalsy();
+    expect(query.has(fourth)).toBeTruthy();
+
+    engine.removeEntity(third);
+    expect(query.entities).toEqual([first, fourth]);
+    engine.removeEntity(first);
+    expect(query.entities).toEqual([fourth]);
+    expect(query.includes(fourth)).toBeTruthy();
+  });
+
+  it(`Expected that stable order query keeps the order of entities`, () => {
+    const engine = new Engine();
+    const query = new Query((entity) => entity.has(Position), {stableOrder: true});
+    const builtQuery = new QueryBuilder().contains(Position).stableOrder().build();
+    engine.addQuery(query);
+    engine.addQuery(builtQuery);
+    const [first, second, third, fourth] = createEntities(4);
+    engine.addEntities(first, second, third, fourth);
+
+    engine.removeEntity(second);
+    second.remove(Position);
+    third.remove(Position);
+    expect(query.isStableOrder).toBeTruthy();
+    expect(builtQuery.isStableOrder).toBeTruthy();
+    expect(query.entities).toEqual([first, fourth]);
+    expect(builtQuery.entities).toEqual([first, fourth]);
+
+    third.add(new Position());
+    expect(query.entities).toEqual([first, fourth, third]);
+    engine.removeEntity(first);
+    expect(query.entities).toEqual([fourth, third]);
+    expect(query.has(third)).toBeTruthy();
+    expect(query.has(first)).toBeFalsy();
+  });
+
+  it(`Expected that membership stays consistent under churn`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().contains(Position, View).build();
+    engine.addQuery(query);
+    const entities = createEntities(50);
+    engine.addEntities(...entities);
+
+    for (let i = 0; i < entities.length; i++) {
+      if (i % 3 !== 0) entities[i].add(new View());
+    }
+    for (let i = 0; i < entities.length; i++) {
+      if (i % 2 === 0) entities[i].remove(View);
+    }
+    const expected = entities.filter((entity) => entity.has(View));
+    expect(query.length).toBe(expected.length);
+    for (const entity of entities) {
+      expect(query.has(entity)).toBe(entity.has(View));
+    }
+    query.entities.forEach((entity, index) => {
+      expect(query.entities.indexOf(entity)).toBe(index);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import {Engine, Entity, makeQuery, QueryBuilder, related} from '../../src';
+
+class Targets {}
+
+class Player {}
+
+class Enemy {}
+
+const OWNED_BY = 'ownedBy';
+
+describe('Entity relations', () => {
+  it(`Expected that relations are created and removed`, () => {
+    const turret = new Entity();
+    const enemy = new Entity();
+    const player = new Entity();
+    turret.relate(Targets, enemy).relate(Targets, player).relate(OWNED_BY, player);
+    turret.relate(Targets, enemy);
+    expect(turret.getRelated(Targets)).toEqual([enemy, player]);
+    expect(turret.hasRelation(OWNED_BY)).toBeTruthy();
+    expect(turret.hasRelation(OWNED_BY, enemy)).toBeFalsy();
+    expect(player.getRelationSources(Targets)).toEqual([turret]);
+
+    turret.unrelate(Targets, enemy);
+    expect(turret.getRelated(Targets)).toEqual([player]);
+    expect(enemy.getRelationSources(Targets)).toEqual([]);
+
+    turret.clearRelations();
+    expect(turret.getRelated(Targets)).toEqual([]);
+    expect(turret.hasRelation(OWNED_BY)).toBeFalsy();
+    expect(player.getRelationSources(OWNED_BY)).toEqual([]);
+  });
+
+  it(`Expected that relations are removed when the target is removed from the engine`, () => {
+    const engine = new Engine();
+    const turret = new Entity();
+    const enemy = new Entity();
+    const other = new Entity();
+    engine.addEntities(turret, enemy, other);
+    turret.relate(Targets, enemy).relate(Targets, other);
+
+    engine.removeEntity(enemy);
+    expect(turret.getRelated(Targets)).toEqual([other]);
+    expect(turret.hasRelation(Targets, enemy)).toBeFalsy();
+  });
+
+  it(`Expected that builder queries match relation targets with components`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().related(Targets, Player).build();
+    const anyTarget = new QueryBuilder().related(Targets).build();
+    engine.addQuery(query);
+    engine.addQuery(anyTarget);
+
+    const turret = new Entity();
+    const target = new Entity().add(new Enemy());
+    engine.addEntities(turret, target);
+
+    turret.relate(Targets, target);
+    expect(query.isEmpty).toBeTruthy();
+    expect(anyTarget.entities).toEqual([turret]);
+
+    target.add(new Player());
+    expect(query.entities).toEqual([turret]);
+    target.remove(Player);
+    expect(query.isEmpty).toBeTruthy();
+
+    target.add(new Player());
+    engine.removeEntity(target);
+    expect(query.isEmpty).toBeTruthy();
+    expect(anyTarget.isEmpty).toBeTruthy();
+  });
+
+  it(`Expected that relation pattern can be combined with other patterns`, () => {
+    const engine = new Engine();
+    const query = makeQuery(related(OWNED_BY, Player));
+    engine.addQuery(query);
+    const player = new Entity().add(new Player());
+    const unit = new Entity();
+    engine.addEntities(player, unit);
+
+    unit.relate(OWNED_BY, player);
+    expect(query.entities).toEqual([unit]);
+    unit.unrelate(OWNED_BY);
+    expect(query.isEmpty).toBeTruthy();
+  });
+});
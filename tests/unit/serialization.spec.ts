@@ -0,0 +1,136 @@
+import {Engine, Entity, LinkedComponent, Query, registerComponent, WorldSerializer} from '../../src';
+
+class Position {
+  public x: number = 0;
+  public y: number = 0;
+
+  public constructor(x: number = 0, y: number = 0) {
+    this.x = x;
+    this.y = y;
+  }
+}
+
+class Inventory {
+  public constructor(public readonly items: string[] = []) {}
+}
+
+class Boon extends LinkedComponent {
+  public constructor(public type: string = '', public duration: number = 0) {
+    super();
+  }
+}
+
+class View {}
+
+registerComponent(Position, 'serialization.Position');
+registerComponent(Inventory, 'serialization.Inventory');
+registerComponent(Boon, 'serialization.Boon');
+
+function createSerializer(): WorldSerializer {
+  return new WorldSerializer()
+    .register(Position)
+    .register(Boon)
+    .register(Inventory, {
+      serialize: (inventory: Inventory) => inventory.items.join(','),
+      deserialize: (data: string) => new Inventory(data.split(',')),
+    });
+}
+
+describe('World serialization', () => {
+  it(`Expected that entities, components and tags survive serialization`, () => {
+    const engine = new Engine();
+    engine.addEntity(new Entity().add(new Position(1, 2)).add('hero'));
+    engine.addEntity(new Entity().add(new Inventory(['sword', 'shield'])).add(5));
+    engine.sharedConfig.add(new Position(10, 20)).add('config');
+
+    const serializer = createSerializer();
+    const data = JSON.parse(JSON.stringify(serializer.serialize(engine)));
+
+    const restored = serializer.deserialize(data, new Engine());
+    expect(restored.entities.length).toBe(2);
+
+    const [hero, storage] = restored.entities;
+    expect(hero.get(Position)).toBeInstanceOf(Position);
+    expect(hero.get(Position)).toEqual(new Position(1, 2));
+    expect(hero.hasTag('hero')).toBeTruthy();
+    expect(storage.get(Inventory)!.items).toEqual(['sword', 'shield']);
+    expect(storage.hasTag(5)).toBeTruthy();
+
+    expect(restored.sharedConfig.get(Position)).toEqual(new Position(10, 20));
+    expect(restored.sharedConfig.hasTag('config')).toBeTruthy();
+  });
+
+  it(`Expected that linked components chain order is preserved`, () => {
+    const engine = new Engine();
+    engine.addEntity(new Entity()
+      .append(new Boon('heal', 1))
+      .append(new Boon('protection', 2))
+      .append(new Boon('haste', 3)),
+    );
+
+    const serializer = createSerializer();
+    const data = serializer.serialize(engine);
+    expect(data.entities[0].components.length).toBe(3);
+    expect(data.entities[0].components[0].data).toEqual({type: 'heal', duration: 1});
+
+    const restored = serializer.deserialize(data, new Engine());
+    const entity = restored.entities[0];
+    expect(entity.lengthOf(Boon)).toBe(3);
+    expect(Array.from(entity.getAll(Boon)).map((it) => it.type)).toEqual(['heal', 'protection', 'haste']);
+  });
+
+  it(`Expected that restored shared config replaces previous content`, () => {
+    const source = new Engine();
+    source.sharedConfig.add(new Position(1, 1));
+
+    const target = new Engine();
+    target.sharedConfig.add(new Inventory(['potion'])).add('stale');
+
+    const serializer = createSerializer();
+    serializer.deserialize(serializer.serialize(source), target);
+    expect(target.sharedConfig.has(Inventory)).toBeFalsy();
+    expect(target.sharedConfig.has('stale')).toBeFalsy();
+    expect(target.sharedConfig.get(Position)).toEqual(new Position(1, 1));
+  });
+
+  it(`Expected that queries are populated after deserialization`, () => {
+    const engine = new Engine();
+    engine.addEntity(new Entity().add(new Position()));
+
+    const target = new Engine();
+    const query = new Query((entity) => entity.has(Position));
+    target.addQuery(query);
+
+    const serializer = createSerializer();
+    serializer.deserialize(serializer.serialize(engine), target);
+    expect(query.length).toBe(1);
+  });
+
+  it(`Expected that serialization of unregistered component throws an error`, () => {
+    const engine = new Engine();
+    engine.addEntity(new Entity().add(new View()));
+    expect(() => createSerializer().serialize(engine)).toThrowError();
+  });
+
+  it(`Expected that unregistered components can be skipped`, () => {
+    const engine = new Engine();
+    engine.addEntity(new Entity().add(new View()).add(new Position(3, 4)));
+
+    const serializer = new WorldSerializer({skipUnregistered: true}).register(Position);
+    const data = serializer.serialize(engine);
+    expect(data.entities[0].components).toEqual([{type: 'serialization.Position', data: {x: 3, y: 4}}]);
+  });
+
+  it(`Expected that deserialization of unknown type throws an error`, () => {
+    const serializer = createSerializer();
+    expect(() => serializer.deserializeEntity({id: 1, components: [{type: 'unknown', data: {}}], tags: []}))
+      .toThrowError(/unknown/);
+  });
+
+  it(`Expected that registering class without stable key throws an error`, () => {
+    class NoKey {}
+
+    expect(() => new WorldSerializer().register(NoKey)).toThrowError();
+    expect(() => new WorldSerializer().register(NoKey, undefined, 'serialization.NoKey')).not.toThrowError();
+  });
+});
@@ -0,0 +1,217 @@
+import {Engine, Entity, EntitySnapshot, LinkedComponent, Query} from '../../src';
+
+class Position {
+  public x: number = 0;
+  public y: number = 0;
+
+  public constructor(x: number = 0, y: number = 0) {
+    this.x = x;
+    this.y = y;
+  }
+}
+
+class Velocity {
+  public constructor(public value: number = 0) {}
+}
+
+class Path {
+  public constructor(public points: number[] = []) {}
+
+  public clone(): this {
+    return new Path(Array.from(this.points)) as this;
+  }
+}
+
+class Boon extends LinkedComponent {
+  public constructor(public duration: number = 0) {
+    super();
+  }
+}
+
+function watch(query: Query) {
+  const log = {added: [] as number[], removed: [] as number[]};
+  query.onEntityAdded.connect((snapshot: EntitySnapshot) => log.added.push(snapshot.current.id));
+  query.onEntityRemoved.connect((snapshot: EntitySnapshot) => log.removed.push(snapshot.current.id));
+  return log;
+}
+
+describe('Engine snapshot', () => {
+  it(`Expected that restore brings back component data`, () => {
+    const engine = new Engine();
+    const entity = new Entity().add(new Position(1, 2));
+    engine.addEntity(entity);
+
+    const snapshot = engine.snapshot();
+    entity.get(Position)!.x = 100;
+    engine.restore(snapshot);
+
+    expect(engine.entities[0]).toBe(entity);
+    expect(entity.get(Position)).toEqual(new Position(1, 2));
+
+    entity.get(Position)!.x = 200;
+    engine.restore(snapshot);
+    expect(entity.get(Position)!.x).toBe(1);
+  });
+
+  it(`Expected that components implementing clone are copied with it`, () => {
+    const engine = new Engine();
+    const entity = new Entity().add(new Path([1, 2]));
+    engine.addEntity(entity);
+
+    const snapshot = engine.snapshot();
+    entity.get(Path)!.points.push(3);
+    engine.restore(snapshot);
+    expect(entity.get(Path)!.points).toEqual([1, 2]);
+  });
+
+  it(`Expected that linked components and tags are restored`, () => {
+    const engine = new Engine();
+    const entity = new Entity()
+      .append(new Boon(1))
+      .append(new Boon(2))
+      .add('poisoned');
+    engine.addEntity(entity);
+
+    const snapshot = engine.snapshot();
+    entity.withdraw(Boon);
+    entity.append(new Boon(3));
+    entity.remove('poisoned');
+    entity.add('blessed');
+    engine.restore(snapshot);
+
+    expect(Array.from(entity.getAll(Boon)).map((it) => it.duration)).toEqual([1, 2]);
+    expect(entity.getTags()).toEqual(['poisoned']);
+  });
+
+  it(`Expected that entities are added and removed according to the snapshot`, () => {
+    const engine = new Engine();
+    const kept = new Entity().add(new Position());
+    const removed = new Entity().add(new Position());
+    engine.addEntities(kept, removed);
+
+    const snapshot = engine.snapshot();
+    engine.removeEntity(removed);
+    const spawned = new Entity().add(new Position());
+    engine.addEntity(spawned);
+
+    const added: Entity[] = [];
+    const removedEntities: Entity[] = [];
+    engine.onEntityAdded.connect((entity) => added.push(entity));
+    engine.onEntityRemoved.connect((entity) => removedEntities.push(entity));
+    engine.restore(snapshot);
+
+    expect(engine.entities).toEqual([kept, removed]);
+    expect(added).toEqual([removed]);
+    expect(removedEntities).toEqual([spawned]);
+    expect(engine.getEntityById(spawned.id)).toBeUndefined();
+  });
+
+  it(`Expected that restore doesn't cascade removal of new parents to snapshot entities`, () => {
+    const engine = new Engine();
+    const root = new Entity();
+    const child = new Entity();
+    root.addChild(child);
+    engine.addEntities(root, child);
+
+    const snapshot = engine.snapshot();
+    const parent = new Entity();
+    engine.addEntity(parent);
+    child.setParent(parent);
+
+    const removed: Entity[] = [];
+    const added: Entity[] = [];
+    engine.onEntityRemoved.connect((entity) => removed.push(entity));
+    engine.onEntityAdded.connect((entity) => added.push(entity));
+    engine.restore(snapshot);
+
+    expect(removed).toEqual([parent]);
+    expect(added).toEqual([]);
+    expect(engine.entities).toEqual([root, child]);
+    expect(child.parent).toBe(root);
+    expect(root.children).toEqual([child]);
+    expect(parent.children).toEqual([]);
+  });
+
+  it(`Expected that hierarchy and relations are restored`, () => {
+    const engine = new Engine();
+    const ship = new Entity();
+    const first = new Entity();
+    const second = new Entity();
+    const target = new Entity();
+    ship.addChild(first).addChild(second);
+    first.relate('aims', target);
+    engine.addEntities(ship, first, second, target);
+
+    const snapshot = engine.snapshot();
+    const spawned = new Entity();
+    engine.addEntity(spawned);
+    first.setParent(undefined);
+    second.addChild(first);
+    first.unrelate('aims').relate('aims', spawned);
+    target.relate('follows', first);
+    engine.removeEntity(ship);
+    engine.restore(snapshot);
+
+    expect(engine.entities).toEqual([ship, first, second, target]);
+    expect(ship.children).toEqual([first, second]);
+    expect(second.children).toEqual([]);
+    expect(first.getRelated('aims')).toEqual([target]);
+    expect(target.getRelationSources('aims')).toEqual([first]);
+    expect(target.getRelated('follows')).toEqual([]);
+    expect(spawned.getRelationSources('aims')).toEqual([]);
+  });
+
+  it(`Expected that query signals are fired only for real membership changes`, () => {
+    const engine = new Engine();
+    const moving = new Entity().add(new Position()).add(new Velocity(1));
+    const standing = new Entity().add(new Position());
+    engine.addEntities(moving, standing);
+
+    const query = new Query((entity) => entity.hasAll(Position, Velocity));
+    engine.addQuery(query);
+    const snapshot = engine.snapshot();
+
+    moving.get(Velocity)!.value = 10;
+    moving.get(Position)!.x = 10;
+    standing.add(new Velocity(2));
+    expect(query.length).toBe(2);
+
+    const log = watch(query);
+    engine.restore(snapshot);
+
+    expect(query.entities).toEqual([moving]);
+    expect(log.added).toEqual([]);
+    expect(log.removed).toEqual([standing.id]);
+  });
+
+  it(`Expected that restore doesn't fire component signals of reused entities`, () => {
+    const engine = new Engine();
+    const entity = new Entity().add(new Position());
+    engine.addEntity(entity);
+    const snapshot = engine.snapshot();
+    entity.add(new Velocity());
+
+    let signals = 0;
+    entity.onComponentAdded.connect(() => signals++);
+    entity.onComponentRemoved.connect(() => signals++);
+    engine.restore(snapshot);
+    expect(signals).toBe(0);
+    expect(entity.has(Velocity)).toBeFalsy();
+
+    entity.add(new Velocity());
+    expect(signals).toBe(1);
+  });
+
+  it(`Expected that shared config is restored`, () => {
+    const engine = new Engine();
+    engine.sharedConfig.add(new Position(5, 5));
+    const snapshot = engine.snapshot();
+
+    engine.sharedConfig.remove(Position);
+    engine.sharedConfig.add('paused');
+    engine.restore(snapshot);
+
+    expect(engine.sharedConfig.get(Position)).toEqual(new Position(5, 5));
+    expect(engine.sharedConfig.has('paused')).toBeFalsy();
+  });
+});
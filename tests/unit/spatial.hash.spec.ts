@@ -0,0 +1,136 @@
+import {Engine, Entity, QueryBuilder, SpatialHash, trackChanges} from '../../src';
+
+class Position {
+  public constructor(public x: number = 0, public y: number = 0) {}
+}
+
+class Enemy {}
+
+function createEnemy(x: number, y: number): Entity {
+  return new Entity().add(new Enemy()).add(new Position(x, y));
+}
+
+function setup(cellSize: number = 10) {
+  const engine = new Engine();
+  const query = new QueryBuilder().contains(Enemy, Position).build();
+  const grid = query.createSpatialHash((entity) => entity.get(Position), cellSize);
+  engine.addQuery(query);
+  return {engine, query, grid};
+}
+
+describe('Spatial hash', () => {
+  it(`Expected that cell size must be positive`, () => {
+    expect(() => new SpatialHash(() => undefined, 0)).toThrowError('Cell size must be positive, but 0 was passed');
+  });
+
+  it(`Expected that radius query returns entities within the circle`, () => {
+    const {engine, grid} = setup();
+    const near = createEnemy(3, 4);
+    const border = createEnemy(-5, 0);
+    const far = createEnemy(6, 6);
+    const remote = createEnemy(100, -100);
+    [near, border, far, remote].forEach((entity) => engine.addEntity(entity));
+
+    expect(grid.size).toBe(4);
+    const result = grid.queryRadius(0, 0, 5);
+    expect(result.length).toBe(2);
+    expect(result).toContain(near);
+    expect(result).toContain(border);
+    expect(grid.queryRadius(100, -100, 1)).toEqual([remote]);
+  });
+
+  it(`Expected that rect query returns entities within the box`, () => {
+    const {engine, grid} = setup();
+    const inside = createEnemy(15, 25);
+    const corner = createEnemy(30, 30);
+    const outside = createEnemy(31, 15);
+    [inside, corner, outside].forEach((entity) => engine.addEntity(entity));
+
+    const result = grid.queryRect(10, 10, 30, 30);
+    expect(result.length).toBe(2);
+    expect(result).toContain(inside);
+    expect(result).toContain(corner);
+    expect(grid.queryRect(-1000, -1000, 1000, 1000).length).toBe(3);
+  });
+
+  it(`Expected that results are pushed to the passed array`, () => {
+    const {engine, grid} = setup();
+    const entity = createEnemy(1, 1);
+    engine.addEntity(entity);
+    const result: Entity[] = [];
+    expect(grid.queryRadius(0, 0, 2, result)).toBe(result);
+    expect(result).toEqual([entity]);
+  });
+
+  it(`Expected that grid follows the query membership`, () => {
+    const {engine, grid} = setup();
+    const first = createEnemy(1, 1);
+    const second = createEnemy(2, 2);
+    engine.addEntity(first).addEntity(second);
+    first.remove(Enemy);
+    expect(grid.queryRadius(0, 0, 5)).toEqual([second]);
+    engine.removeEntity(second);
+    expect(grid.size).toBe(0);
+    expect(grid.positionOf(second)).toBeUndefined();
+    first.add(new Enemy());
+    expect(grid.queryRadius(0, 0, 5)).toEqual([first]);
+  });
+
+  it(`Expected that invalidated entities are moved`, () => {
+    const {engine, grid} = setup();
+    const entity = createEnemy(1, 1);
+    engine.addEntity(entity);
+    entity.get(Position)!.x = 50;
+    expect(grid.queryRadius(0, 0, 5)).toEqual([entity]);
+    entity.invalidate();
+    expect(grid.queryRadius(0, 0, 5)).toEqual([]);
+    expect(grid.queryRadius(50, 0, 2)).toEqual([entity]);
+    expect(grid.positionOf(entity)).toEqual({x: 50, y: 1});
+  });
+
+  it(`Expected that entities marked as changed are moved`, () => {
+    const {engine, grid} = setup();
+    const position = trackChanges(new Position(1, 1));
+    const entity = new Entity().add(new Enemy()).add(position);
+    engine.addEntity(entity);
+    position.x = -30;
+    expect(grid.queryRadius(-30, 1, 1)).toEqual([entity]);
+
+    entity.get(Position)!.y = 20;
+    entity.markChanged(Position);
+    expect(grid.queryRadius(-30, 20, 1)).toEqual([entity]);
+  });
+
+  it(`Expected that replaced position component moves the entity`, () => {
+    const {engine, grid} = setup();
+    const entity = createEnemy(1, 1);
+    engine.addEntity(entity);
+    entity.add(new Position(40, 40));
+    expect(grid.queryRadius(40, 40, 1)).toEqual([entity]);
+    expect(grid.queryRadius(1, 1, 1)).toEqual([]);
+  });
+
+  it(`Expected that entities without position are not indexed`, () => {
+    const engine = new Engine();
+    const query = new QueryBuilder().contains(Enemy).build();
+    const grid = query.createSpatialHash((entity) => entity.get(Position), 10);
+    engine.addQuery(query);
+    const entity = new Entity().add(new Enemy());
+    engine.addEntity(entity);
+    expect(grid.size).toBe(0);
+    entity.add(new Position(5, 5));
+    expect(grid.queryRadius(5, 5, 1)).toEqual([entity]);
+    entity.remove(Position);
+    expect(grid.size).toBe(0);
+  });
+
+  it(`Expected that attachment can't be attached twice, and detached one is cleared`, () => {
+    const {engine, query, grid} = setup();
+    engine.addEntity(createEnemy(1, 1));
+    expect(() => query.attach(grid)).toThrowError('Attachment is already attached to the query');
+    query.detach(grid);
+    expect(grid.size).toBe(0);
+    engine.addEntity(createEnemy(2, 2));
+    expect(grid.size).toBe(0);
+  });
+});
@@ -0,0 +1,125 @@
+import {Engine, Entity, IterativeSystem, QueryBuilder, System} from '../../src';
+
+class Position {}
+
+class CountingSystem extends System {
+  public updates: number = 0;
+  public fixedUpdates: number = 0;
+  public hooks: string[] = [];
+
+  public update() {
+    this.updates++;
+  }
+
+  public updateFixed() {
+    this.fixedUpdates++;
+  }
+
+  public onEnabled() {
+    this.hooks.push('enabled');
+  }
+
+  public onDisabled() {
+    this.hooks.push('disabled');
+  }
+}
+
+class PositionSystem extends IterativeSystem {
+  public constructor() {
+    super(new QueryBuilder().contains(Position));
+  }
+
+  public get size(): number {
+    return this.query.length;
+  }
+
+  protected updateEntity() {}
+}
+
+describe('System groups', () => {
+  it(`Expected that disabled group is not updated`, () => {
+    const engine = new Engine();
+    const gameplay = new CountingSystem().inGroup('gameplay');
+    const ui = new CountingSystem().inGroup('ui');
+    engine.addSystem(gameplay);
+    engine.addSystem(ui);
+
+    engine.disableGroup('gameplay');
+    expect(engine.isGroupEnabled('gameplay')).toBeFalsy();
+    engine.update(1, 1);
+    engine.updateFixed(1);
+    expect(gameplay.updates).toBe(0);
+    expect(gameplay.fixedUpdates).toBe(0);
+    expect(ui.updates).toBe(1);
+
+    engine.enableGroup('gameplay');
+    engine.update(1, 1);
+    expect(gameplay.updates).toBe(1);
+    expect(engine.systems).toEqual([gameplay, ui]);
+  });
+
+  it(`Expected that hooks are called when activity changes`, () => {
+    const engine = new Engine();
+    const system = new CountingSystem().inGroup('gameplay', 'debug');
+    engine.addSystem(system);
+
+    engine.disableGroup('gameplay');
+    engine.disableGroup('gameplay');
+    engine.disableGroup('debug');
+    expect(system.hooks).toEqual(['disabled']);
+
+    engine.enableGroup('gameplay');
+    expect(system.hooks).toEqual(['disabled']);
+    engine.enableGroup('debug');
+    expect(system.hooks).toEqual(['disabled', 'enabled']);
+  });
+
+  it(`Expected that system can be disabled itself`, () => {
+    const engine = new Engine();
+    const system = new CountingSystem();
+    engine.addSystem(system);
+
+    system.disable();
+    expect(system.enabled).toBeFalsy();
+    expect(system.isActive).toBeFalsy();
+    engine.update(1, 1);
+    expect(system.updates).toBe(0);
+
+    engine.disableGroup('gameplay');
+    system.inGroup('gameplay');
+    system.enable();
+    expect(system.isActive).toBeFalsy();
+    engine.enableGroup('gameplay');
+    expect(system.hooks).toEqual(['disabled', 'enabled']);
+  });
+
+  it(`Expected that hooks are not called for systems out of the engine`, () => {
+    const system = new CountingSystem();
+    system.disable();
+    system.enable();
+    expect(system.hooks).toEqual([]);
+  });
+
+  it(`Expected that system added to the disabled group is inactive`, () => {
+    const engine = new Engine();
+    engine.disableGroup('debug');
+    const system = new CountingSystem().inGroup('debug');
+    engine.addSystem(system);
+    engine.update(1, 1);
+    expect(system.updates).toBe(0);
+    expect(engine.getSystemsInGroup('debug')).toEqual([system]);
+  });
+
+  it(`Expected that queries of disabled systems are kept up to date`, () => {
+    const engine = new Engine();
+    const system = new PositionSystem().inGroup('gameplay');
+    engine.addSystem(system);
+    engine.disableGroup('gameplay');
+
+    const entity = new Entity().add(new Position());
+    engine.addEntity(entity);
+    expect(system.size).toBe(1);
+    entity.remove(Position);
+    expect(system.size).toBe(0);
+  });
+});
@@ -0,0 +1,119 @@
+import {Engine, System} from '../../src';
+
+const log: string[] = [];
+
+class NamedSystem extends System {
+  public update() {
+    log.push(this.constructor.name);
+  }
+}
+
+class InputSystem extends NamedSystem {}
+
+class MovementSystem extends NamedSystem {}
+
+class CollisionSystem extends NamedSystem {}
+
+class CameraSystem extends NamedSystem {}
+
+function run(engine: Engine): string[] {
+  log.length = 0;
+  engine.update(1, 1);
+  return Array.from(log);
+}
+
+describe('System ordering', () => {
+  it(`Expected that systems without constraints are ordered by priority and then by adding order`, () => {
+    const engine = new Engine();
+    engine.addSystem(new CameraSystem(), 2);
+    engine.addSystem(new InputSystem(), 1);
+    engine.addSystem(new MovementSystem(), 1);
+    expect(run(engine)).toEqual(['InputSystem', 'MovementSystem', 'CameraSystem']);
+  });
+
+  it(`Expected that before and after constraints have precedence over priority`, () => {
+    const engine = new Engine();
+    engine.addSystem(new CameraSystem().after(MovementSystem), 0);
+    engine.addSystem(new MovementSystem(), 5);
+    engine.addSystem(new InputSystem().before(MovementSystem), 10);
+    expect(run(engine)).toEqual(['InputSystem', 'MovementSystem', 'CameraSystem']);
+  });
+
+  it(`Expected that constraints can refer to labels`, () => {
+    const engine = new Engine();
+    engine.addSystem(new CameraSystem().after('physics'));
+    engine.addSystem(new CollisionSystem().label('physics'));
+    engine.addSystem(new MovementSystem().label('physics').before(CollisionSystem));
+    expect(run(engine)).toEqual(['MovementSystem', 'CollisionSystem', 'CameraSystem']);
+  });
+
+  it(`Expected that constraints are applied to subclasses`, () => {
+    const engine = new Engine();
+    engine.addSystem(new InputSystem().after(NamedSystem));
+    engine.addSystem(new MovementSystem());
+    engine.addSystem(new CameraSystem());
+    expect(run(engine)).toEqual(['MovementSystem', 'CameraSystem', 'InputSystem']);
+  });
+
+  it(`Expected that references to absent systems are ignored`, () => {
+    const engine = new Engine();
+    engine.addSystem(new CameraSystem().after(CollisionSystem, 'render'));
+    engine.addSystem(new InputSystem());
+    expect(run(engine)).toEqual(['CameraSystem', 'InputSystem']);
+  });
+
+  it(`Expected that dependency cycle throws an error and the system is not added`, () => {
+    const engine = new Engine();
+    const movement = new MovementSystem().before(CollisionSystem);
+    const collision = new CollisionSystem().before(CameraSystem);
+    engine.addSystem(movement);
+    engine.addSystem(collision);
+    const camera = new CameraSystem().before(MovementSystem);
+    expect(() => engine.addSystem(camera)).toThrowError(
+      'Systems have a dependency cycle: MovementSystem -> CollisionSystem -> CameraSystem -> MovementSystem',
+    );
+    expect(engine.systems).toEqual([movement, collision]);
+    expect(() => camera.engine).toThrowError();
+  });
+
+  it(`Expected that changing constraints at runtime reorders systems`, () => {
+    const engine = new Engine();
+    const input = new InputSystem();
+    const movement = new MovementSystem();
+    engine.addSystem(movement);
+    engine.addSystem(input);
+    expect(run(engine)).toEqual(['MovementSystem', 'InputSystem']);
+
+    input.before(MovementSystem);
+    expect(run(engine)).toEqual(['InputSystem', 'MovementSystem']);
+
+    expect(() => movement.before(InputSystem)).toThrowError(/cycle/);
+    expect(movement.runsBefore).toEqual([]);
+    expect(run(engine)).toEqual(['InputSystem', 'MovementSystem']);
+  });
+
+  it(`Expected that changing priority at runtime reorders systems`, () => {
+    const engine = new Engine();
+    const input = new InputSystem();
+    const movement = new MovementSystem();
+    engine.addSystem(input, 0);
+    engine.addSystem(movement, 1);
+    movement.setPriority(-1);
+    expect(movement.priority).toBe(-1);
+    expect(run(engine)).toEqual(['MovementSystem', 'InputSystem']);
+  });
+
+  it(`Expected that reordering during update doesn't affect the current update`, () => {
+    const engine = new Engine();
+    const camera = new CameraSystem();
+    engine.addSystem(new class extends System {
+      public update() {
+        log.push('Reorder');
+        camera.setPriority(-1);
+      }
+    }(), 0);
+    engine.addSystem(camera, 1);
+    expect(run(engine)).toEqual(['Reorder', 'CameraSystem']);
+    expect(run(engine)).toEqual(['CameraSystem', 'Reorder']);
+  });
+});
@@ -0,0 +1,175 @@
+import {defineTypedStorage, Engine, Entity, getTypedStorage, QueryBuilder, typedStorage} from '../../src';
+
+class Position {
+  public x: number = 0;
+  public y: number = 0;
+  public label: string = 'none';
+
+  public length(): number {
+    return Math.sqrt(this.x * this.x + this.y * this.y);
+  }
+}
+
+@typedStorage({value: 'int32'}, 2)
+class Health {
+  public value: number = 100;
+}
+
+const positions = defineTypedStorage(Position, {x: 'float32', y: 'float32'}, 2);
+const health = getTypedStorage(Health)!;
+
+describe('Typed storage', () => {
+  let engine: Engine;
+
+  beforeEach(() => {
+    engine = new Engine();
+  });
+
+  afterEach(() => {
+    engine.removeAllEntities();
+  });
+
+  it('Keeps fields of added components in typed arrays', () => {
+    const entity = new Entity().add(Position, {x: 3, y: 4});
+    engine.addEntity(entity);
+    const position = entity.get(Position)!;
+    expect(position).toBeInstanceOf(Position);
+    expect(position.length()).toBe(5);
+    expect(position.label).toBe('none');
+    expect(positions.contains(position)).toBeTruthy();
+    expect(positions.slotOf(position)).toBe(0);
+    expect(positions.entities).toEqual([entity]);
+    expect(positions.array('x')).toBeInstanceOf(Float32Array);
+    expect(positions.array('x')[0]).toBe(3);
+
+    position.x = 6;
+    expect(positions.array('x')[0]).toBe(6);
+    positions.array('y')[0] = 8;
+    expect(position.y).toBe(8);
+    expect(Object.keys(position)).toEqual(['x', 'y', 'label']);
+  });
+
+  it('Copies values of the added instance', () => {
+    const instance = new Position();
+    instance.x = 1.5;
+    const entity = new Entity();
+    engine.addEntity(entity.add(instance));
+    expect(entity.get(Position)).not.toBe(instance);
+    expect(entity.get(Position)).toEqual(instance);
+    entity.add(entity.get(Position)!);
+    expect(positions.size).toBe(1);
+  });
+
+  it('Converts values by the array type', () => {
+    const entity = new Entity().add(Health, {value: 10.7}).add(Position, {x: 0.1});
+    engine.addEntity(entity);
+    expect(entity.get(Health)!.value).toBe(10);
+    expect(entity.get(Health)).toEqual({value: 10});
+    expect(entity.get(Position)!.x).toBeCloseTo(0.1);
+  });
+
+  it('Grows arrays when capacity is exceeded', () => {
+    const entities = [1, 2, 3, 4, 5].map((value) => new Entity().add(Health, {value}));
+    engine.addEntities(...entities);
+    expect(health.capacity).toBe(8);
+    expect(health.size).toBe(5);
+    expect(entities.map((entity) => entity.get(Health)!.value)).toEqual([1, 2, 3, 4, 5]);
+    expect(Array.from(health.array('value').subarray(0, health.size))).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('Packs slots on removal and detaches removed views', () => {
+    const entities = [1, 2, 3].map((value) => new Entity().add(Health, {value}));
+    engine.addEntities(...entities);
+    const first = entities[0].get(Health)!;
+    const last = entities[2].get(Health)!;
+    expect(entities[0].remove(Health)).toBe(first);
+    expect(health.size).toBe(2);
+    expect(health.entities).toEqual([entities[2], entities[1]]);
+    expect(health.slotOf(last)).toBe(0);
+    expect(last.value).toBe(3);
+    expect(health.contains(first)).toBeFalsy();
+    expect(first.value).toBe(1);
+    first.value = 7;
+    expect(last.value).toBe(3);
+
+    entities[1].add(Health, {value: 9});
+    expect(health.size).toBe(2);
+    expect(entities[1].get(Health)!.value).toBe(9);
+    entities[2].clear();
+    expect(health.entities).toEqual([entities[1]]);
+  });
+
+  it('Works with queries and iteration over raw arrays', () => {
+    const query = new QueryBuilder().contains(Position).build();
+    engine.addQuery(query);
+    for (let i = 0; i < 3; i++) {
+      engine.addEntity(new Entity().add(Position, {x: i}));
+    }
+    const x = positions.array('x');
+    for (let slot = 0; slot < positions.size; slot++) {
+      x[slot] += 10;
+    }
+    expect(query.entities.map((entity) => entity.get(Position)!.x)).toEqual([10, 11, 12]);
+  });
+
+  it('Keeps views of restored snapshots in the storage', () => {
+    const entity = new Entity().add(Position, {x: 1});
+    engine.addEntity(entity);
+    const snapshot = engine.snapshot();
+    entity.get(Position)!.x = 5;
+    engine.restore(snapshot);
+    expect(entity.get(Position)!.x).toBe(1);
+    expect(positions.size).toBe(1);
+    expect(positions.contains(entity.get(Position))).toBeTruthy();
+  });
+
+  it('Keeps components of entities outside the engine as regular instances', () => {
+    const instance = new Position();
+    const entity = new Entity().add(instance);
+    expect(entity.get(Position)).toBe(instance);
+    expect(positions.size).toBe(0);
+
+    engine.addEntity(entity);
+    expect(entity.get(Position)).not.toBe(instance);
+    expect(positions.contains(entity.get(Position))).toBeTruthy();
+    entity.get(Position)!.x = 2;
+
+    engine.removeEntity(entity);
+    expect(positions.size).toBe(0);
+    expect(positions.contains(entity.get(Position))).toBeFalsy();
+    expect(entity.get(Position)!.x).toBe(2);
+    entity.add(Position, {x: 3});
+    expect(positions.size).toBe(0);
+  });
+
+  it('Frees slots of entities removed from the engine', () => {
+    for (let i = 0; i < 1000; i++) {
+      const entity = new Entity().add(Position, {x: i}).add(Health);
+      engine.addEntity(entity);
+      engine.removeEntity(entity);
+    }
+    expect(positions.size).toBe(0);
+    expect(health.size).toBe(0);
+
+    const entities = [1, 2, 3].map((x) => new Entity().add(Position, {x}));
+    engine.addEntities(...entities);
+    engine.removeEntity(entities[0]);
+    expect(positions.entities).toEqual([entities[2], entities[1]]);
+    engine.addEntity(entities[0]);
+    expect(positions.size).toBe(3);
+    expect(entities[0].get(Position)!.x).toBe(1);
+    engine.clear();
+    expect(positions.size).toBe(0);
+  });
+
+  it('Validates the layout', () => {
+    class Named {
+      public name: string = '';
+    }
+    expect(() => defineTypedStorage(Position, {x: 'float32'}))
+      .toThrowError('Typed storage for component "Position" is already defined');
+    expect(() => defineTypedStorage(Named, {name: 'int32'} as any))
+      .toThrowError('Field "name" of component "Named" must be initialized with a number');
+    expect(() => positions.array('label')).toThrowError();
+  });
+});